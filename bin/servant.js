@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+import { ConfigError, runCli } from '../server/cli.js';
+
+runCli(process.argv.slice(2)).catch((err) => {
+    if (err instanceof ConfigError) {
+        console.error(`\x1b[31m ${err.problems.join('\n ')} \x1b[0m`);
+        console.error(' Run servant --help for the options.');
+    } else {
+        console.error(
+            `\x1b[31m Server failed to start: ${err.message} \x1b[0m`
+        );
+    }
+    process.exit(1);
+});
@@ -3,14 +3,11 @@ import { existsSync, readFileSync, watch } from 'node:fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 import { lstat } from 'fs/promises';
-import http from 'http';
 
 class HotReload {
     debouncedRestart = this.debounce(this.restartServer.bind(this), 1000);
-    clients = [];
 
-    constructor({ serverFilePath, htmlReloadPort } = {}) {
-        this.htmlReloadPort = htmlReloadPort || null;
+    constructor({ serverFilePath } = {}) {
         this.rootPath = resolve(process.cwd());
         this.ignoredPatterns = this.getIgnoredPatterns(this.rootPath);
         this.serverFilePath = serverFilePath || 'main.js';
@@ -25,7 +22,6 @@ class HotReload {
                 `\x1b[33m 🚀 Hot reload watching files in "${this.rootPath}" \x1b[0m`
             );
             this.startServer();
-            this.startHtmlReloadServer();
             this.watchFiles();
         } catch (error) {
             console.error(
@@ -35,40 +31,6 @@ class HotReload {
         }
     }
 
-    startHtmlReloadServer() {
-        if (!this.htmlReloadPort) return;
-        const htmlHotReloadServer = http.createServer((request, response) => {
-            const headers = {
-                'Content-Type': 'text/event-stream',
-                Connection: 'keep-alive',
-                'Cache-Control': 'no-cache',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'OPTIONS, POST, GET',
-                'Access-Control-Max-Age': 2592000,
-            };
-            if (request.method === 'OPTIONS') {
-                request.writeHead(204, headers);
-                request.end();
-                return;
-            }
-            response.writeHead(200, headers);
-            const data = `Listening for HTML changes on port ${this.htmlReloadPort}...`;
-            response.write(data);
-            const clientId = Date.now();
-            const newClient = {
-                id: clientId,
-                response,
-            };
-            this.clients.push(newClient);
-            request.on('close', () => {
-                this.clients = this.clients.filter(
-                    (client) => client.id !== clientId
-                );
-            });
-        });
-        htmlHotReloadServer.listen(this.htmlReloadPort);
-    }
-
     startServer() {
         const __dirname = dirname(fileURLToPath(import.meta.url));
         const allArgs = process.argv.slice(2);
@@ -87,15 +49,9 @@ class HotReload {
             `\x1b[33m 🔄 File ${this.lastFileChanged} was changed, restarting server... \x1b[0m`
         );
 
+        // open pages reload once they reconnect to the new server
         this.server.kill();
         this.startServer();
-        this.clients.forEach((client) => {
-            client.response.write(
-                [`event: message`, `id: ${client.id}`, `data: reload\n\n`].join(
-                    '\n'
-                )
-            );
-        });
     }
 
     debounce(func, wait) {
@@ -160,6 +116,14 @@ class HotReload {
             /.git/,
             /.github/,
             /.*\.log/,
+            // mock files are reloaded by the running server itself
+            /^mocks\//,
+            // state snapshots are read by the running server
+            /^state-snapshots\//,
+            // static files and the controller are reloaded by the running
+            // server without a restart
+            /^public\//,
+            /^server\/controller\.js$/,
         ];
 
         const gitignore = resolve(root, '.gitignore');
@@ -179,6 +143,5 @@ class HotReload {
 
 const hotReload = new HotReload({
     serverFilePath: '../main.js',
-    htmlReloadPort: 35729,
 });
 hotReload.run();
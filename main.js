@@ -1,12 +1,22 @@
-import { buildController } from './server/controller.js';
-import { MiniServer } from './server/server.js';
+import { fileURLToPath } from 'url';
+import { ConfigError, runCli } from './server/cli.js';
 
-
-
-const server = new MiniServer({
+// command-line flags and servant.config.js override these
+runCli(process.argv.slice(2), {
     port: 4200,
     staticFolder: 'public',
-    apiController: buildController(),
+    // a path, so that the dev server can re-import it when it changes
+    controller: fileURLToPath(
+        new URL('./server/controller.js', import.meta.url)
+    ),
     devHotReload: true,
+}).catch((err) => {
+    if (err instanceof ConfigError) {
+        console.error(`\x1b[31m ${err.problems.join('\n ')} \x1b[0m`);
+    } else {
+        console.error(
+            `\x1b[31m Server failed to start: ${err.message} \x1b[0m`
+        );
+    }
+    process.exit(1);
 });
-server.start();
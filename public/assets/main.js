@@ -1,104 +1,610 @@
+const HISTORY_KEY = 'mini-server-history';
+const HISTORY_LIMIT = 50;
+// responses kept in the history are cut to this many characters
+const HISTORY_BODY_LIMIT = 20000;
+const METHODS_WITHOUT_BODY = ['GET', 'HEAD'];
+
+/**
+ * Creates an element with text and attributes, never parsing html.
+ */
+const element = (
+    tag,
+    { text, className, ...attributes } = {},
+    children = []
+) => {
+    const node = document.createElement(tag);
+    if (text !== undefined) {
+        node.textContent = text;
+    }
+    if (className) {
+        node.className = className;
+    }
+    Object.entries(attributes).forEach(([name, value]) =>
+        node.setAttribute(name, value)
+    );
+    node.append(...children);
+    return node;
+};
+
+/**
+ * The `:name`, `*` and `**` variables of a route path.
+ */
+const pathVariables = (path) =>
+    path
+        .split('/')
+        .map((segment) => {
+            if (segment.startsWith(':')) {
+                const optional = segment.endsWith('?');
+                return {
+                    segment,
+                    optional,
+                    name: segment.substring(
+                        1,
+                        segment.length - (optional ? 1 : 0)
+                    ),
+                };
+            }
+            if (segment === '*') {
+                return { segment, name: 'wildcard', optional: false };
+            }
+            if (segment === '**') {
+                return { segment, name: 'path', optional: true };
+            }
+            return null;
+        })
+        .filter((variable) => variable);
+
+const prettyJson = (text) => {
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Pretty-prints JSON and NDJSON bodies and leaves anything else as it is.
+ */
+const formatBody = (text, contentType) => {
+    const looksLikeJson = /^\s*[[{]/.test(text);
+    if (contentType.includes('json') || looksLikeJson) {
+        const pretty = prettyJson(text);
+        if (pretty !== null) {
+            return pretty;
+        }
+        const lines = text.split('\n').filter((line) => line.trim());
+        const prettyLines = lines.map(prettyJson);
+        if (lines.length && prettyLines.every((line) => line !== null)) {
+            return prettyLines.join('\n');
+        }
+    }
+    return text;
+};
+
+const statusClass = (status) =>
+    status < 300
+        ? 'status-ok'
+        : status < 400
+          ? 'status-redirect'
+          : 'status-error';
+
 class ApiCall {
-    constructor({ path, query, body, method, name }) {
-        this.path = path || '';
-        this.query = query || {};
-        this.body = body || {};
+    constructor({ path, params, query, headers, body, method, name }) {
+        this.path = path || '/';
+        this.params = params || {};
+        this.query = query || [];
+        this.headers = headers || [];
+        this.body = body || '';
         this.method = method || 'GET';
-        this.name = name || 'Unknown';
-        this.id = `${name}${path}${JSON.stringify(query)}${method}`
-            .split('')
-            .reduce((s, c) => (Math.imul(31, s) + c.charCodeAt(0)) | 0, 0);
+        this.name = name || `${this.method} ${this.path}`;
+    }
+
+    /**
+     * Builds the call for a route from its examples.
+     */
+    static fromRoute(route) {
+        const method = route.method === 'ANY' ? 'GET' : route.method;
+        const hasBody = route.requestExample !== undefined;
+        const example = new URL(route.example, window.location.origin);
+        const path = route.url.startsWith('/') ? route.url : `/${route.url}`;
+        // the example url has the variables filled in at the same places
+        const exampleSegments = example.pathname.split('/');
+        const params = Object.fromEntries(
+            path
+                .split('/')
+                .map((segment, index) => [
+                    pathVariables(segment)[0],
+                    exampleSegments[index],
+                ])
+                .filter(([variable]) => variable)
+                .map(([variable, value]) => [
+                    variable.name,
+                    decodeURIComponent(value || ''),
+                ])
+        );
+        return new ApiCall({
+            path,
+            params: { ...params, ...route.paramsExample },
+            query: [...example.searchParams],
+            headers:
+                hasBody || !METHODS_WITHOUT_BODY.includes(method)
+                    ? [['Content-Type', 'application/json']]
+                    : [],
+            body: hasBody ? JSON.stringify(route.requestExample, null, 2) : '',
+            method,
+            name: `${route.method} ${route.url}`,
+        });
+    }
+
+    /**
+     * The path with its variables filled in, and the query.
+     */
+    get url() {
+        const path = this.path
+            .split('/')
+            .map((segment) => {
+                const [variable] = pathVariables(segment);
+                if (!variable) {
+                    return segment;
+                }
+                const value = this.params[variable.name] ?? '';
+                return variable.segment === '**'
+                    ? value.split('/').map(encodeURIComponent).join('/')
+                    : encodeURIComponent(value);
+            })
+            .filter((segment, index) => index === 0 || segment !== '')
+            .join('/');
+        const query = new URLSearchParams(
+            this.query.filter(([key]) => key)
+        ).toString();
+        return (path || '/') + (query ? `?${query}` : '');
+    }
+
+    toJSON() {
+        const { path, params, query, headers, body, method, name } = this;
+        return { path, params, query, headers, body, method, name };
+    }
+}
+
+/**
+ * Editable rows of names and values, used for the query and headers.
+ */
+class KeyValueList {
+    constructor(container, placeholders) {
+        this.container = container;
+        this.placeholders = placeholders;
+    }
+
+    set(entries) {
+        this.container.replaceChildren();
+        entries.forEach(([key, value]) => this.add(key, value));
+    }
+
+    add(key = '', value = '') {
+        const row = element('div', { className: 'flex flex-row gap-2' }, [
+            element('input', {
+                className: 'field w-1/3 font-mono',
+                placeholder: this.placeholders[0],
+                'aria-label': this.placeholders[0],
+            }),
+            element('input', {
+                className: 'field grow font-mono',
+                placeholder: this.placeholders[1],
+                'aria-label': this.placeholders[1],
+            }),
+            element('button', {
+                className: 'button',
+                type: 'button',
+                text: 'Remove',
+            }),
+        ]);
+        const [keyInput, valueInput, remove] = row.children;
+        keyInput.value = key;
+        valueInput.value = value;
+        remove.onclick = () => row.remove();
+        this.container.append(row);
+        return row;
+    }
+
+    get entries() {
+        return [...this.container.children]
+            .map((row) => [row.children[0].value.trim(), row.children[1].value])
+            .filter(([key]) => key);
     }
 }
 
 class Main {
-    init() {
-        const button = document.querySelector('#callButton');
-
-        this.select = document.querySelector('#callSelect');
-        this.calls = this.buildCalls();
-        this.calls.forEach((call) => {
-            const option = document.createElement('option');
-            option.text = call.name;
-            option.value = call.id;
-            this.select.add(option);
-        });
-        this.selectedCallInfo = document.querySelector('#selectedCallInfo');
+    routes = [];
+    history = [];
+    /** @type {AbortController | null} */
+    inFlight = null;
+    stateEdited = false;
 
-        this.select.addEventListener('change', (ev) => {
-            this.selectionChanged(ev);
+    async init() {
+        this.form = document.querySelector('#requestForm');
+        this.method = document.querySelector('#method');
+        this.path = document.querySelector('#path');
+        this.params = document.querySelector('#params');
+        this.body = document.querySelector('#body');
+        this.sendButton = this.form.querySelector('button[type="submit"]');
+        this.query = new KeyValueList(document.querySelector('#query'), [
+            'name',
+            'value',
+        ]);
+        this.headers = new KeyValueList(document.querySelector('#headers'), [
+            'header',
+            'value',
+        ]);
+
+        this.form.addEventListener('submit', (ev) => {
+            ev.preventDefault();
+            if (this.inFlight) {
+                this.inFlight.abort();
+            } else {
+                this.callApi(this.readForm());
+            }
+        });
+        this.form.querySelectorAll('[data-add]').forEach((button) => {
+            button.onclick = () => this[button.dataset.add].add();
         });
-        button.onclick = (ev) => this.callApi(ev);
+        this.path.addEventListener('input', () => this.renderParams());
+        document
+            .querySelector('#routeFilter')
+            .addEventListener('input', () => this.renderRoutes());
+        document.querySelector('#refreshRoutes').onclick = () =>
+            this.loadRoutes();
+        document.querySelector('#clearHistory').onclick = () => {
+            this.history = [];
+            this.saveHistory();
+        };
+        window.addEventListener('focus', () => this.loadRoutes());
+
+        this.loadHistory();
+        this.initState();
+        await this.loadRoutes();
+        if (this.routes.length) {
+            this.load(ApiCall.fromRoute(this.routes[0]));
+        }
+    }
+
+    async loadRoutes() {
+        try {
+            const result = await fetch('/__admin/routes');
+            const { stubs, routes } = await result.json();
+            this.routes = [...stubs, ...routes];
+        } catch (err) {
+            console.error('Routes not loaded', err);
+        }
+        this.renderRoutes();
+    }
+
+    renderRoutes() {
+        const filter = document
+            .querySelector('#routeFilter')
+            .value.trim()
+            .toLowerCase();
+        const items = this.routes
+            .filter((route) =>
+                `${route.method} ${route.url} ${route.summary || ''}`
+                    .toLowerCase()
+                    .includes(filter)
+            )
+            .map((route) => {
+                const button = element(
+                    'button',
+                    {
+                        className: 'text-left w-full hover:underline',
+                        type: 'button',
+                        title: route.summary || route.url,
+                    },
+                    [
+                        element('span', {
+                            className: `method method-${route.method.toLowerCase()}`,
+                            text: route.method,
+                        }),
+                        element('span', {
+                            className: 'font-mono',
+                            text: route.url,
+                        }),
+                        ...(route.id
+                            ? [element('small', { text: ' stub' })]
+                            : []),
+                        ...(route.summary
+                            ? [
+                                  element('div', {
+                                      className: 'text-sm text-gray-600',
+                                      text: route.summary,
+                                  }),
+                              ]
+                            : []),
+                    ]
+                );
+                button.onclick = () => this.load(ApiCall.fromRoute(route));
+                return element('li', {}, [button]);
+            });
+        document
+            .querySelector('#routeList')
+            .replaceChildren(
+                ...(items.length
+                    ? items
+                    : [element('li', { text: 'No routes' })])
+            );
     }
 
-    selectionChanged(ev) {
-        const call = this.calls.find((c) => +c.id === +ev.target.value);
+    /**
+     * Fills the editor with a call.
+     */
+    load(call) {
+        this.method.value = call.method;
+        this.path.value = call.path;
+        this.query.set(call.query);
+        this.headers.set(call.headers);
+        this.body.value = call.body;
+        this.renderParams(call.params);
+    }
 
-        if (!call) return;
-        this.selectedCallInfo.innerHTML = `${call.name} ${call.path} ${call.method}`;
+    /**
+     * Shows an input for every variable of the path, keeping the values
+     * typed so far.
+     */
+    renderParams(values = this.readParams()) {
+        const variables = pathVariables(this.path.value);
+        this.params.replaceChildren(
+            ...variables.map((variable) => {
+                const input = element('input', {
+                    className: 'field grow font-mono',
+                    name: variable.name,
+                    placeholder: variable.optional ? 'optional' : '',
+                });
+                input.value = values[variable.name] ?? '';
+                return element(
+                    'label',
+                    { className: 'flex flex-row gap-2 items-center' },
+                    [
+                        element('span', {
+                            className: 'w-1/3 font-mono',
+                            text: variable.segment,
+                        }),
+                        input,
+                    ]
+                );
+            })
+        );
+        document.querySelector('#paramsSection').hidden = !variables.length;
     }
 
-    async callApi(ev) {
-        const call = this.calls.find((c) => +c.id === +this.select.value);
+    readParams() {
+        return Object.fromEntries(
+            [...this.params.querySelectorAll('input')].map((input) => [
+                input.name,
+                input.value,
+            ])
+        );
+    }
 
-        if (!call) return;
-        const req = {
+    readForm() {
+        return new ApiCall({
+            method: this.method.value,
+            path: this.path.value.trim(),
+            params: this.readParams(),
+            query: this.query.entries,
+            headers: this.headers.entries,
+            body: this.body.value,
+        });
+    }
+
+    async callApi(call) {
+        const controller = new AbortController();
+        this.inFlight = controller;
+        this.sendButton.textContent = 'Stop';
+        const request = {
             method: call.method,
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers: call.headers,
+            signal: controller.signal,
         };
-        if (call.method.toUpperCase() !== 'GET') {
-            req.body = JSON.stringify(call.body);
+        if (!METHODS_WITHOUT_BODY.includes(call.method) && call.body) {
+            request.body = call.body;
         }
-        const result = await fetch(call.path, req);
-
-        // if (result.headers.get('Content-Type') === 'application/json') {
-        //     const data = await result.json();
-        // }
-        const data =
-            result.headers.get('Content-Type') === 'application/json'
-                ? await result.json()
-                : await result.text();
-        this.displayData(data);
-    }
-
-    buildCalls() {
-        return [
-            new ApiCall({
-                path: 'json2',
-                method: 'GET',
-                name: 'Json basic',
-            }),    new ApiCall({
-                path: '/api/jsonTry',
-                method: 'GET',
-                name: 'Json response',
-            }),
-            new ApiCall({
-                path: '/api/first',
-                method: 'GET',
-                name: 'First',
-            }),
-            new ApiCall({
-                path: '/api/second/123123?var1=2&var2=gotohell',
-                method: 'GET',
-                name: 'Second',
-            }),
-            new ApiCall({
-                path: '/api/third',
-                method: 'GET',
-                name: 'Third',
-            }),
-        ];
+        const started = performance.now();
+        const entry = { call: call.toJSON(), at: new Date().toISOString() };
+        try {
+            const result = await fetch(call.url, request);
+            entry.status = result.status;
+            entry.statusText = result.statusText;
+            entry.headers = [...result.headers];
+            entry.body = '';
+            this.showResponse(entry, started);
+            // streamed bodies are shown as they arrive
+            const reader = result.body?.getReader();
+            const decoder = new TextDecoder();
+            while (reader) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+                entry.body += decoder.decode(value, { stream: true });
+                this.showResponse(entry, started);
+            }
+        } catch (err) {
+            if (entry.status === undefined) {
+                entry.status = 0;
+                entry.statusText =
+                    err.name === 'AbortError' ? 'Stopped' : 'Failed';
+                entry.headers = [];
+                entry.body = String(err.message || err);
+            }
+        } finally {
+            this.inFlight = null;
+            this.sendButton.textContent = 'Send';
+        }
+        entry.time = Math.round(performance.now() - started);
+        this.showResponse(entry);
+        this.history.unshift({
+            ...entry,
+            body: entry.body.substring(0, HISTORY_BODY_LIMIT),
+        });
+        this.history.length = Math.min(this.history.length, HISTORY_LIMIT);
+        this.saveHistory();
     }
 
-    displayData(data) {
-        document.querySelector('#responseCallInfo').innerHTML = JSON.stringify(
-            data,
-            null,
-            2
+    /**
+     * Shows a response, while it streams in when `started` is given.
+     */
+    showResponse(entry, started) {
+        document.querySelector('#response').hidden = false;
+        const status = document.querySelector('#responseStatus');
+        status.textContent = entry.status
+            ? `${entry.status} ${entry.statusText}`
+            : entry.statusText;
+        status.className = `status ${statusClass(entry.status || 500)}`;
+        const time =
+            started === undefined
+                ? entry.time
+                : Math.round(performance.now() - started);
+        document.querySelector('#responseTime').textContent =
+            `${time} ms${started === undefined ? '' : ' …'}`;
+        document.querySelector('#responseSize').textContent =
+            `${new Blob([entry.body]).size} bytes`;
+        document
+            .querySelector('#responseHeaders')
+            .replaceChildren(
+                ...entry.headers.map(([name, value]) =>
+                    element('tr', {}, [
+                        element('td', {
+                            className: 'pr-4 align-top',
+                            text: name,
+                        }),
+                        element('td', { text: value }),
+                    ])
+                )
+            );
+        const contentType =
+            entry.headers.find(([name]) => name === 'content-type')?.[1] || '';
+        document.querySelector('#responseBody').textContent = formatBody(
+            entry.body,
+            contentType
         );
     }
+
+    loadHistory() {
+        try {
+            this.history = JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
+        } catch {
+            this.history = [];
+        }
+        this.renderHistory();
+    }
+
+    saveHistory() {
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(this.history));
+        } catch (err) {
+            console.error('History not saved', err);
+        }
+        this.renderHistory();
+    }
+
+    renderHistory() {
+        const items = this.history.map((entry) => {
+            const call = new ApiCall(entry.call);
+            const button = element(
+                'button',
+                {
+                    className: 'text-left w-full hover:underline',
+                    type: 'button',
+                    title: entry.at,
+                },
+                [
+                    element('span', {
+                        className: `status ${statusClass(entry.status || 500)}`,
+                        text: String(entry.status || '-'),
+                    }),
+                    ' ',
+                    element('span', {
+                        className: `method method-${call.method.toLowerCase()}`,
+                        text: call.method,
+                    }),
+                    element('span', { className: 'font-mono', text: call.url }),
+                    element('small', { text: ` ${entry.time} ms` }),
+                ]
+            );
+            button.onclick = () => {
+                this.load(call);
+                this.showResponse(entry);
+            };
+            return element('li', {}, [button]);
+        });
+        document
+            .querySelector('#history')
+            .replaceChildren(
+                ...(items.length
+                    ? items
+                    : [element('li', { text: 'No calls yet' })])
+            );
+    }
+
+    /**
+     * Follows the state live until it is edited; saving or reverting
+     * follows it again.
+     */
+    initState() {
+        const textarea = document.querySelector('#state');
+        const status = document.querySelector('#stateStatus');
+        const showState = (state) => {
+            textarea.value = JSON.stringify(state, null, 2);
+            this.stateEdited = false;
+            status.textContent = 'live';
+        };
+        /**
+         * Sends a state request and shows the state it answers with.
+         */
+        const send = async (url, init) => {
+            try {
+                const result = await fetch(url, init);
+                const data = await result.json();
+                if (!result.ok) {
+                    throw new Error(data.error || result.statusText);
+                }
+                showState(data);
+            } catch (err) {
+                status.textContent = err.message;
+            }
+        };
+        textarea.addEventListener('input', () => {
+            this.stateEdited = true;
+            status.textContent = 'edited, not saved';
+        });
+        document.querySelector('#saveState').onclick = () => {
+            let state;
+            try {
+                state = JSON.parse(textarea.value);
+            } catch (err) {
+                status.textContent = `Invalid JSON: ${err.message}`;
+                return;
+            }
+            send('/__admin/state', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(state),
+            });
+        };
+        document.querySelector('#revertState').onclick = () =>
+            send('/__admin/state');
+        document.querySelector('#resetState').onclick = () =>
+            send('/__admin/state/reset', { method: 'POST' });
+
+        const events = new EventSource('/__admin/state/events');
+        events.addEventListener('state', (e) => {
+            if (!this.stateEdited) {
+                showState(JSON.parse(e.data));
+            }
+        });
+        events.onerror = () => {
+            if (!this.stateEdited) {
+                status.textContent = 'reconnecting…';
+            }
+        };
+    }
 }
 
 new Main().init();
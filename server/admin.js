@@ -0,0 +1,639 @@
+//@ts-check
+import { HttpError } from './http-error.js';
+import { sendJson } from './http-utils.js';
+import { validateFaults } from './faults.js';
+import { validateRateLimit } from './rate-limit.js';
+import {
+    createOpenApiDocument,
+    exampleUrl,
+    renderRouteIndex,
+} from './route-docs.js';
+import { formatSseEvent } from './streaming.js';
+
+/** Url prefix reserved for the admin API. */
+export const ADMIN_PREFIX = '/__admin';
+
+const STUB_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * @param {import('./server.js').ApiControllerRoute<any>} route
+ * @returns {Record<string, any>}
+ */
+const describeRoute = (route) => ({
+    method: route.method || 'ANY',
+    url: route.url,
+    ...(route.source ? { source: route.source } : {}),
+    ...(route.summary ? { summary: route.summary } : {}),
+    ...(route.tags ? { tags: route.tags } : {}),
+    ...(route.auth ? { auth: route.auth } : {}),
+    ...(route.rateLimit ? { rateLimit: route.rateLimit } : {}),
+    example: exampleUrl(route),
+    ...(route.examples?.params ? { paramsExample: route.examples.params } : {}),
+    ...(route.examples?.query ? { queryExample: route.examples.query } : {}),
+    ...(route.examples?.request !== undefined
+        ? { requestExample: route.examples.request }
+        : {}),
+});
+
+/**
+ * @param {import('./server.js').Stub} stub
+ * @returns {Record<string, any>}
+ */
+const describeStub = (stub) => ({
+    id: stub.id,
+    ...describeRoute(stub),
+    expiresAt: stub.expiresAt && new Date(stub.expiresAt).toISOString(),
+    remaining: stub.remaining,
+});
+
+/**
+ * @param {import('./websocket.js').WebSocketConnection} ws
+ * @returns {Record<string, any>}
+ */
+const describeWebSocket = (ws) => ({
+    id: ws.id,
+    url: ws.url,
+    protocol: ws.protocol,
+    connectedAt: ws.connectedAt,
+});
+
+/**
+ * Checks a stub mapping received through the admin API.
+ * @param {any} body
+ * @returns {import('./server.js').StubDefinition}
+ */
+const validateStub = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'A stub must be a JSON object');
+    }
+    /** @type {string[]} */
+    const errors = [];
+    const {
+        url,
+        method,
+        status,
+        headers,
+        ttl,
+        times,
+        match,
+        priority,
+        rateLimit,
+        bodyFile,
+    } = body;
+    if (typeof url !== 'string' || !url.startsWith('/')) {
+        errors.push('url must be a path starting with "/"');
+    }
+    if (
+        method !== undefined &&
+        !STUB_METHODS.includes(String(method).toUpperCase())
+    ) {
+        errors.push(`method must be one of ${STUB_METHODS.join(', ')}`);
+    }
+    if (
+        status !== undefined &&
+        !(Number.isInteger(status) && status >= 100 && status < 600)
+    ) {
+        errors.push('status must be an HTTP status code');
+    }
+    if (
+        headers !== undefined &&
+        (typeof headers !== 'object' || Array.isArray(headers))
+    ) {
+        errors.push('headers must be an object');
+    }
+    if (
+        match !== undefined &&
+        (!match || typeof match !== 'object' || Array.isArray(match))
+    ) {
+        errors.push('match must be an object of query, headers and body');
+    }
+    if (priority !== undefined && !Number.isInteger(priority)) {
+        errors.push('priority must be an integer');
+    }
+    if (ttl !== undefined && !(typeof ttl === 'number' && ttl > 0)) {
+        errors.push('ttl must be a positive number of milliseconds');
+    }
+    if (times !== undefined && !(Number.isInteger(times) && times > 0)) {
+        errors.push('times must be a positive integer');
+    }
+    if (bodyFile !== undefined) {
+        // stubs come from outside, so they may not read files
+        errors.push('bodyFile is only allowed in mock files, send a body');
+    }
+    if (rateLimit !== undefined && rateLimit !== false) {
+        try {
+            validateRateLimit(rateLimit);
+        } catch (err) {
+            errors.push(.../** @type {HttpError} */ (err).details);
+        }
+    }
+    if (errors.length) {
+        throw new HttpError(400, 'Invalid stub', errors);
+    }
+    return body;
+};
+
+/**
+ * @param {string | string[] | undefined} value
+ * @returns {string | undefined}
+ */
+const single = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Reads journal filters from the query string.
+ * @param {Record<string, string | string[]>} query
+ * @returns {import('./journal.js').JournalFilter}
+ */
+const journalFilter = (query) => {
+    const status = single(query.status);
+    const matched = single(query.matched);
+    const limit = single(query.limit);
+    return {
+        method: single(query.method),
+        url: single(query.url),
+        status: status ? parseInt(status, 10) : undefined,
+        matched: matched ? matched === 'true' : undefined,
+        limit: limit ? parseInt(limit, 10) : undefined,
+    };
+};
+
+/**
+ * Builds the routes of the reserved admin namespace.
+ * @param {import('./server.js').MiniServer<any>} server
+ * @param {() => import('./server.js').ApiController<any> | undefined} [mounted]
+ * a mounted controller to manage instead of the server's own one. Its admin
+ * API leaves out what belongs to the whole server: the global faults and
+ * the list of mounts.
+ * @returns {import('./server.js').ApiControllerRoute<any>[]}
+ */
+export const createAdminRoutes = (server, mounted) => {
+    const target = mounted || (() => server.apiConteoller);
+    const controller = () => {
+        const api = target();
+        if (!api) {
+            throw new HttpError(404, 'The server has no api controller');
+        }
+        return api;
+    };
+
+    /**
+     * @param {string} id
+     * @returns {import('./websocket.js').WebSocketConnection}
+     */
+    const findWebSocket = (id) => {
+        const ws = [...controller().webSockets].find((ws) => ws.id === id);
+        if (!ws) {
+            throw new HttpError(404, `No WebSocket connection ${id}`);
+        }
+        return ws;
+    };
+
+    /**
+     * Stubs first, as they are matched before the routes.
+     * @returns {import('./server.js').ApiControllerRoute<any>[]}
+     */
+    const servedRoutes = () => {
+        const { stubs, routes } = controller();
+        return [...stubs, ...routes];
+    };
+
+    /** @type {import('./server.js').ApiControllerRoute<any>[]} */
+    const serverRoutes = [
+        {
+            url: `${ADMIN_PREFIX}/mounts`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                sendJson(
+                    res,
+                    200,
+                    server.mounts.map(({ prefix, controller }) => ({
+                        prefix,
+                        admin: `${prefix}${ADMIN_PREFIX}`,
+                        routes: controller.routes.length,
+                        persistState: controller.persistState,
+                        ...(controller.persistState
+                            ? { stateSaveFile: controller.stateSaveFile }
+                            : {}),
+                    }))
+                );
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/faults`,
+            method: 'PUT',
+            routeAction: (req, res, { body }) => {
+                server.setFaults(validateFaults(body));
+                sendJson(res, 200, { global: server.faults });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/faults`,
+            method: 'DELETE',
+            routeAction: (req, res) => {
+                server.setFaults(null);
+                sendJson(res, 204, undefined);
+            },
+        },
+    ];
+
+    return [
+        {
+            url: `${ADMIN_PREFIX}/routes`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                const { stubs, routes } = controller();
+                sendJson(res, 200, {
+                    stubs: stubs.map(describeStub),
+                    routes: routes.map(describeRoute),
+                });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/stubs`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                sendJson(res, 200, controller().stubs.map(describeStub));
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/stubs`,
+            method: 'POST',
+            routeAction: (req, res, { body }) => {
+                const stub = controller().addStub(validateStub(body));
+                sendJson(res, 201, describeStub(stub), {
+                    Location: `${ADMIN_PREFIX}/stubs/${stub.id}`,
+                });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/stubs/:id`,
+            method: 'DELETE',
+            routeAction: (req, res, { params }) => {
+                if (!controller().removeStub(params.id)) {
+                    throw new HttpError(404, `No stub ${params.id}`);
+                }
+                sendJson(res, 204, undefined);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/reset`,
+            method: 'POST',
+            routeAction: (req, res) => {
+                const api = controller();
+                api.resetRoutes();
+                api.resetScenarios();
+                api.journal.clear();
+                api.resetRateLimits();
+                if (!mounted) {
+                    server.setFaults(server.initialFaults);
+                }
+                sendJson(res, 204, undefined);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/rate-limits`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                sendJson(
+                    res,
+                    200,
+                    controller().rateLimiters.map(({ name, limiter }) => ({
+                        name,
+                        ...limiter.toJSON(),
+                    }))
+                );
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/rate-limits`,
+            method: 'DELETE',
+            routeAction: (req, res, { query }) => {
+                controller().resetRateLimits(single(query.key));
+                sendJson(res, 204, undefined);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/scenarios`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                sendJson(res, 200, controller().listScenarios());
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/scenarios/reset`,
+            method: 'POST',
+            routeAction: (req, res) => {
+                const api = controller();
+                api.resetScenarios();
+                sendJson(res, 200, api.listScenarios());
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/scenarios/:name`,
+            method: 'PUT',
+            routeAction: (req, res, { params, body }) => {
+                if (!body || typeof body.state !== 'string') {
+                    throw new HttpError(400, 'A scenario "state" is required');
+                }
+                const api = controller();
+                api.setScenarioState(params.name, body.state);
+                sendJson(res, 200, {
+                    name: params.name,
+                    state: api.getScenarioState(params.name),
+                });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/scenarios/:name/reset`,
+            method: 'POST',
+            routeAction: (req, res, { params }) => {
+                const api = controller();
+                api.resetScenarios(params.name);
+                sendJson(res, 200, {
+                    name: params.name,
+                    state: api.getScenarioState(params.name),
+                });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                sendJson(res, 200, controller().state);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state`,
+            method: 'PUT',
+            routeAction: (req, res, { body }) => {
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new HttpError(400, 'State must be a JSON object');
+                }
+                const api = controller();
+                api.replaceState(body);
+                sendJson(res, 200, api.state);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state/events`,
+            method: 'GET',
+            summary: 'Streams the state, again after every change',
+            routeAction: async (req, res) => {
+                const api = controller();
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream; charset=utf-8',
+                    'Cache-Control': 'no-cache',
+                    Connection: 'keep-alive',
+                });
+                let last = '';
+                /** @param {any} state */
+                const send = (state) => {
+                    const data = JSON.stringify(state);
+                    if (data !== last) {
+                        last = data;
+                        res.write(formatSseEvent({ event: 'state', data }));
+                    }
+                };
+                send(api.state);
+                const unsubscribe = api.onStateChange(send);
+                await new Promise((resolve) => res.once('close', resolve));
+                unsubscribe();
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state/reset`,
+            method: 'POST',
+            routeAction: (req, res) => {
+                const api = controller();
+                api.resetState();
+                sendJson(res, 200, api.state);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state/snapshots`,
+            method: 'GET',
+            routeAction: async (req, res) => {
+                const api = controller();
+                sendJson(res, 200, {
+                    profile: api.stateProfile,
+                    snapshots: await api.listSnapshots(),
+                });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state/snapshots`,
+            method: 'POST',
+            routeAction: async (req, res, { body }) => {
+                if (!body || typeof body.name !== 'string') {
+                    throw new HttpError(400, 'A snapshot "name" is required');
+                }
+                await controller().saveSnapshot(body.name);
+                sendJson(res, 201, { name: body.name });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state/snapshots/:name/restore`,
+            method: 'POST',
+            routeAction: async (req, res, { params }) => {
+                const api = controller();
+                await api.restoreSnapshot(params.name);
+                sendJson(res, 200, api.state);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state/snapshots/:name`,
+            method: 'DELETE',
+            routeAction: async (req, res, { params }) => {
+                await controller().deleteSnapshot(params.name);
+                sendJson(res, 204, undefined);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state/profile`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                sendJson(res, 200, { profile: controller().stateProfile });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/state/profile`,
+            method: 'PUT',
+            routeAction: async (req, res, { body }) => {
+                const name = body && body.name;
+                if (name !== null && typeof name !== 'string') {
+                    throw new HttpError(
+                        400,
+                        'A profile "name" is required, null for none'
+                    );
+                }
+                const api = controller();
+                await api.setStateProfile(name);
+                sendJson(res, 200, {
+                    profile: api.stateProfile,
+                    state: api.state,
+                });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/requests`,
+            method: 'GET',
+            routeAction: (req, res, { query }) => {
+                sendJson(
+                    res,
+                    200,
+                    controller().journal.list(journalFilter(query))
+                );
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/requests`,
+            method: 'DELETE',
+            routeAction: (req, res) => {
+                controller().journal.clear();
+                sendJson(res, 204, undefined);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/requests/verify`,
+            method: 'POST',
+            routeAction: (req, res, { body }) => {
+                if (!body || typeof body.url !== 'string') {
+                    throw new HttpError(400, 'A "url" to verify is required');
+                }
+                sendJson(res, 200, controller().verify(body));
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/requests/:id`,
+            method: 'GET',
+            routeAction: (req, res, { params }) => {
+                const entry = controller().journal.get(parseInt(params.id, 10));
+                if (!entry) {
+                    throw new HttpError(404, `No request ${params.id}`);
+                }
+                sendJson(res, 200, entry);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/websockets`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                sendJson(res, 200, {
+                    routes: controller().webSocketRoutes.map((route) => ({
+                        url: route.url,
+                        ...(route.summary ? { summary: route.summary } : {}),
+                    })),
+                    connections: [...controller().webSockets].map(
+                        describeWebSocket
+                    ),
+                });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/websockets/broadcast`,
+            method: 'POST',
+            routeAction: (req, res, { body }) => {
+                if (!body || body.message === undefined) {
+                    throw new HttpError(400, 'A "message" is required');
+                }
+                const sent = controller().broadcast(body.message, {
+                    url: body.url,
+                });
+                sendJson(res, 200, { sent });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/websockets/:id/send`,
+            method: 'POST',
+            routeAction: (req, res, { params, body }) => {
+                if (!body || body.message === undefined) {
+                    throw new HttpError(400, 'A "message" is required');
+                }
+                findWebSocket(params.id).send(body.message);
+                sendJson(res, 200, { sent: 1 });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/websockets/:id`,
+            method: 'DELETE',
+            routeAction: (req, res, { params, query }) => {
+                const code = query.code ? Number(query.code) : undefined;
+                if (
+                    code !== undefined &&
+                    code !== 1000 &&
+                    !(code >= 3000 && code <= 4999)
+                ) {
+                    throw new HttpError(
+                        400,
+                        'code must be 1000 or between 3000 and 4999'
+                    );
+                }
+                findWebSocket(params.id).close(
+                    code,
+                    String(query.reason || '')
+                );
+                sendJson(res, 204, undefined);
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/openapi.json`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                sendJson(res, 200, createOpenApiDocument(servedRoutes()));
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/docs`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end(
+                    renderRouteIndex(servedRoutes(), {
+                        openApiUrl: `${ADMIN_PREFIX}/openapi.json`,
+                    })
+                );
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/faults`,
+            method: 'GET',
+            routeAction: (req, res) => {
+                sendJson(res, 200, {
+                    ...(mounted ? {} : { global: server.faults }),
+                    routes: (target()?.routes || [])
+                        .filter((route) => route.faults)
+                        .map((route) => ({
+                            ...describeRoute(route),
+                            faults: route.faults,
+                        })),
+                });
+            },
+        },
+        {
+            url: `${ADMIN_PREFIX}/faults/routes`,
+            method: 'PUT',
+            routeAction: (req, res, { body }) => {
+                const { url, method, faults } = body || {};
+                if (typeof url !== 'string') {
+                    throw new HttpError(400, 'A route "url" is required');
+                }
+                const route = controller().findRouteByUrl(url, method);
+                if (!route) {
+                    throw new HttpError(
+                        404,
+                        `No route ${method || 'GET'} ${url}`
+                    );
+                }
+                controller().setRouteFaults(
+                    route,
+                    faults === null ? null : validateFaults(faults)
+                );
+                sendJson(res, 200, {
+                    ...describeRoute(route),
+                    faults: route.faults || null,
+                });
+            },
+        },
+        ...(mounted ? [] : serverRoutes),
+    ];
+};
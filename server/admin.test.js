@@ -0,0 +1,284 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createMockRoute } from './mock-files.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+/**
+ * @param {string} url
+ * @param {any} body
+ * @param {Record<string, string>} [headers]
+ * @returns {Promise<Response>}
+ */
+const postJson = (url, body, headers = {}) =>
+    fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
+
+test('adds, uses up and removes stubs', async (t) => {
+    const { url } = await startTestServer(t, {
+        controller: () =>
+            new ApiController({
+                routes: [
+                    ApiController.createRoute({
+                        url: '/api/users',
+                        data: ['built-in'],
+                    }),
+                ],
+            }),
+    });
+    const created = await postJson(`${url}/__admin/stubs`, {
+        url: '/api/users',
+        body: ['stubbed'],
+        times: 2,
+    });
+    assert.equal(created.status, 201);
+    const { id } = /** @type {any} */ (await created.json());
+    assert.equal(created.headers.get('location'), `/__admin/stubs/${id}`);
+
+    const bodies = [];
+    for (let i = 0; i < 3; i++) {
+        bodies.push(await (await fetch(`${url}/api/users`)).json());
+    }
+    assert.deepEqual(bodies, [['stubbed'], ['stubbed'], ['built-in']]);
+
+    const again = /** @type {any} */ (
+        await (
+            await postJson(`${url}/__admin/stubs`, {
+                url: '/api/users',
+                body: ['again'],
+            })
+        ).json()
+    );
+    const removed = await fetch(`${url}/__admin/stubs/${again.id}`, {
+        method: 'DELETE',
+    });
+    assert.equal(removed.status, 204);
+    assert.deepEqual(await (await fetch(`${url}/api/users`)).json(), [
+        'built-in',
+    ]);
+});
+
+test('counts stub calls only once they pass the rate limit', async (t) => {
+    const { url } = await startTestServer(t);
+    await postJson(`${url}/__admin/stubs`, {
+        url: '/api/limited',
+        body: 'stubbed',
+        times: 2,
+        rateLimit: { limit: 1 },
+    });
+    /** @param {string} client */
+    const call = async (client) => {
+        const res = await fetch(`${url}/api/limited`, {
+            headers: { 'x-forwarded-for': client },
+        });
+        await res.arrayBuffer();
+        return res.status;
+    };
+    assert.equal(await call('10.0.0.1'), 200);
+    assert.equal(await call('10.0.0.1'), 429);
+    assert.equal(await call('10.0.0.2'), 200);
+    assert.equal(await call('10.0.0.3'), 404);
+});
+
+test('rejects invalid stubs and stubs that read files', async (t) => {
+    const { url } = await startTestServer(t);
+    const invalid = await postJson(`${url}/__admin/stubs`, {
+        url: 'no-slash',
+        status: 99,
+    });
+    assert.equal(invalid.status, 400);
+    const leak = await postJson(`${url}/__admin/stubs`, {
+        url: '/leak',
+        bodyFile: '../../../../../../etc/hostname',
+    });
+    assert.equal(leak.status, 400);
+    assert.match(
+        JSON.stringify(await leak.json()),
+        /bodyFile is only allowed in mock files/
+    );
+    assert.equal((await fetch(`${url}/leak`)).status, 404);
+});
+
+test('keeps body files of mock files inside the mocks folder', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'body-files-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    await mkdir(join(dir, 'mocks', 'nested'), { recursive: true });
+    const mocksDir = join(dir, 'mocks');
+    const file = join(mocksDir, 'nested', 'a.json');
+    assert.doesNotThrow(() =>
+        createMockRoute(
+            { url: '/a', bodyFile: '../__files/a.json' },
+            file,
+            mocksDir
+        )
+    );
+    assert.throws(
+        () =>
+            createMockRoute(
+                { url: '/a', bodyFile: '../../secret.txt' },
+                file,
+                mocksDir
+            ),
+        /is outside/
+    );
+    assert.throws(
+        () => createMockRoute({ url: '/a', bodyFile: '/etc/hostname' }),
+        /is outside/
+    );
+});
+
+test('leaves the admin api out of the wildcard CORS default', async (t) => {
+    const { url } = await startTestServer(t);
+    const origin = 'http://evil.example';
+    const api = await fetch(`${url}/api/missing`, { headers: { origin } });
+    assert.equal(api.headers.get('access-control-allow-origin'), '*');
+
+    const read = await fetch(`${url}/__admin/state`, { headers: { origin } });
+    assert.equal(read.status, 403);
+    assert.equal(read.headers.get('access-control-allow-origin'), null);
+    const preflight = await fetch(`${url}/__admin/stubs`, {
+        method: 'OPTIONS',
+        headers: {
+            origin,
+            'access-control-request-method': 'POST',
+            'access-control-request-headers': 'content-type',
+        },
+    });
+    assert.notEqual(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+    const write = await postJson(
+        `${url}/__admin/stubs`,
+        { url: '/x', body: 1 },
+        { origin }
+    );
+    assert.equal(write.status, 403);
+
+    // the dashboard calls from its own origin
+    const own = await fetch(`${url}/__admin/state`, {
+        headers: { origin: url },
+    });
+    assert.equal(own.status, 200);
+});
+
+test('answers listed origins on the admin api', async (t) => {
+    const origin = 'http://localhost:5173';
+    const { url } = await startTestServer(t, { cors: { origin: [origin] } });
+    const allowed = await fetch(`${url}/__admin/state`, {
+        headers: { origin },
+    });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), origin);
+    const other = await fetch(`${url}/__admin/state`, {
+        headers: { origin: 'http://evil.example' },
+    });
+    assert.equal(other.status, 403);
+});
+
+test('gives the dashboard its routes and a live state', async (t) => {
+    const { url, controller } = await startTestServer(t, {
+        root: fileURLToPath(new URL('..', import.meta.url)),
+        state: { count: 0 },
+        controller: () =>
+            new ApiController({
+                routes: [
+                    {
+                        url: '/api/users/:id',
+                        method: 'GET',
+                        summary: 'One user',
+                        examples: { params: { id: '7' } },
+                        routeAction: (req, res) => {
+                            res.end();
+                        },
+                    },
+                    {
+                        url: '/api/count',
+                        method: 'POST',
+                        routeAction: (req, res, { state }) => {
+                            state.count++;
+                            res.end();
+                        },
+                    },
+                ],
+            }),
+    });
+    const page = await fetch(`${url}/`);
+    assert.match(await page.text(), /assets\/main\.js/);
+
+    await postJson(`${url}/__admin/stubs`, { url: '/api/stubbed', body: 1 });
+    const listed = /** @type {any} */ (
+        await (await fetch(`${url}/__admin/routes`)).json()
+    );
+    assert.deepEqual(
+        listed.stubs.map((/** @type {any} */ stub) => stub.url),
+        ['/api/stubbed']
+    );
+    assert.deepEqual(listed.routes[0], {
+        method: 'GET',
+        url: '/api/users/:id',
+        summary: 'One user',
+        example: '/api/users/7',
+        paramsExample: { id: '7' },
+    });
+
+    const abort = new AbortController();
+    const events = await fetch(`${url}/__admin/state/events`, {
+        signal: abort.signal,
+    });
+    assert.equal(
+        events.headers.get('content-type'),
+        'text/event-stream; charset=utf-8'
+    );
+    const reader = /** @type {ReadableStream<Uint8Array>} */ (
+        events.body
+    ).getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    /**
+     * @param {number} count
+     * @returns {Promise<string[]>} the first `count` events
+     */
+    const read = async (count) => {
+        while (text.split('\n\n').length - 1 < count) {
+            const { value } = await reader.read();
+            text += decoder.decode(value, { stream: true });
+        }
+        return text.split('\n\n').slice(0, count);
+    };
+    assert.deepEqual(await read(1), ['event: state\ndata: {"count":0}']);
+    await (await fetch(`${url}/api/count`, { method: 'POST' })).arrayBuffer();
+    const replaced = await fetch(`${url}/__admin/state`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ count: 10 }),
+    });
+    assert.deepEqual(await replaced.json(), { count: 10 });
+    assert.deepEqual((await read(3)).slice(1), [
+        'event: state\ndata: {"count":1}',
+        'event: state\ndata: {"count":10}',
+    ]);
+    abort.abort();
+
+    const invalid = await fetch(`${url}/__admin/state`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: '"text"',
+    });
+    assert.equal(invalid.status, 400);
+    await invalid.arrayBuffer();
+    const list = await fetch(`${url}/__admin/state`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: '[1, 2]',
+    });
+    assert.equal(list.status, 400);
+    await list.arrayBuffer();
+    assert.deepEqual(controller.state, { count: 10 });
+});
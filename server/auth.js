@@ -0,0 +1,526 @@
+//@ts-check
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { HttpError } from './http-error.js';
+import { sendJson } from './http-utils.js';
+
+/**
+ * A user that can log in, or that an API key stands for.
+ * @typedef {Object} AuthUser
+ * @property {string | number} [id] becomes the `sub` claim, defaults to the
+ * username
+ * @property {string} username
+ * @property {string} [password] any password is accepted when left out
+ * @property {string[]} [roles]
+ * @property {string[]} [scopes]
+ * @property {Record<string, any>} [claims] extra claims for the tokens
+ */
+
+/**
+ * The user handed to route actions: the claims of the token, or the same
+ * fields for API keys and Basic auth.
+ * @typedef {{ sub: string, username: string, roles: string[], scopes: string[], scheme: AuthScheme } & Record<string, any>} AuthenticatedUser
+ */
+
+/**
+ * @typedef {'bearer' | 'apiKey' | 'basic'} AuthScheme
+ */
+
+/**
+ * What a route asks of the caller. `true` means any valid bearer token.
+ * @typedef {Object} RouteAuth
+ * @property {AuthScheme[]} [schemes] accepted credentials, bearer only by
+ * default
+ * @property {string[]} [roles] the user needs at least one of them
+ * @property {string[]} [scopes] the user needs all of them
+ */
+
+/**
+ * @typedef {Object} AuthOptions
+ * @property {string} [secret] HS256 signing key
+ * @property {AuthUser[] | ((state: any) => AuthUser[])} [users] who may log
+ * in; without users any username and password is accepted
+ * @property {Record<string, AuthUser>} [apiKeys] users by API key
+ * @property {string} [apiKeyHeader] defaults to `X-API-Key`; the `api_key`
+ * query parameter works too
+ * @property {number} [accessTokenTtl] seconds, defaults to one hour
+ * @property {number} [refreshTokenTtl] seconds, defaults to seven days
+ * @property {string} [issuer]
+ * @property {Record<string, any> | ((user: AuthUser) => Record<string, any>)} [claims]
+ * added to every access token
+ * @property {string} [basePath] of the login endpoints, defaults to `/auth`
+ * @property {string} [realm] defaults to `mini-server`
+ */
+
+const DEFAULT_SECRET = 'mini-server-mock-secret';
+
+/**
+ * @param {Buffer | string} value
+ * @returns {string}
+ */
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const quote = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Signs claims as an HS256 JSON Web Token.
+ * @param {Record<string, any>} claims
+ * @param {string} secret
+ * @returns {string}
+ */
+export const signJwt = (claims, secret) => {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify(claims));
+    const signature = createHmac('sha256', secret)
+        .update(`${header}.${payload}`)
+        .digest('base64url');
+    return `${header}.${payload}.${signature}`;
+};
+
+/**
+ * Checks the signature and expiry of an HS256 token and returns its claims.
+ * @param {string} token
+ * @param {string} secret
+ * @returns {Record<string, any>}
+ * @throws {Error} with a message fit for `error_description`
+ */
+export const verifyJwt = (token, secret) => {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new Error('The token is malformed');
+    }
+    const [header, payload, signature] = parts;
+    /** @type {any} */
+    let decodedHeader;
+    /** @type {any} */
+    let claims;
+    try {
+        decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString());
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch {
+        throw new Error('The token is malformed');
+    }
+    if (decodedHeader.alg !== 'HS256') {
+        throw new Error('The token must be signed with HS256');
+    }
+    const expected = createHmac('sha256', secret)
+        .update(`${header}.${payload}`)
+        .digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (
+        actual.length !== expected.length ||
+        !timingSafeEqual(actual, expected)
+    ) {
+        throw new Error('The token signature is invalid');
+    }
+    if (typeof claims.exp === 'number' && claims.exp * 1000 <= Date.now()) {
+        throw new Error('The token expired');
+    }
+    return claims;
+};
+
+/**
+ * Issues mock tokens and checks the credentials that routes ask for.
+ */
+export class MockAuth {
+    /** @type {Set<string>} ids of tokens that were logged out */
+    #revoked = new Set();
+
+    /**
+     * @param {AuthOptions} [options]
+     */
+    constructor(options = {}) {
+        this.secret = options.secret || DEFAULT_SECRET;
+        this.users = options.users || null;
+        this.apiKeys = options.apiKeys || {};
+        this.apiKeyHeader = (options.apiKeyHeader || 'X-API-Key').toLowerCase();
+        this.accessTokenTtl = options.accessTokenTtl ?? 3600;
+        this.refreshTokenTtl = options.refreshTokenTtl ?? 7 * 24 * 3600;
+        this.issuer = options.issuer;
+        this.claims = options.claims || {};
+        this.basePath = options.basePath ?? '/auth';
+        this.realm = options.realm || 'mini-server';
+    }
+
+    /**
+     * Finds the user for a username and password.
+     * @param {string} username
+     * @param {string | undefined} password
+     * @param {any} state
+     * @returns {AuthUser | null}
+     */
+    findUser(username, password, state) {
+        if (!this.users) {
+            return { username };
+        }
+        const users =
+            typeof this.users === 'function'
+                ? this.users(state) || []
+                : this.users;
+        return (
+            users.find(
+                (user) =>
+                    user.username === username &&
+                    (user.password === undefined || user.password === password)
+            ) || null
+        );
+    }
+
+    /**
+     * @param {AuthUser} user
+     * @returns {{ sub: string, username: string, roles: string[], scopes: string[] }}
+     */
+    #profile(user) {
+        return {
+            sub: String(user.id ?? user.username),
+            username: user.username,
+            roles: user.roles || [],
+            scopes: user.scopes || [],
+        };
+    }
+
+    /**
+     * Issues an access and a refresh token for a user.
+     * @param {AuthUser} user
+     * @returns {{ access_token: string, refresh_token: string, token_type: string, expires_in: number, user: Record<string, any> }}
+     */
+    issueTokens(user) {
+        const now = Math.floor(Date.now() / 1000);
+        const { scopes, ...profile } = this.#profile(user);
+        const extra =
+            typeof this.claims === 'function' ? this.claims(user) : this.claims;
+        const common = {
+            ...(this.issuer ? { iss: this.issuer } : {}),
+            iat: now,
+        };
+        const accessToken = signJwt(
+            {
+                ...extra,
+                ...user.claims,
+                ...profile,
+                scope: scopes.join(' '),
+                ...common,
+                exp: now + this.accessTokenTtl,
+                jti: randomUUID(),
+            },
+            this.secret
+        );
+        const refreshToken = signJwt(
+            {
+                sub: profile.sub,
+                username: user.username,
+                token_use: 'refresh',
+                ...common,
+                exp: now + this.refreshTokenTtl,
+                jti: randomUUID(),
+            },
+            this.secret
+        );
+        return {
+            access_token: accessToken,
+            refresh_token: refreshToken,
+            token_type: 'Bearer',
+            expires_in: this.accessTokenTtl,
+            user: { ...profile, scopes },
+        };
+    }
+
+    /**
+     * Checks a token and that it was not logged out.
+     * @param {string} token
+     * @param {'access' | 'refresh'} use
+     * @returns {Record<string, any>}
+     */
+    verify(token, use) {
+        const claims = verifyJwt(token, this.secret);
+        if ((claims.token_use === 'refresh') !== (use === 'refresh')) {
+            throw new Error(`Not an ${use} token`);
+        }
+        if (claims.jti && this.#revoked.has(claims.jti)) {
+            throw new Error('The token was revoked');
+        }
+        return claims;
+    }
+
+    /**
+     * Revokes a token so that it is refused from now on.
+     * @param {string} token
+     * @returns {void}
+     */
+    revoke(token) {
+        try {
+            const claims = verifyJwt(token, this.secret);
+            if (claims.jti) {
+                this.#revoked.add(claims.jti);
+            }
+        } catch {
+            // an invalid or expired token needs no revoking
+        }
+    }
+
+    /**
+     * Builds the `WWW-Authenticate` challenges for the accepted schemes.
+     * @param {AuthScheme[]} schemes
+     * @param {Record<string, string>} [bearerParams]
+     * @returns {Record<string, string>}
+     */
+    #challenge(schemes, bearerParams = {}) {
+        const realm = `realm=${quote(this.realm)}`;
+        const challenges = schemes.map((scheme) => {
+            if (scheme === 'basic') {
+                return `Basic ${realm}, charset="UTF-8"`;
+            }
+            if (scheme === 'apiKey') {
+                return `ApiKey ${realm}, header=${quote(this.apiKeyHeader)}`;
+            }
+            const params = Object.entries(bearerParams).map(
+                ([key, value]) => `${key}=${quote(value)}`
+            );
+            return `Bearer ${[realm, ...params].join(', ')}`;
+        });
+        return { 'WWW-Authenticate': challenges.join(', ') };
+    }
+
+    /**
+     * Reads the credentials of a request. With a requirement, missing or
+     * bad credentials are answered with a 401 and missing roles or scopes
+     * with a 403; without one the user is only decoded when valid.
+     * @param {import('http').IncomingMessage} request
+     * @param {Record<string, string | string[]>} query
+     * @param {boolean | RouteAuth | undefined} requirement
+     * @param {any} state
+     * @returns {AuthenticatedUser | null}
+     */
+    authenticate(request, query, requirement, state) {
+        const rules = requirement === true ? {} : requirement || null;
+        /** @type {AuthScheme[]} */
+        const schemes = rules?.schemes?.length
+            ? rules.schemes
+            : rules
+              ? ['bearer']
+              : ['bearer', 'apiKey', 'basic'];
+        /**
+         * @param {string} message
+         * @param {Record<string, string>} [bearerParams]
+         * @returns {HttpError}
+         */
+        const unauthorized = (message, bearerParams) =>
+            new HttpError(
+                401,
+                message,
+                undefined,
+                this.#challenge(schemes, bearerParams)
+            );
+
+        /** @type {AuthenticatedUser | null} */
+        let user = null;
+        try {
+            user = this.#readCredentials(request, query, schemes, state);
+        } catch (err) {
+            if (!rules) {
+                return null;
+            }
+            throw unauthorized(/** @type {Error} */ (err).message, {
+                error: 'invalid_token',
+                error_description: /** @type {Error} */ (err).message,
+            });
+        }
+        if (!rules) {
+            return user;
+        }
+        if (!user) {
+            throw unauthorized('Authentication is required');
+        }
+        const roles = rules.roles || [];
+        if (roles.length && !roles.some((role) => user.roles.includes(role))) {
+            throw new HttpError(
+                403,
+                `One of the roles ${roles.join(', ')} is required`,
+                undefined,
+                this.#challenge(schemes, { error: 'insufficient_scope' })
+            );
+        }
+        const scopes = rules.scopes || [];
+        const missing = scopes.filter((scope) => !user.scopes.includes(scope));
+        if (missing.length) {
+            throw new HttpError(
+                403,
+                `The scopes ${missing.join(', ')} are required`,
+                undefined,
+                this.#challenge(schemes, {
+                    error: 'insufficient_scope',
+                    scope: scopes.join(' '),
+                })
+            );
+        }
+        return user;
+    }
+
+    /**
+     * @param {import('http').IncomingMessage} request
+     * @param {Record<string, string | string[]>} query
+     * @param {AuthScheme[]} schemes
+     * @param {any} state
+     * @returns {AuthenticatedUser | null} null when no credentials were sent
+     * @throws {Error} when credentials were sent but are not valid
+     */
+    #readCredentials(request, query, schemes, state) {
+        const authorization = String(request.headers.authorization || '');
+        const [type, credentials = ''] = authorization.split(/\s+/, 2);
+        if (schemes.includes('bearer') && /^bearer$/i.test(type)) {
+            const claims = this.verify(credentials, 'access');
+            return {
+                ...claims,
+                sub: String(claims.sub),
+                username: claims.username ?? String(claims.sub),
+                roles: claims.roles || [],
+                scopes: String(claims.scope || '')
+                    .split(' ')
+                    .filter((scope) => scope),
+                scheme: 'bearer',
+            };
+        }
+        if (schemes.includes('basic') && /^basic$/i.test(type)) {
+            const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            const user =
+                separator > 0
+                    ? this.findUser(
+                          decoded.substring(0, separator),
+                          decoded.substring(separator + 1),
+                          state
+                      )
+                    : null;
+            if (!user) {
+                throw new Error('The username or password is wrong');
+            }
+            return { ...user.claims, ...this.#profile(user), scheme: 'basic' };
+        }
+        const headerKey = request.headers[this.apiKeyHeader];
+        const apiKey = headerKey ?? query.api_key;
+        if (schemes.includes('apiKey') && apiKey !== undefined) {
+            const user = this.apiKeys[String(apiKey)];
+            if (!user) {
+                throw new Error('The API key is not known');
+            }
+            return { ...user.claims, ...this.#profile(user), scheme: 'apiKey' };
+        }
+        return null;
+    }
+
+    /**
+     * Creates the login, refresh, logout and current user routes.
+     * @returns {import('./server.js').ApiControllerRoute<any>[]}
+     */
+    createRoutes() {
+        const tags = ['auth'];
+        return [
+            {
+                url: `${this.basePath}/login`,
+                method: 'POST',
+                summary: 'Log in with a username and password',
+                tags,
+                examples: {
+                    request: { username: 'alice', password: 'secret' },
+                },
+                routeAction: (req, res, { body, state }) => {
+                    const { username, password } = body || {};
+                    if (typeof username !== 'string' || !username) {
+                        throw new HttpError(400, 'A "username" is required');
+                    }
+                    const user = this.findUser(username, password, state);
+                    if (!user) {
+                        throw new HttpError(
+                            401,
+                            'The username or password is wrong'
+                        );
+                    }
+                    sendJson(res, 200, this.issueTokens(user));
+                },
+            },
+            {
+                url: `${this.basePath}/refresh`,
+                method: 'POST',
+                summary: 'Trade a refresh token for new tokens',
+                tags,
+                routeAction: (req, res, { body, state }) => {
+                    const token = body && body.refresh_token;
+                    if (typeof token !== 'string') {
+                        throw new HttpError(
+                            400,
+                            'A "refresh_token" is required'
+                        );
+                    }
+                    /** @type {Record<string, any>} */
+                    let claims;
+                    try {
+                        claims = this.verify(token, 'refresh');
+                    } catch (err) {
+                        throw new HttpError(
+                            401,
+                            /** @type {Error} */ (err).message
+                        );
+                    }
+                    const user = this.#refreshUser(claims, state);
+                    if (!user) {
+                        throw new HttpError(401, 'The user no longer exists');
+                    }
+                    // refresh tokens are single use
+                    this.revoke(token);
+                    sendJson(res, 200, this.issueTokens(user));
+                },
+            },
+            {
+                url: `${this.basePath}/logout`,
+                method: 'POST',
+                summary: 'Revoke the access and refresh tokens',
+                tags,
+                routeAction: (req, res, { body, headers }) => {
+                    const [, accessToken] = String(
+                        headers.authorization || ''
+                    ).split(/\s+/, 2);
+                    if (accessToken) {
+                        this.revoke(accessToken);
+                    }
+                    if (body && typeof body.refresh_token === 'string') {
+                        this.revoke(body.refresh_token);
+                    }
+                    sendJson(res, 204, undefined);
+                },
+            },
+            {
+                url: `${this.basePath}/me`,
+                method: 'GET',
+                summary: 'The user of the access token',
+                tags,
+                auth: true,
+                routeAction: (req, res, { user }) => {
+                    sendJson(res, 200, user);
+                },
+            },
+        ];
+    }
+
+    /**
+     * @param {Record<string, any>} claims
+     * @param {any} state
+     * @returns {AuthUser | null}
+     */
+    #refreshUser(claims, state) {
+        if (!this.users) {
+            return { username: claims.username };
+        }
+        const users =
+            typeof this.users === 'function'
+                ? this.users(state) || []
+                : this.users;
+        return (
+            users.find(
+                (user) => String(user.id ?? user.username) === claims.sub
+            ) || null
+        );
+    }
+}
@@ -0,0 +1,219 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signJwt, verifyJwt } from './auth.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+const SECRET = 'test-secret';
+
+const buildController = () =>
+    new ApiController({
+        initialState: {
+            orders: /** @type {Record<string, string[]>} */ ({
+                ada: ['book'],
+                bob: [],
+            }),
+        },
+        auth: {
+            secret: SECRET,
+            users: [
+                {
+                    id: 1,
+                    username: 'ada',
+                    password: 'pw',
+                    roles: ['admin'],
+                    scopes: ['orders:read'],
+                },
+                { username: 'bob', password: 'pw' },
+            ],
+            apiKeys: { 'key-1': { username: 'ci', roles: ['service'] } },
+        },
+        routes: [
+            {
+                url: '/api/orders',
+                auth: true,
+                routeAction: (req, res, { state, user }) => {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(state.orders[user?.username || '']));
+                },
+            },
+            {
+                url: '/api/admin',
+                auth: { roles: ['admin'], scopes: ['orders:write'] },
+                routeAction: (req, res) => {
+                    res.end('admin');
+                },
+            },
+            {
+                url: '/api/export',
+                auth: { schemes: ['apiKey', 'basic'] },
+                routeAction: (req, res, { user }) => {
+                    res.end(`${user?.scheme} ${user?.username}`);
+                },
+            },
+        ],
+    });
+
+/**
+ * @param {string} url
+ * @param {any} body
+ * @returns {Promise<Response>}
+ */
+const postJson = (url, body) =>
+    fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+
+/**
+ * @param {string} token
+ * @returns {{ headers: Record<string, string> }}
+ */
+const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+test('signs and verifies HS256 tokens', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = signJwt({ sub: '1', exp: now + 60 }, SECRET);
+    assert.equal(verifyJwt(token, SECRET).sub, '1');
+    assert.throws(() => verifyJwt(token, 'other'), /signature/i);
+    const expired = signJwt({ sub: '1', exp: now - 1 }, SECRET);
+    assert.throws(() => verifyJwt(expired, SECRET), /expired/i);
+});
+
+test('logs in, refreshes and logs out', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    const wrong = await postJson(`${url}/auth/login`, {
+        username: 'ada',
+        password: 'nope',
+    });
+    assert.equal(wrong.status, 401);
+    await wrong.arrayBuffer();
+
+    const login = /** @type {any} */ (
+        await (
+            await postJson(`${url}/auth/login`, {
+                username: 'ada',
+                password: 'pw',
+            })
+        ).json()
+    );
+    assert.equal(login.token_type, 'Bearer');
+    assert.deepEqual(login.user, {
+        sub: '1',
+        username: 'ada',
+        roles: ['admin'],
+        scopes: ['orders:read'],
+    });
+    const me = /** @type {any} */ (
+        await (await fetch(`${url}/auth/me`, bearer(login.access_token))).json()
+    );
+    assert.equal(me.scope, 'orders:read');
+
+    const refreshed = /** @type {any} */ (
+        await (
+            await postJson(`${url}/auth/refresh`, {
+                refresh_token: login.refresh_token,
+            })
+        ).json()
+    );
+    assert.ok(refreshed.access_token);
+    const reused = await postJson(`${url}/auth/refresh`, {
+        refresh_token: login.refresh_token,
+    });
+    assert.equal(reused.status, 401);
+    await reused.arrayBuffer();
+
+    await fetch(`${url}/auth/logout`, {
+        method: 'POST',
+        ...bearer(refreshed.access_token),
+    });
+    const revoked = await fetch(
+        `${url}/api/orders`,
+        bearer(refreshed.access_token)
+    );
+    assert.equal(revoked.status, 401);
+    assert.match(
+        revoked.headers.get('www-authenticate') || '',
+        /error="invalid_token"/
+    );
+    await revoked.arrayBuffer();
+});
+
+test('protects routes and hands them the user', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    /**
+     * @param {string} username
+     * @returns {Promise<string>}
+     */
+    const tokenFor = async (username) =>
+        /** @type {any} */ (
+            await (
+                await postJson(`${url}/auth/login`, {
+                    username,
+                    password: 'pw',
+                })
+            ).json()
+        ).access_token;
+    const ada = await tokenFor('ada');
+    const bob = await tokenFor('bob');
+
+    const anonymous = await fetch(`${url}/api/orders`);
+    assert.equal(anonymous.status, 401);
+    assert.equal(
+        anonymous.headers.get('www-authenticate'),
+        'Bearer realm="mini-server"'
+    );
+    await anonymous.arrayBuffer();
+    assert.deepEqual(
+        await (await fetch(`${url}/api/orders`, bearer(ada))).json(),
+        ['book']
+    );
+    assert.deepEqual(
+        await (await fetch(`${url}/api/orders`, bearer(bob))).json(),
+        []
+    );
+
+    const forged = signJwt({ sub: 'x', exp: 9999999999 }, 'other');
+    const invalid = await fetch(`${url}/api/orders`, bearer(forged));
+    assert.equal(invalid.status, 401);
+    await invalid.arrayBuffer();
+
+    const noRole = await fetch(`${url}/api/admin`, bearer(bob));
+    assert.equal(noRole.status, 403);
+    await noRole.arrayBuffer();
+    const noScope = await fetch(`${url}/api/admin`, bearer(ada));
+    assert.equal(noScope.status, 403);
+    assert.match(
+        noScope.headers.get('www-authenticate') || '',
+        /error="insufficient_scope", scope="orders:write"/
+    );
+    await noScope.arrayBuffer();
+});
+
+test('accepts API keys and Basic auth where a route asks for them', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    const byKey = await fetch(`${url}/api/export`, {
+        headers: { 'X-API-Key': 'key-1' },
+    });
+    assert.equal(await byKey.text(), 'apiKey ci');
+    const byQuery = await fetch(`${url}/api/export?api_key=key-1`);
+    assert.equal(await byQuery.text(), 'apiKey ci');
+    const basic = await fetch(`${url}/api/export`, {
+        headers: {
+            Authorization: `Basic ${Buffer.from('bob:pw').toString('base64')}`,
+        },
+    });
+    assert.equal(await basic.text(), 'basic bob');
+
+    const badKey = await fetch(`${url}/api/export`, {
+        headers: { 'X-API-Key': 'key-2' },
+    });
+    assert.equal(badKey.status, 401);
+    assert.match(
+        badKey.headers.get('www-authenticate') || '',
+        /^ApiKey realm="mini-server", header="x-api-key", Basic realm/
+    );
+    await badKey.arrayBuffer();
+});
@@ -0,0 +1,125 @@
+//@ts-check
+import { HttpError } from './http-error.js';
+
+export const DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+/**
+ * Converts search params to a plain object. Keys that appear more than once
+ * are collected into an array.
+ * @param {URLSearchParams} params
+ * @returns {Record<string, string | string[]>}
+ */
+export const searchParamsToObject = (params) => {
+    /** @type {Record<string, string | string[]>} */
+    const result = {};
+    for (const [key, value] of params.entries()) {
+        const existing = result[key];
+        if (existing === undefined) {
+            result[key] = value;
+        } else if (Array.isArray(existing)) {
+            existing.push(value);
+        } else {
+            result[key] = [existing, value];
+        }
+    }
+    return result;
+};
+
+/**
+ * Parses the query string of a request url.
+ * @param {string} url
+ * @returns {Record<string, string | string[]>}
+ */
+export const parseQuery = (url) => {
+    const queryIndex = url.indexOf('?');
+    if (queryIndex === -1) {
+        return {};
+    }
+    return searchParamsToObject(
+        new URLSearchParams(url.substring(queryIndex + 1))
+    );
+};
+
+/**
+ * Reads the raw request body, failing with 413 once it grows over the limit.
+ * @param {import('http').IncomingMessage} request
+ * @param {number} [limit]
+ * @returns {Promise<Buffer>}
+ */
+export const readRawBody = (request, limit = DEFAULT_BODY_LIMIT) =>
+    new Promise((resolve, reject) => {
+        /** @type {Buffer[]} */
+        const chunks = [];
+        let size = 0;
+        const declaredLength = parseInt(
+            request.headers['content-length'] || '',
+            10
+        );
+        if (declaredLength > limit) {
+            reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+            return;
+        }
+        request.on('data', (/** @type {Buffer} */ chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                request.removeAllListeners('data');
+                request.resume();
+                reject(
+                    new HttpError(413, `Request body exceeds ${limit} bytes`)
+                );
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+
+/**
+ * Parses a raw body according to the request Content-Type. JSON and
+ * url-encoded forms are parsed to objects, text types to a string, anything
+ * else is returned as a Buffer. An empty body gives undefined.
+ * @param {Buffer} raw
+ * @param {import('http').IncomingMessage} request
+ * @returns {any}
+ */
+export const parseBody = (raw, request) => {
+    if (raw.length === 0) {
+        return undefined;
+    }
+    const contentType = (request.headers['content-type'] || '')
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+    if (contentType === 'application/json' || contentType.endsWith('+json')) {
+        try {
+            return JSON.parse(raw.toString('utf8'));
+        } catch (err) {
+            throw new HttpError(
+                400,
+                'Malformed JSON body',
+                err instanceof Error ? err.message : String(err)
+            );
+        }
+    }
+    if (contentType === 'application/x-www-form-urlencoded') {
+        return searchParamsToObject(new URLSearchParams(raw.toString('utf8')));
+    }
+    if (contentType.startsWith('text/') || contentType === '') {
+        return raw.toString('utf8');
+    }
+    return raw;
+};
+
+/**
+ * Reads and parses the request body, see `parseBody`.
+ * @param {import('http').IncomingMessage} request
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<any>}
+ */
+export const readRequestBody = async (request, { limit } = {}) => {
+    if (request.method === 'GET' || request.method === 'HEAD') {
+        return undefined;
+    }
+    return parseBody(await readRawBody(request, limit), request);
+};
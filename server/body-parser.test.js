@@ -0,0 +1,91 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery } from './body-parser.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+/** Echoes what the route action received. */
+const buildController = () =>
+    new ApiController({
+        bodyLimit: 64,
+        routes: [
+            {
+                url: '/api/users/:id/posts/:postId',
+                method: 'POST',
+                routeAction: (req, res, { params, query, body }) => {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(
+                        JSON.stringify({
+                            params,
+                            query,
+                            body: Buffer.isBuffer(body)
+                                ? `${body.length} bytes`
+                                : body,
+                        })
+                    );
+                },
+            },
+        ],
+    });
+
+test('collects repeated query keys into arrays', () => {
+    assert.deepEqual(parseQuery('/api?tag=a&tag=b&page=2&empty='), {
+        tag: ['a', 'b'],
+        page: '2',
+        empty: '',
+    });
+    assert.deepEqual(parseQuery('/api'), {});
+});
+
+test('parses bodies by their content type', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    /**
+     * @param {string} contentType
+     * @param {string | Uint8Array} body
+     */
+    const echo = async (contentType, body) => {
+        const res = await fetch(`${url}/api/users/7/posts/9?sort=asc`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType },
+            body,
+        });
+        return /** @type {any} */ (await res.json());
+    };
+    const json = await echo('application/json', '{"title":"Hi"}');
+    assert.deepEqual(json, {
+        params: { id: '7', postId: '9' },
+        query: { sort: 'asc' },
+        body: { title: 'Hi' },
+    });
+    const form = await echo('application/x-www-form-urlencoded', 'a=1&a=2');
+    assert.deepEqual(form.body, { a: ['1', '2'] });
+    const text = await echo('text/plain; charset=utf-8', 'hello');
+    assert.equal(text.body, 'hello');
+    const binary = await echo(
+        'application/octet-stream',
+        new Uint8Array([1, 2, 3])
+    );
+    assert.equal(binary.body, '3 bytes');
+});
+
+test('answers bad and oversized bodies with an error', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    const malformed = await fetch(`${url}/api/users/1/posts/2`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"title":',
+    });
+    assert.equal(malformed.status, 400);
+    assert.equal(
+        /** @type {any} */ (await malformed.json()).error,
+        'Malformed JSON body'
+    );
+    const large = await fetch(`${url}/api/users/1/posts/2`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: 'x'.repeat(100),
+    });
+    await large.arrayBuffer();
+    assert.equal(large.status, 413);
+});
@@ -0,0 +1,708 @@
+//@ts-check
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { relative, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { ApiController, MiniServer } from './server.js';
+
+/** Config files looked for in the working directory, in this order. */
+export const CONFIG_FILES = [
+    'servant.config.js',
+    'servant.config.mjs',
+    'servant.config.json',
+];
+
+/**
+ * The options of the config that a controller factory passes on to its
+ * ApiController.
+ * @typedef {{ mocksDir?: string, persistState?: boolean, stateSaveFile?: string }} ControllerOptions
+ */
+
+/**
+ * Builds the controller. It gets the controller options of the config so
+ * that `--mocks` and `--persist` reach it.
+ * @callback ControllerFactory
+ * @param {ControllerOptions} options
+ * @returns {ApiController<any> | Promise<ApiController<any>>}
+ */
+
+/**
+ * Options of the CLI and of `servant.config.js`.
+ * @typedef {Object} ServantConfig
+ * @property {number} [port]
+ * @property {string} [host]
+ * @property {string} [root]
+ * @property {string} [staticFolder]
+ * @property {string | ControllerFactory | ApiController<any>} [controller]
+ * module path, factory or controller
+ * @property {string} [mocksDir]
+ * @property {boolean} [persistState]
+ * @property {string} [stateFile]
+ * @property {boolean} [devHotReload]
+ * @property {boolean} [quiet]
+ * @property {boolean | string} [spa]
+ * @property {string | import('./server.js').StaticErrorHandler} [notFound]
+ * @property {string | import('./server.js').StaticErrorHandler} [serverError]
+ * @property {boolean} [directoryListing]
+ * @property {boolean | import('./middleware.js').CorsOptions} [cors]
+ * @property {boolean} [errorStack]
+ * @property {import('./faults.js').FaultOptions} [faults]
+ * @property {import('./middleware.js').Middleware[]} [middleware]
+ * @property {Record<string, MountConfig>} [mounts] controllers by the url
+ * prefix they answer under
+ * @property {Record<string, ServantConfig>} [hosts] configs by the host name
+ * they answer for, served on the same port
+ * @property {ServantConfig[]} [servers] more servers, each on its own port
+ */
+
+/**
+ * A controller to mount: a module path, factory or controller, or an object
+ * with its controller options.
+ * @typedef {string | ControllerFactory | ApiController<any> | Pick<ServantConfig, 'controller' | 'mocksDir' | 'persistState' | 'stateFile'>} MountConfig
+ */
+
+/** Options that configure a controller rather than a server. */
+const CONTROLLER_OPTIONS = [
+    'controller',
+    'mocksDir',
+    'persistState',
+    'stateFile',
+];
+
+/** Options that `servers` take from the top level when they set none. */
+const SHARED_OPTIONS = ['host', 'root', 'quiet'];
+
+/**
+ * @typedef {Object} OptionSpec
+ * @property {string} type what the value must be, as shown in errors
+ * @property {(value: any) => boolean} check
+ * @property {string} [flag] command-line flag
+ * @property {string} [short]
+ * @property {string} [arg] name of the flag's value in the help text
+ * @property {string} [description] help text, options without one are
+ * config-file only
+ */
+
+/** @param {any} value */
+const isString = (value) => typeof value === 'string' && value !== '';
+/** @param {any} value */
+const isBoolean = (value) => typeof value === 'boolean';
+/** @param {any} value */
+const isObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/** @type {Record<keyof ServantConfig, OptionSpec>} */
+const OPTIONS = {
+    port: {
+        type: 'an integer from 0 to 65535',
+        check: (value) =>
+            Number.isInteger(value) && value >= 0 && value <= 65535,
+        flag: 'port',
+        short: 'p',
+        arg: 'number',
+        description: 'port to listen on, 0 picks a free one (4200)',
+    },
+    host: {
+        type: 'a host name or address',
+        check: isString,
+        flag: 'host',
+        arg: 'host',
+        description: 'interface to listen on (all)',
+    },
+    root: {
+        type: 'a folder path',
+        check: isString,
+        flag: 'root',
+        arg: 'dir',
+        description: 'folder the static folder is resolved from (cwd)',
+    },
+    staticFolder: {
+        type: 'a folder path',
+        check: isString,
+        flag: 'static',
+        short: 's',
+        arg: 'dir',
+        description: 'folder with static files (public)',
+    },
+    controller: {
+        type: 'a module path, a function or an ApiController',
+        check: (value) =>
+            isString(value) ||
+            typeof value === 'function' ||
+            value instanceof ApiController,
+        flag: 'controller',
+        short: 'c',
+        arg: 'file',
+        description: 'module that exports the controller or a factory',
+    },
+    mocksDir: {
+        type: 'a folder path',
+        check: isString,
+        flag: 'mocks',
+        short: 'm',
+        arg: 'dir',
+        description: 'folder with JSON mock definitions',
+    },
+    persistState: {
+        type: 'a boolean',
+        check: isBoolean,
+        flag: 'persist',
+        description: 'save the state between runs, --no-persist to not',
+    },
+    stateFile: {
+        type: 'a file path',
+        check: isString,
+        flag: 'state-file',
+        arg: 'file',
+        description: 'where the state is saved (server.state.temp)',
+    },
+    devHotReload: {
+        type: 'a boolean',
+        check: isBoolean,
+        flag: 'dev',
+        description:
+            'reload pages and the controller on changes, --no-dev to not',
+    },
+    quiet: {
+        type: 'a boolean',
+        check: isBoolean,
+        flag: 'quiet',
+        short: 'q',
+        description: 'print nothing on startup',
+    },
+    spa: {
+        type: 'a boolean or a file name',
+        check: (value) => isBoolean(value) || isString(value),
+    },
+    notFound: {
+        type: 'a file name or a function',
+        check: (value) => isString(value) || typeof value === 'function',
+    },
+    serverError: {
+        type: 'a file name or a function',
+        check: (value) => isString(value) || typeof value === 'function',
+    },
+    directoryListing: { type: 'a boolean', check: isBoolean },
+    cors: {
+        type: 'a boolean or CORS options',
+        check: (value) => isBoolean(value) || isObject(value),
+    },
+    errorStack: { type: 'a boolean', check: isBoolean },
+    faults: { type: 'fault options', check: isObject },
+    middleware: {
+        type: 'a list of functions',
+        check: (value) =>
+            Array.isArray(value) &&
+            value.every((item) => typeof item === 'function'),
+    },
+    mounts: {
+        type: 'an object of url prefixes to controllers',
+        check: (value) =>
+            isObject(value) &&
+            Object.values(value).every(
+                (mount) => isObject(mount) || OPTIONS.controller.check(mount)
+            ),
+    },
+    hosts: { type: 'an object of host names to configs', check: isObject },
+    servers: {
+        type: 'a list of configs',
+        check: (value) => Array.isArray(value) && value.every(isObject),
+    },
+};
+
+/**
+ * A problem with the command line or config file. All problems are
+ * collected so they can be fixed in one go.
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string[]} problems
+     */
+    constructor(problems) {
+        super(problems.join('\n'));
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * @param {string} name
+ * @param {string[]} known
+ * @param {string} [prefix] put before the suggestion, such as `--`
+ * @returns {string}
+ */
+const suggest = (name, known, prefix = '') => {
+    const closest = known
+        .map((candidate) => ({
+            candidate,
+            distance: editDistance(name.toLowerCase(), candidate.toLowerCase()),
+        }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    return closest && closest.distance <= 2
+        ? `, did you mean "${prefix}${closest.candidate}"?`
+        : '';
+};
+
+/**
+ * @param {Record<string, any>} config
+ * @param {string} origin
+ * @param {string[]} known
+ * @returns {string[]}
+ */
+const findProblems = (config, origin, known) => {
+    /** @type {string[]} */
+    const problems = [];
+    Object.entries(config).forEach(([key, value]) => {
+        const spec = OPTIONS[/** @type {keyof ServantConfig} */ (key)];
+        if (!spec || !known.includes(key)) {
+            problems.push(
+                `Unknown option "${key}" in ${origin}${suggest(key, known)}`
+            );
+        } else if (value !== undefined && !spec.check(value)) {
+            problems.push(
+                `"${key}" in ${origin} must be ${spec.type}, got ${JSON.stringify(value) ?? typeof value}`
+            );
+        } else if (key === 'mounts') {
+            Object.entries(value).forEach(([prefix, mount]) => {
+                if (isObject(mount)) {
+                    problems.push(
+                        ...findProblems(
+                            mount,
+                            `${origin} mounts["${prefix}"]`,
+                            CONTROLLER_OPTIONS
+                        )
+                    );
+                }
+            });
+        } else if (key === 'hosts' || key === 'servers') {
+            // hosts and servers do not nest
+            const nested = known.filter(
+                (option) => option !== 'hosts' && option !== 'servers'
+            );
+            Object.entries(value).forEach(([name, nestedConfig]) => {
+                problems.push(
+                    ...findProblems(
+                        nestedConfig,
+                        `${origin} ${key}[${JSON.stringify(key === 'hosts' ? name : Number(name))}]`,
+                        nested
+                    )
+                );
+            });
+        }
+    });
+    return problems;
+};
+
+/**
+ * Checks the options and returns them, throwing a ConfigError that lists
+ * every unknown option and bad value, also of mounts, hosts and servers.
+ * @param {Record<string, any>} config
+ * @param {string} [origin] where the options came from, for the messages
+ * @returns {ServantConfig}
+ */
+export const validateConfig = (config, origin = 'config') => {
+    if (!isObject(config)) {
+        throw new ConfigError([`${origin} must export an object`]);
+    }
+    const problems = findProblems(config, origin, Object.keys(OPTIONS));
+    if (problems.length) {
+        throw new ConfigError(problems);
+    }
+    return config;
+};
+
+/**
+ * Turns command-line arguments into options. Only the flags that were given
+ * are set, so they can override the config file.
+ * @param {string[]} argv without the node and script paths
+ * @returns {{ config: ServantConfig, configFile?: string, help: boolean, version: boolean }}
+ */
+export const parseCliArgs = (argv) => {
+    /** @type {import('node:util').ParseArgsConfig['options']} */
+    const flags = {
+        config: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+        version: { type: 'boolean', short: 'v' },
+        'no-persist': { type: 'boolean' },
+        'no-dev': { type: 'boolean' },
+    };
+    Object.values(OPTIONS).forEach((spec) => {
+        if (spec.flag) {
+            flags[spec.flag] = {
+                type: spec.arg ? 'string' : 'boolean',
+                ...(spec.short ? { short: spec.short } : {}),
+            };
+        }
+    });
+    /** @type {Record<string, any>} */
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: flags, strict: true }));
+    } catch (err) {
+        const message = /** @type {Error} */ (err).message;
+        const unknown = message.match(/Unknown option '(-*)([^']+)'/);
+        throw new ConfigError([
+            unknown
+                ? `Unknown option "${unknown[1]}${unknown[2]}"${suggest(unknown[2], Object.keys(flags), '--')}`
+                : message,
+        ]);
+    }
+    /** @type {Record<string, any>} */
+    const config = {};
+    Object.entries(OPTIONS).forEach(([key, spec]) => {
+        const value = spec.flag ? values[spec.flag] : undefined;
+        if (value !== undefined) {
+            // a port that is not a number is reported as typed
+            config[key] =
+                key === 'port' && /^\d+$/.test(value) ? Number(value) : value;
+        }
+    });
+    if (values['no-persist']) {
+        config.persistState = false;
+    }
+    if (values['no-dev']) {
+        config.devHotReload = false;
+    }
+    return {
+        config: validateConfig(config, 'the command line'),
+        configFile: /** @type {string | undefined} */ (values.config),
+        help: !!values.help,
+        version: !!values.version,
+    };
+};
+
+/**
+ * Reads `servant.config.js`, `.mjs` or `.json`, or the given file. A
+ * JavaScript config exports the options, or a function returning them, as
+ * default.
+ * @param {string} [file] required to exist when given
+ * @param {string} [cwd]
+ * @returns {Promise<{ config: ServantConfig, file: string | null }>}
+ */
+export const loadConfigFile = async (file, cwd = process.cwd()) => {
+    const path = file
+        ? resolve(cwd, file)
+        : CONFIG_FILES.map((name) => resolve(cwd, name)).find((candidate) =>
+              existsSync(candidate)
+          );
+    if (!path) {
+        return { config: {}, file: null };
+    }
+    if (!existsSync(path)) {
+        throw new ConfigError([`Config file ${path} does not exist`]);
+    }
+    /** @type {any} */
+    let config;
+    try {
+        if (path.endsWith('.json')) {
+            config = JSON.parse(await readFile(path, 'utf8'));
+        } else {
+            const module = await import(pathToFileURL(path).href);
+            config = module.default;
+            config = typeof config === 'function' ? await config() : config;
+        }
+    } catch (err) {
+        throw new ConfigError([
+            `Config file ${path} could not be read: ${/** @type {Error} */ (err).message}`,
+        ]);
+    }
+    return { config: validateConfig(config, path), file: path };
+};
+
+/**
+ * Builds the controller from a module path, factory or instance, or a bare
+ * controller for the mocks folder when there is none.
+ * @param {ServantConfig} config
+ * @param {{ cwd?: string, version?: number }} [options] a new `version`
+ * imports the module again instead of from the module cache
+ * @returns {Promise<ApiController<any>>}
+ */
+export const createController = async (
+    config,
+    { cwd = process.cwd(), version } = {}
+) => {
+    /** @type {ControllerOptions} */
+    const options = {
+        ...(config.mocksDir ? { mocksDir: resolve(cwd, config.mocksDir) } : {}),
+        ...(config.persistState !== undefined
+            ? { persistState: config.persistState }
+            : {}),
+        ...(config.stateFile
+            ? { stateSaveFile: resolve(cwd, config.stateFile) }
+            : {}),
+    };
+    /** @type {any} */
+    let controller = config.controller;
+    if (typeof controller === 'string') {
+        const path = resolve(cwd, controller);
+        if (!existsSync(path)) {
+            throw new ConfigError([`Controller module ${path} does not exist`]);
+        }
+        const url = pathToFileURL(path);
+        if (version !== undefined) {
+            url.searchParams.set('v', String(version));
+        }
+        const module = await import(url.href);
+        controller =
+            module.default ??
+            module.buildController ??
+            module.controller ??
+            Object.values(module).find(
+                (value) =>
+                    typeof value === 'function' ||
+                    value instanceof ApiController
+            );
+        if (!controller) {
+            throw new ConfigError([
+                `Controller module ${path} exports no controller or factory`,
+            ]);
+        }
+    }
+    if (typeof controller === 'function') {
+        controller = await controller(options);
+    } else if (controller instanceof ApiController) {
+        if (options.mocksDir || options.stateSaveFile) {
+            throw new ConfigError([
+                'mocksDir and stateFile need a controller factory, not a controller',
+            ]);
+        }
+        if (options.persistState !== undefined) {
+            controller.persistState = options.persistState;
+        }
+    } else {
+        controller = new ApiController(options);
+    }
+    if (!(controller instanceof ApiController)) {
+        throw new ConfigError([
+            'The controller factory must return an ApiController',
+        ]);
+    }
+    return controller;
+};
+
+/**
+ * Lays out the routes of a controller as a table, one route per line.
+ * @param {ApiController<any>} controller
+ * @returns {string}
+ */
+export const formatRouteTable = (controller) => {
+    const rows = [
+        ...controller.routes.map((route) => [
+            route.method || 'ANY',
+            route.url,
+            route.summary ||
+                (route.source ? relative(process.cwd(), route.source) : ''),
+        ]),
+        ...controller.webSocketRoutes.map((route) => [
+            'WS',
+            route.url,
+            route.summary || '',
+        ]),
+    ];
+    if (!rows.length) {
+        return ' No routes registered';
+    }
+    const header = ['METHOD', 'URL', 'SUMMARY'];
+    const widths = header.map((title, column) =>
+        Math.max(title.length, ...rows.map((row) => row[column].length))
+    );
+    /** @param {string[]} row */
+    const line = (row) =>
+        ` ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ')}`.trimEnd();
+    return [
+        line(header),
+        line(widths.map((width) => '-'.repeat(width))),
+        ...rows.map(line),
+    ].join('\n');
+};
+
+/**
+ * Builds a server, its mounted controllers and its virtual hosts from a
+ * config, without starting it.
+ * @param {ServantConfig} config
+ * @param {{ config: ServantConfig, controller: ApiController<any> }[]} controllers
+ * collects the controllers with the config they were built from
+ * @returns {Promise<MiniServer<any>>}
+ */
+const buildServer = async (config, controllers) => {
+    const {
+        controller: _controller,
+        mocksDir: _mocksDir,
+        persistState: _persistState,
+        stateFile: _stateFile,
+        mounts,
+        hosts,
+        servers: _servers,
+        ...serverOptions
+    } = config;
+    const controller = await createController(config);
+    controllers.push({ config, controller });
+    const server = new MiniServer({
+        ...serverOptions,
+        apiController: controller,
+    });
+    for (const [prefix, mount] of Object.entries(mounts || {})) {
+        /** @type {ServantConfig} */
+        const mountConfig = isObject(mount)
+            ? /** @type {ServantConfig} */ (mount)
+            : { controller: /** @type {any} */ (mount) };
+        const mounted = await createController(mountConfig);
+        controllers.push({ config: mountConfig, controller: mounted });
+        server.mount(prefix, mounted);
+    }
+    for (const [hostname, hostConfig] of Object.entries(hosts || {})) {
+        server.addVirtualHost(
+            hostname,
+            await buildServer(hostConfig, controllers)
+        );
+    }
+    return server;
+};
+
+/**
+ * Prints the routes of a server, its mounts and its virtual hosts.
+ * @param {MiniServer<any>} server
+ * @param {string} [indent]
+ * @returns {void}
+ */
+const printRoutes = (server, indent = '') => {
+    /** @param {string} text */
+    const print = (text) =>
+        console.log(
+            text
+                .split('\n')
+                .map((line) => `${indent}${line}`)
+                .join('\n')
+        );
+    print(` Static: ${server.staticRoot}`);
+    print(
+        formatRouteTable(
+            /** @type {ApiController<any>} */ (server.apiConteoller)
+        )
+    );
+    server.mounts.forEach(({ prefix, controller }) => {
+        print(` Mounted at ${prefix}:`);
+        print(formatRouteTable(controller));
+    });
+    server.virtualHosts.forEach((host, hostname) => {
+        print(` Host ${hostname}:`);
+        printRoutes(host, `${indent}  `);
+    });
+};
+
+/**
+ * @returns {string}
+ */
+const helpText = () => {
+    const flags = Object.values(OPTIONS)
+        .filter((spec) => spec.flag)
+        .map((spec) => [
+            `${spec.short ? `-${spec.short}, ` : '    '}--${spec.flag}${spec.arg ? ` <${spec.arg}>` : ''}`,
+            /** @type {string} */ (spec.description),
+        ]);
+    flags.push(
+        ['    --config <file>', `config file (${CONFIG_FILES.join(', ')})`],
+        ['-h, --help', 'show this help'],
+        ['-v, --version', 'show the version']
+    );
+    const width = Math.max(...flags.map(([flag]) => flag.length));
+    return [
+        'Usage: servant [options]',
+        '',
+        'Serves static files and mock APIs.',
+        '',
+        'Options:',
+        ...flags.map(([flag, text]) => `  ${flag.padEnd(width)}  ${text}`),
+    ].join('\n');
+};
+
+/**
+ * Starts a server from command-line arguments, the config file and the
+ * given defaults, in falling order of precedence, and one more for each of
+ * `servers`.
+ * @param {string[]} argv without the node and script paths
+ * @param {ServantConfig} [defaults]
+ * @returns {Promise<MiniServer<any>[]>} none when only help or the version
+ * was asked for
+ */
+export const runCli = async (argv, defaults = {}) => {
+    const cli = parseCliArgs(argv);
+    if (cli.help) {
+        console.log(helpText());
+        return [];
+    }
+    if (cli.version) {
+        const packageJson = JSON.parse(
+            await readFile(new URL('../package.json', import.meta.url), 'utf8')
+        );
+        console.log(packageJson.version);
+        return [];
+    }
+    const fromFile = await loadConfigFile(cli.configFile);
+    /** @type {ServantConfig} */
+    const config = {
+        ...validateConfig(defaults, 'the defaults'),
+        ...fromFile.config,
+        ...cli.config,
+    };
+    const shared = Object.fromEntries(
+        Object.entries(config).filter(([key]) => SHARED_OPTIONS.includes(key))
+    );
+    if (!config.quiet && fromFile.file) {
+        console.log(` Config: ${fromFile.file}`);
+    }
+    /** @type {MiniServer<any>[]} */
+    const started = [];
+    for (const serverConfig of [config, ...(config.servers || [])]) {
+        /** @type {{ config: ServantConfig, controller: ApiController<any> }[]} */
+        const controllers = [];
+        const server = await buildServer(
+            serverConfig === config ? config : { ...shared, ...serverConfig },
+            controllers
+        );
+        await server.start();
+        started.push(server);
+        const devReload = server.devReload;
+        controllers.forEach(({ config: controllerConfig, controller }) => {
+            if (devReload && typeof controllerConfig.controller === 'string') {
+                devReload.watchModule(
+                    resolve(controllerConfig.controller),
+                    async () => {
+                        const fresh = await createController(controllerConfig, {
+                            version: Date.now(),
+                        });
+                        await fresh.ready();
+                        fresh.unwatchMocks();
+                        controller.replaceRoutes(fresh);
+                    }
+                );
+            }
+        });
+        if (!server.quiet) {
+            printRoutes(server);
+        }
+    }
+    return started;
+};
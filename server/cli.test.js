@@ -0,0 +1,206 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    ConfigError,
+    createController,
+    formatRouteTable,
+    loadConfigFile,
+    parseCliArgs,
+    validateConfig,
+} from './cli.js';
+import { ApiController } from './server.js';
+
+const bin = fileURLToPath(new URL('../bin/servant.js', import.meta.url));
+
+/**
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>}
+ */
+const makeDir = async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'cli-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+/**
+ * @param {() => unknown} run
+ * @returns {string[]} the problems of the ConfigError it threw
+ */
+const problemsOf = (run) => {
+    try {
+        run();
+    } catch (err) {
+        assert.ok(err instanceof ConfigError);
+        return err.problems;
+    }
+    assert.fail('no ConfigError was thrown');
+};
+
+test('reads the flags that were given', () => {
+    assert.deepEqual(
+        parseCliArgs([
+            '-p',
+            '8080',
+            '--static',
+            'dist',
+            '--mocks',
+            'mocks',
+            '--no-persist',
+            '--no-dev',
+            '--config',
+            'other.json',
+        ]),
+        {
+            config: {
+                port: 8080,
+                staticFolder: 'dist',
+                mocksDir: 'mocks',
+                persistState: false,
+                devHotReload: false,
+            },
+            configFile: 'other.json',
+            help: false,
+            version: false,
+        }
+    );
+    assert.deepEqual(parseCliArgs(['-h']).config, {});
+    assert.deepEqual(
+        problemsOf(() => parseCliArgs(['--prot', '80'])),
+        ['Unknown option "--prot", did you mean "--port"?']
+    );
+    assert.deepEqual(
+        problemsOf(() => parseCliArgs(['--port', 'http'])),
+        [
+            '"port" in the command line must be an integer from 0 to 65535, got "http"',
+        ]
+    );
+});
+
+test('lists every problem of a config', () => {
+    assert.deepEqual(
+        problemsOf(() =>
+            validateConfig(
+                {
+                    staticFoldr: 'public',
+                    port: 70000,
+                    mounts: { '/auth': { mocksDir: 1, port: 1 } },
+                    servers: [{ hosts: {} }],
+                },
+                'servant.config.js'
+            )
+        ),
+        [
+            'Unknown option "staticFoldr" in servant.config.js, did you mean "staticFolder"?',
+            '"port" in servant.config.js must be an integer from 0 to 65535, got 70000',
+            '"mocksDir" in servant.config.js mounts["/auth"] must be a folder path, got 1',
+            'Unknown option "port" in servant.config.js mounts["/auth"]',
+            'Unknown option "hosts" in servant.config.js servers[0], did you mean "host"?',
+        ]
+    );
+    assert.deepEqual(
+        problemsOf(() => validateConfig(/** @type {any} */ ([]), 'x.json')),
+        ['x.json must export an object']
+    );
+});
+
+test('finds and reads the config file', async (t) => {
+    const dir = await makeDir(t);
+    assert.deepEqual(await loadConfigFile(undefined, dir), {
+        config: {},
+        file: null,
+    });
+    await writeFile(
+        join(dir, 'servant.config.js'),
+        'export default () => ({ port: 0, quiet: true });\n'
+    );
+    assert.deepEqual(await loadConfigFile(undefined, dir), {
+        config: { port: 0, quiet: true },
+        file: join(dir, 'servant.config.js'),
+    });
+    await writeFile(join(dir, 'broken.json'), '{ port: 1 }');
+    await assert.rejects(
+        loadConfigFile('broken.json', dir),
+        /broken\.json could not be read/
+    );
+    await assert.rejects(loadConfigFile('missing.json', dir), /does not exist/);
+});
+
+test('builds the controller from a module or a factory', async (t) => {
+    const dir = await makeDir(t);
+    await writeFile(
+        join(dir, 'mocks.js'),
+        `import { ApiController } from ${JSON.stringify(
+            new URL('./server.js', import.meta.url).href
+        )};
+export const buildController = (options) =>
+    new ApiController({ ...options, initialState: { options } });
+`
+    );
+    const controller = await createController(
+        { controller: 'mocks.js', persistState: false, stateFile: 'a.json' },
+        { cwd: dir }
+    );
+    assert.deepEqual(controller.state.options, {
+        persistState: false,
+        stateSaveFile: join(dir, 'a.json'),
+    });
+    await assert.rejects(
+        createController({ controller: 'nothing.js' }, { cwd: dir }),
+        /does not exist/
+    );
+    await assert.rejects(
+        createController({
+            controller: new ApiController(),
+            mocksDir: 'mocks',
+        }),
+        /need a controller factory/
+    );
+    await assert.rejects(
+        createController({ controller: () => /** @type {any} */ ({}) }),
+        /must return an ApiController/
+    );
+});
+
+test('prints the routes as a table', () => {
+    const controller = new ApiController({
+        routes: [
+            ApiController.createRoute({
+                url: '/api/users',
+                data: [],
+                summary: 'All users',
+            }),
+        ],
+    });
+    assert.equal(
+        formatRouteTable(controller),
+        [
+            ' METHOD  URL         SUMMARY',
+            ' ------  ----------  ---------',
+            ' GET     /api/users  All users',
+        ].join('\n')
+    );
+    assert.equal(
+        formatRouteTable(new ApiController()),
+        ' No routes registered'
+    );
+});
+
+test('exits with the problems of a bad command line', async () => {
+    const { code, stderr } = await new Promise((resolve) =>
+        execFile(
+            process.execPath,
+            [bin, '--port', 'http'],
+            { timeout: 10_000 },
+            (error, stdout, stderr) => resolve({ code: error?.code, stderr })
+        )
+    );
+    assert.equal(code, 1);
+    assert.match(stderr, /"port" in the command line must be an integer/);
+    assert.match(stderr, /servant --help/);
+});
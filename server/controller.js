@@ -8,26 +8,35 @@ const baseRoutes = [ApiController.createRoute({
     status : 200,
 })]
 
+/**
+ * @typedef {{ count: number, users: any[], posts: any[] }} MockState
+ */
+
 /**
  * Builds and returns the API controller with all routes.
- * @returns {ApiController}
+ * @param {import('./cli.js').ControllerOptions} [options]
+ * overrides from the command line or config file
+ * @returns {ApiController<MockState>}
  */
-export const buildController = () => {
+export const buildController = (options = {}) => {
     /**
-     * @type {ApiController}
+     * @type {ApiController<MockState>}
      */
     const controller = new ApiController(
         {
             routes: baseRoutes,
-        /** @type {{ count: number }} */
-        initialState: { count: 0 },
+        /** @type {MockState} */
+        initialState: { count: 0, users: [], posts: [] },
         /** @type {boolean} */ persistState: true,
+        mocksDir: 'mocks',
+        ...options,
 
     });
     controller
         .addRoute({
             /** @type {string} */
-            url: '/api/first' /**
+            url: '/api/first',
+            summary: 'Counts its calls in the state' /**
              * Handles the /api/first route.
              * @param {import('http').IncomingMessage} req
              * @param {import('http').ServerResponse} res
@@ -44,24 +53,22 @@ export const buildController = () => {
         })
         .addRoute({
             /** @type {string} */
-            url: '/api/second/:id' /**
+            url: '/api/second/:id',
+            summary: 'Echoes the id and query as text',
+            examples: {
+                params: { id: '123123' },
+                query: { var1: '2', var2: 'value' },
+            } /**
              * Handles the /api/second/:id route.
              * @param {import('http').IncomingMessage} req
              * @param {import('http').ServerResponse} res
+             * @param {import('./server.js').RouteContext<MockState>} context
              * @returns {void}
              */,
-            routeAction: (req, res) => {
-                const url = typeof req.url === 'string' ? req.url : '';
-                /** @type {Record<string, string>} */
-                const vars = ApiController.getVariablesFromPath(
-                    '/api/second/:id',
-                    { url }
-                );
-                const id = vars.id || '';
-                const params = new URLSearchParams(url.split('?')[1] || '');
+            routeAction: (req, res, { params, query }) => {
                 res.writeHead(200, { 'Content-Type': 'text/plain' });
                 res.write(
-                    `route ${url}  was called with id ${id} and params ${[...params.entries()]} `
+                    `route ${req.url}  was called with id ${params.id} and params ${Object.entries(query)} `
                 );
                 res.end();
             },
@@ -69,7 +76,9 @@ export const buildController = () => {
 
         .addRoute({
             /** @type {string} */
-            url: '/api/jsonTry' /**
+            url: '/api/jsonTry',
+            summary: 'Returns a fixed JSON object',
+            examples: { response: { abc: 123 } } /**
              * Handles the /api/second/:id route.
              * @param {import('http').IncomingMessage} req
              * @param {import('http').ServerResponse} res
@@ -85,6 +94,32 @@ export const buildController = () => {
                 res.write(JSON.stringify(data));
                 res.end();
             },
+        })
+        .addRoute({
+            /** @type {string} */
+            url: '/api/echo',
+            method: 'POST',
+            summary: 'Echoes the parsed request as JSON',
+            examples: { request: { hello: 'world' } } /**
+             * Echoes the parsed request back as JSON.
+             * @param {import('http').IncomingMessage} req
+             * @param {import('http').ServerResponse} res
+             * @param {import('./server.js').RouteContext<MockState>} context
+             * @returns {void}
+             */,
+            routeAction: (req, res, { params, query, body, headers }) => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.write(
+                    JSON.stringify({
+                        params,
+                        query,
+                        body,
+                        contentType: headers['content-type'] || null,
+                    })
+                );
+                res.end();
+            },
         });
+    controller.addResource('users').addResource('posts');
     return controller;
 };
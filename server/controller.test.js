@@ -0,0 +1,33 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { createController } from './cli.js';
+import { startTestServer } from './testing.js';
+
+const cwd = fileURLToPath(new URL('..', import.meta.url));
+const config = { controller: 'server/controller.js', persistState: false };
+
+test('keeps the state when the controller module is reloaded', async (t) => {
+    const live = await createController(config, { cwd });
+    const { url } = await startTestServer(t, { controller: live });
+    const count = async () => {
+        const res = await fetch(`${url}/api/first`);
+        return (await res.text()).match(/called (\d+) times/)?.[1];
+    };
+    assert.equal(await count(), '1');
+
+    const fresh = await createController(config, { cwd, version: 1 });
+    await fresh.ready();
+    fresh.unwatchMocks();
+    live.replaceRoutes(fresh);
+    assert.equal(await count(), '2');
+
+    await fetch(`${url}/__admin/state`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ count: 10, users: [], posts: [] }),
+    });
+    assert.equal(await count(), '11');
+    assert.equal(live.state.count, 11);
+});
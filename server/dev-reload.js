@@ -0,0 +1,260 @@
+//@ts-check
+import { watch } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+import { basename, dirname, extname, join, relative, sep } from 'node:path';
+import { listFolders } from './mock-files.js';
+import { formatSseEvent } from './streaming.js';
+
+/** Path of the reload event stream on the server's own port. */
+export const DEV_RELOAD_PATH = '/__dev/reload';
+
+/** How long changes are collected before pages are told, in ms. */
+const BATCH_DELAY = 50;
+
+/**
+ * The SharedWorker that keeps one reload stream for all tabs. A `hello`
+ * with a new server id means the server restarted, so pages reload.
+ * @returns {string}
+ */
+export const reloadWorkerScript = () => `const ports = new Set();
+let serverId = null;
+const post = (message) => ports.forEach((port) => port.postMessage(message));
+const events = new EventSource('${DEV_RELOAD_PATH}');
+events.addEventListener('hello', (e) => {
+    const { id } = JSON.parse(e.data);
+    if (serverId && serverId !== id) {
+        post({ type: 'reload', paths: [] });
+    }
+    serverId = id;
+});
+['reload', 'css'].forEach((type) =>
+    events.addEventListener(type, (e) =>
+        post({ type, paths: JSON.parse(e.data).paths })
+    )
+);
+onconnect = (e) => {
+    const port = e.ports[0];
+    ports.add(port);
+    port.start();
+};
+`;
+
+/**
+ * The script injected into html pages. Changed stylesheets are swapped in
+ * place; any other change reloads the page.
+ * @param {string} workerUrl
+ * @returns {string}
+ */
+export const reloadPageScript = (workerUrl) => `<script>
+        try {
+            const swapStylesheets = (paths) => {
+                const links = [
+                    ...document.querySelectorAll('link[rel="stylesheet"]'),
+                ].filter((link) =>
+                    paths.includes(new URL(link.href).pathname)
+                );
+                if (!links.length) {
+                    window.location.reload();
+                }
+                links.forEach((link) => {
+                    const url = new URL(link.href);
+                    url.searchParams.set('reload', String(Date.now()));
+                    const next = link.cloneNode();
+                    next.href = url.href;
+                    next.onload = () => link.remove();
+                    link.after(next);
+                });
+            };
+            const worker = new SharedWorker('${workerUrl}', {
+                name: 'reload-worker',
+            });
+            worker.port.onmessage = ({ data }) => {
+                if (data.type === 'css') {
+                    swapStylesheets(data.paths);
+                } else if (data.type === 'reload') {
+                    window.location.reload();
+                }
+            };
+            worker.port.start();
+        } catch (err) {
+            console.error('Hot reload worker failed to start:', err);
+        }
+    </script>`;
+
+/**
+ * Tells open pages about changed static files over Server-Sent Events, and
+ * re-imports the controller module when it changes.
+ */
+export class DevReload {
+    /** @type {Set<import('http').ServerResponse>} */
+    #clients = new Set();
+    /** @type {import('fs').FSWatcher[]} */
+    #watchers = [];
+    /** @type {Set<string>} urls of the changed files */
+    #changed = new Set();
+    /** @type {NodeJS.Timeout | null} */
+    #timer = null;
+
+    /**
+     * @param {{ root: string, quiet?: boolean }} options root is the static
+     * folder
+     */
+    constructor({ root, quiet }) {
+        this.root = root;
+        this.quiet = quiet || false;
+        /** tells pages that the server restarted */
+        this.serverId = randomUUID();
+    }
+
+    /**
+     * Answers the reload stream request and keeps it open.
+     * @param {import('http').IncomingMessage} request
+     * @param {import('http').ServerResponse} response
+     * @returns {void}
+     */
+    connect(request, response) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+        response.write(
+            formatSseEvent({
+                event: 'hello',
+                retry: 500,
+                data: { id: this.serverId },
+            })
+        );
+        this.#clients.add(response);
+        response.once('close', () => this.#clients.delete(response));
+    }
+
+    /**
+     * Sends an event to every open page.
+     * @param {'reload' | 'css'} type
+     * @param {string[]} paths
+     * @returns {void}
+     */
+    notify(type, paths) {
+        const event = formatSseEvent({ event: type, data: { paths } });
+        this.#clients.forEach((client) => client.write(event));
+    }
+
+    /**
+     * Starts watching the static folder. Changes are batched; when only
+     * stylesheets changed the pages swap them, otherwise they reload.
+     * Where recursive watching is not supported, as on Linux before Node 20,
+     * each folder that exists now is watched on its own.
+     * @returns {Promise<void>}
+     */
+    async watchStatic() {
+        /**
+         * @param {string} folder relative to the static folder
+         * @returns {(eventType: string, filename: string | null) => void}
+         */
+        const onChange = (folder) => (eventType, filename) => {
+            if (!filename) {
+                return;
+            }
+            const path = join(folder, String(filename));
+            this.#changed.add(`/${path.split(sep).join('/')}`);
+            if (this.#timer) {
+                clearTimeout(this.#timer);
+            }
+            this.#timer = setTimeout(() => this.#flush(), BATCH_DELAY);
+        };
+        /** @type {import('fs').FSWatcher[]} */
+        let watchers;
+        try {
+            watchers = [watch(this.root, { recursive: true }, onChange(''))];
+        } catch {
+            try {
+                const folders = await listFolders(this.root);
+                watchers = folders.map((folder) =>
+                    watch(join(this.root, folder), onChange(folder))
+                );
+            } catch (err) {
+                console.error(`not watching ${this.root} for changes`, err);
+                return;
+            }
+        }
+        watchers.forEach((watcher) => {
+            watcher.on('error', (err) => console.error(err));
+            watcher.unref();
+        });
+        this.#watchers.push(...watchers);
+    }
+
+    /**
+     * @returns {void}
+     */
+    #flush() {
+        this.#timer = null;
+        const paths = [...this.#changed];
+        this.#changed.clear();
+        const onlyCss = paths.every((path) => extname(path) === '.css');
+        if (!this.quiet) {
+            console.log(
+                `\x1b[33m ${paths.join(', ')} changed, ${onlyCss ? 'swapping stylesheets' : 'reloading pages'} \x1b[0m`
+            );
+        }
+        this.notify(onlyCss ? 'css' : 'reload', paths);
+    }
+
+    /**
+     * Calls `reload` whenever a module file changes, after a short delay so
+     * that editors finish writing. Failures are logged, not thrown.
+     * @param {string} file absolute path
+     * @param {() => Promise<void>} reload
+     * @returns {void}
+     */
+    watchModule(file, reload) {
+        /** @type {NodeJS.Timeout | null} */
+        let timer = null;
+        let watcher;
+        try {
+            // editors may replace the file, so its folder is watched
+            watcher = watch(dirname(file));
+        } catch (err) {
+            console.error(`not watching ${file} for changes`, err);
+            return;
+        }
+        watcher.on('change', (eventType, filename) => {
+            if (String(filename) !== basename(file)) {
+                return;
+            }
+            if (timer) {
+                clearTimeout(timer);
+            }
+            timer = setTimeout(() => {
+                timer = null;
+                if (!this.quiet) {
+                    console.log(
+                        `\x1b[33m ${relative(process.cwd(), file)} changed, reloading routes \x1b[0m`
+                    );
+                }
+                reload().catch((err) =>
+                    console.error(`${file} not reloaded`, err)
+                );
+            }, BATCH_DELAY);
+        });
+        watcher.on('error', (err) => console.error(err));
+        watcher.unref();
+        this.#watchers.push(watcher);
+    }
+
+    /**
+     * Stops watching and ends the open reload streams.
+     * @returns {void}
+     */
+    close() {
+        if (this.#timer) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+        this.#watchers.forEach((watcher) => watcher.close());
+        this.#watchers = [];
+        this.#clients.forEach((client) => client.end());
+        this.#clients.clear();
+    }
+}
@@ -0,0 +1,33 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { DevReload } from './dev-reload.js';
+
+test(
+    'tells pages about changes in nested static folders',
+    { timeout: 5000 },
+    async (t) => {
+        const root = await mkdtemp(join(tmpdir(), 'dev-reload-'));
+        await mkdir(join(root, 'css'));
+        const reload = new DevReload({ root, quiet: true });
+        t.after(async () => {
+            reload.close();
+            await rm(root, { recursive: true, force: true });
+        });
+        /** @type {Promise<[string, string[]]>} */
+        const notified = new Promise((resolve) =>
+            t.mock.method(
+                reload,
+                'notify',
+                /** @type {DevReload['notify']} */
+                (type, paths) => resolve([type, paths])
+            )
+        );
+        await reload.watchStatic();
+        await writeFile(join(root, 'css', 'site.css'), 'body {}');
+        assert.deepEqual(await notified, ['css', ['/css/site.css']]);
+    }
+);
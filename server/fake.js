@@ -0,0 +1,382 @@
+//@ts-check
+
+const FIRST_NAMES = [
+    'Olivia',
+    'Liam',
+    'Emma',
+    'Noah',
+    'Ava',
+    'Elijah',
+    'Sophia',
+    'James',
+    'Isabella',
+    'Lucas',
+    'Mia',
+    'Mateo',
+    'Amelia',
+    'Benjamin',
+    'Harper',
+    'Levi',
+    'Evelyn',
+    'Daniel',
+    'Abigail',
+    'Yosef',
+    'Noa',
+    'Omar',
+    'Layla',
+    'Hiro',
+    'Yuki',
+    'Chen',
+    'Mei',
+    'Ravi',
+    'Priya',
+    'Sven',
+    'Ingrid',
+];
+
+const LAST_NAMES = [
+    'Smith',
+    'Johnson',
+    'Williams',
+    'Brown',
+    'Jones',
+    'Garcia',
+    'Miller',
+    'Davis',
+    'Rodriguez',
+    'Martinez',
+    'Cohen',
+    'Levi',
+    'Peleg',
+    'Tanaka',
+    'Suzuki',
+    'Wang',
+    'Li',
+    'Patel',
+    'Sharma',
+    'Nielsen',
+    'Larsen',
+    'Moreau',
+    'Rossi',
+    'Novak',
+    'Kowalski',
+    'Okafor',
+    'Mensah',
+    'Silva',
+];
+
+const STREETS = [
+    'Main St',
+    'Oak Ave',
+    'Maple Rd',
+    'Cedar Ln',
+    'Elm St',
+    'Pine Dr',
+    'Lake View',
+    'Hill Rd',
+    'Park Ave',
+    'Sunset Blvd',
+    'River Rd',
+];
+
+const CITIES = [
+    'Springfield',
+    'Riverside',
+    'Fairview',
+    'Tel Aviv',
+    'Haifa',
+    'Berlin',
+    'Lisbon',
+    'Toronto',
+    'Osaka',
+    'Austin',
+    'Dublin',
+    'Melbourne',
+];
+
+const COUNTRIES = [
+    'United States',
+    'Israel',
+    'Germany',
+    'Portugal',
+    'Canada',
+    'Japan',
+    'Ireland',
+    'Australia',
+    'France',
+    'India',
+    'Brazil',
+];
+
+const COMPANIES = [
+    'Acme',
+    'Globex',
+    'Initech',
+    'Umbrella',
+    'Hooli',
+    'Stark Industries',
+    'Wayne Enterprises',
+    'Cyberdyne',
+    'Soylent',
+    'Vandelay Industries',
+];
+
+const EMAIL_DOMAINS = ['example.com', 'example.org', 'mail.test', 'corp.test'];
+
+const LOREM = (
+    'lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod ' +
+    'tempor incididunt ut labore et dolore magna aliqua enim ad minim veniam ' +
+    'quis nostrud exercitation ullamco laboris nisi aliquip ex ea commodo ' +
+    'consequat duis aute irure in reprehenderit voluptate velit esse cillum ' +
+    'fugiat nulla pariatur excepteur sint occaecat cupidatat non proident ' +
+    'sunt culpa qui officia deserunt mollit anim id est laborum'
+).split(' ');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Dates are generated around this day so that a seed always gives the same. */
+const REFERENCE_DATE = Date.UTC(2024, 0, 1);
+
+/** Most words or sentences a generator makes, as the count may come from a query. */
+export const MAX_TEXT_COUNT = 1000;
+
+/**
+ * @param {number} count
+ * @returns {number} a whole number in 0..{@link MAX_TEXT_COUNT}
+ */
+const clampCount = (count) =>
+    Math.min(Math.max(Math.floor(count) || 0, 0), MAX_TEXT_COUNT);
+
+/**
+ * Generates realistic looking fake data. Given the same seed it always
+ * produces the same sequence of values.
+ */
+export class FakeData {
+    #seed;
+
+    /**
+     * @param {number} [seed] random when left out
+     */
+    constructor(seed) {
+        this.#seed = (seed ?? Math.floor(Math.random() * 2 ** 32)) >>> 0;
+    }
+
+    /**
+     * Next number in [0, 1), using mulberry32.
+     * @returns {number}
+     */
+    random() {
+        this.#seed = (this.#seed + 0x6d2b79f5) >>> 0;
+        let t = this.#seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} [min]
+     * @param {number} [max] inclusive
+     * @returns {number}
+     */
+    int(min = 0, max = 100) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * @param {number} [min]
+     * @param {number} [max]
+     * @param {number} [decimals]
+     * @returns {number}
+     */
+    float(min = 0, max = 1, decimals = 2) {
+        return Number((min + this.random() * (max - min)).toFixed(decimals));
+    }
+
+    /**
+     * @template T
+     * @param {T[]} list
+     * @returns {T}
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /** @returns {boolean} */
+    boolean() {
+        return this.random() < 0.5;
+    }
+
+    /**
+     * A version 4 UUID built from the seeded generator.
+     * @returns {string}
+     */
+    uuid() {
+        const hex = Array.from({ length: 32 }, () =>
+            this.int(0, 15).toString(16)
+        );
+        hex[12] = '4';
+        hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+        const h = hex.join('');
+        return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+    }
+
+    /** @returns {string} */
+    firstName() {
+        return this.pick(FIRST_NAMES);
+    }
+
+    /** @returns {string} */
+    lastName() {
+        return this.pick(LAST_NAMES);
+    }
+
+    /** @returns {string} */
+    name() {
+        return `${this.firstName()} ${this.lastName()}`;
+    }
+
+    /**
+     * @param {string} [name] builds the address from it when given
+     * @returns {string}
+     */
+    email(name) {
+        const local = (name || this.name())
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '.')
+            .replace(/^\.|\.$/g, '');
+        return `${local}${this.int(1, 99)}@${this.pick(EMAIL_DOMAINS)}`;
+    }
+
+    /** @returns {string} */
+    phone() {
+        return `+1-555-${String(this.int(0, 999)).padStart(3, '0')}-${String(
+            this.int(0, 9999)
+        ).padStart(4, '0')}`;
+    }
+
+    /** @returns {string} */
+    company() {
+        return this.pick(COMPANIES);
+    }
+
+    /** @returns {string} */
+    street() {
+        return `${this.int(1, 9999)} ${this.pick(STREETS)}`;
+    }
+
+    /** @returns {string} */
+    city() {
+        return this.pick(CITIES);
+    }
+
+    /** @returns {string} */
+    country() {
+        return this.pick(COUNTRIES);
+    }
+
+    /** @returns {string} */
+    zipCode() {
+        return String(this.int(10000, 99999));
+    }
+
+    /**
+     * @returns {{ street: string, city: string, zipCode: string, country: string }}
+     */
+    address() {
+        return {
+            street: this.street(),
+            city: this.city(),
+            zipCode: this.zipCode(),
+            country: this.country(),
+        };
+    }
+
+    /**
+     * An ISO date up to `days` days before or after 2024-01-01.
+     * @param {number} [days]
+     * @returns {string}
+     */
+    date(days = 365) {
+        return new Date(
+            REFERENCE_DATE + this.int(-days, days) * DAY_MS
+        ).toISOString();
+    }
+
+    /**
+     * @param {number} [days]
+     * @returns {string}
+     */
+    pastDate(days = 365) {
+        return new Date(
+            REFERENCE_DATE - this.int(1, days) * DAY_MS
+        ).toISOString();
+    }
+
+    /**
+     * @param {number} [days]
+     * @returns {string}
+     */
+    futureDate(days = 365) {
+        return new Date(
+            REFERENCE_DATE + this.int(1, days) * DAY_MS
+        ).toISOString();
+    }
+
+    /**
+     * @param {number} [count]
+     * @returns {string}
+     */
+    words(count = 3) {
+        return Array.from({ length: clampCount(count) }, () =>
+            this.pick(LOREM)
+        ).join(' ');
+    }
+
+    /**
+     * @param {number} [wordCount]
+     * @returns {string} empty for no words
+     */
+    sentence(wordCount) {
+        const text = this.words(wordCount ?? this.int(6, 12));
+        if (!text) {
+            return '';
+        }
+        return `${text[0].toUpperCase()}${text.slice(1)}.`;
+    }
+
+    /**
+     * @param {number} [sentenceCount]
+     * @returns {string}
+     */
+    paragraph(sentenceCount) {
+        return Array.from(
+            { length: clampCount(sentenceCount ?? this.int(3, 6)) },
+            () => this.sentence()
+        ).join(' ');
+    }
+}
+
+/** Generators that can be called from templates as `fake.<name>`. */
+export const FAKE_GENERATORS = [
+    'int',
+    'float',
+    'boolean',
+    'uuid',
+    'firstName',
+    'lastName',
+    'name',
+    'email',
+    'phone',
+    'company',
+    'street',
+    'city',
+    'country',
+    'zipCode',
+    'address',
+    'date',
+    'pastDate',
+    'futureDate',
+    'words',
+    'sentence',
+    'paragraph',
+];
@@ -0,0 +1,251 @@
+//@ts-check
+import { HttpError } from './http-error.js';
+
+/**
+ * Simulated network and backend problems. Rates are probabilities between
+ * 0 and 1 that are rolled for every request.
+ * @typedef {Object} FaultOptions
+ * @property {number | [number, number]} [delay] fixed delay, or a random
+ * delay between the two bounds, in milliseconds
+ * @property {number} [errorRate] chance of answering with `errorStatus`
+ * @property {number} [errorStatus] defaults to 500
+ * @property {number} [dropRate] chance of closing the connection silently
+ * @property {number} [resetRate] chance of resetting the connection, or of
+ * closing it before Node 18.3
+ * @property {number} [truncateRate] chance of sending half the body
+ * @property {number} [bandwidth] throttles the response to bytes per second
+ */
+
+const RATE_KEYS = ['errorRate', 'dropRate', 'resetRate', 'truncateRate'];
+
+/**
+ * Checks fault options received from outside, e.g. through the admin API.
+ * @param {any} faults
+ * @returns {FaultOptions}
+ */
+export const validateFaults = (faults) => {
+    if (!faults || typeof faults !== 'object' || Array.isArray(faults)) {
+        throw new HttpError(400, 'Faults must be a JSON object');
+    }
+    /** @type {string[]} */
+    const errors = [];
+    const { delay, errorStatus, bandwidth } = faults;
+    const isDelay = (/** @type {any} */ d) => typeof d === 'number' && d >= 0;
+    if (
+        delay !== undefined &&
+        !isDelay(delay) &&
+        !(
+            Array.isArray(delay) &&
+            delay.length === 2 &&
+            delay.every(isDelay) &&
+            delay[0] <= delay[1]
+        )
+    ) {
+        errors.push('delay must be a number or a [min, max] pair');
+    }
+    RATE_KEYS.forEach((key) => {
+        const rate = faults[key];
+        if (
+            rate !== undefined &&
+            (typeof rate !== 'number' || rate < 0 || rate > 1)
+        ) {
+            errors.push(`${key} must be between 0 and 1`);
+        }
+    });
+    if (
+        errorStatus !== undefined &&
+        !(
+            Number.isInteger(errorStatus) &&
+            errorStatus >= 400 &&
+            errorStatus < 600
+        )
+    ) {
+        errors.push('errorStatus must be a 4xx or 5xx status');
+    }
+    if (
+        bandwidth !== undefined &&
+        !(typeof bandwidth === 'number' && bandwidth > 0)
+    ) {
+        errors.push('bandwidth must be a positive number');
+    }
+    if (errors.length) {
+        throw new HttpError(400, 'Invalid faults', errors);
+    }
+    return faults;
+};
+
+/**
+ * @param {number | undefined} rate
+ * @returns {boolean}
+ */
+const roll = (rate) => !!rate && Math.random() < rate;
+
+/**
+ * @param {FaultOptions['delay']} delay
+ * @returns {number}
+ */
+const pickDelay = (delay) => {
+    if (Array.isArray(delay)) {
+        return delay[0] + Math.random() * (delay[1] - delay[0]);
+    }
+    return delay || 0;
+};
+
+/**
+ * @param {any} chunk
+ * @param {any} [encoding]
+ * @returns {Buffer}
+ */
+const toBuffer = (chunk, encoding) =>
+    Buffer.isBuffer(chunk)
+        ? chunk
+        : Buffer.from(
+              chunk,
+              /** @type {BufferEncoding} */ (
+                  typeof encoding === 'string' ? encoding : 'utf8'
+              )
+          );
+
+/**
+ * Buffers the whole response, announces its full length and then sends only
+ * the first half before destroying the socket.
+ * @param {import('http').ServerResponse} response
+ * @returns {void}
+ */
+const truncateResponse = (response) => {
+    /** @type {any} */
+    const res = response;
+    const originalWrite = response.write.bind(response);
+    /** @type {Buffer[]} */
+    const chunks = [];
+    // defer the head so Content-Length can still be set on end
+    res.writeHead = (
+        /** @type {number} */ status,
+        /** @type {any[]} */ ...rest
+    ) => {
+        response.statusCode = status;
+        const headers = rest.find((arg) => arg && typeof arg === 'object');
+        Object.entries(headers || {}).forEach(([key, value]) =>
+            response.setHeader(key, value)
+        );
+        return response;
+    };
+    res.write = (/** @type {any} */ chunk, /** @type {any} */ encoding) => {
+        chunks.push(toBuffer(chunk, encoding));
+        return true;
+    };
+    res.end = (/** @type {any} */ chunk, /** @type {any} */ encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            chunks.push(toBuffer(chunk, encoding));
+        }
+        const body = Buffer.concat(chunks);
+        // back to the prototype method so the head is written for real
+        delete res.writeHead;
+        response.removeHeader('Transfer-Encoding');
+        response.setHeader('Content-Length', body.length);
+        originalWrite(body.subarray(0, Math.floor(body.length / 2)), () =>
+            response.socket?.destroy()
+        );
+        return response;
+    };
+};
+
+/**
+ * Paces everything written to the response to the given bytes per second.
+ * @param {import('http').ServerResponse} response
+ * @param {number} bandwidth
+ * @returns {void}
+ */
+const throttleResponse = (response, bandwidth) => {
+    /** @type {any} */
+    const res = response;
+    const originalWrite = response.write.bind(response);
+    const originalEnd = response.end.bind(response);
+    const tickMs = 100;
+    const bytesPerTick = Math.max(1, Math.floor((bandwidth * tickMs) / 1000));
+    /** @type {Buffer[]} */
+    const queue = [];
+    let sending = false;
+    let ended = false;
+
+    const pump = () => {
+        if (response.destroyed) {
+            return;
+        }
+        const chunk = queue.shift();
+        if (!chunk) {
+            sending = false;
+            if (ended) {
+                originalEnd();
+            }
+            return;
+        }
+        sending = true;
+        if (chunk.length > bytesPerTick) {
+            queue.unshift(chunk.subarray(bytesPerTick));
+        }
+        originalWrite(chunk.subarray(0, bytesPerTick));
+        setTimeout(pump, tickMs);
+    };
+
+    res.write = (/** @type {any} */ chunk, /** @type {any} */ encoding) => {
+        queue.push(toBuffer(chunk, encoding));
+        if (!sending) {
+            pump();
+        }
+        return true;
+    };
+    res.end = (/** @type {any} */ chunk, /** @type {any} */ encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            queue.push(toBuffer(chunk, encoding));
+        }
+        ended = true;
+        if (!sending) {
+            pump();
+        }
+        return response;
+    };
+};
+
+/**
+ * Applies fault options to a request before it is handled. Resolves to false
+ * when the fault already finished the request, e.g. with an injected error.
+ * @param {import('http').IncomingMessage} request
+ * @param {import('http').ServerResponse} response
+ * @param {FaultOptions | null | undefined} faults
+ * @returns {Promise<boolean>}
+ */
+export const applyFaults = async (request, response, faults) => {
+    if (!faults) {
+        return true;
+    }
+    const delay = pickDelay(faults.delay);
+    if (delay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+    if (roll(faults.resetRate)) {
+        // before Node 18.3 the connection can only be closed
+        if (request.socket.resetAndDestroy) {
+            request.socket.resetAndDestroy();
+        } else {
+            request.socket.destroy();
+        }
+        return false;
+    }
+    if (roll(faults.dropRate)) {
+        request.socket.destroy();
+        return false;
+    }
+    if (roll(faults.errorRate)) {
+        new HttpError(faults.errorStatus || 500, 'Injected fault').send(
+            response
+        );
+        return false;
+    }
+    if (roll(faults.truncateRate)) {
+        truncateResponse(response);
+    } else if (faults.bandwidth) {
+        throttleResponse(response, faults.bandwidth);
+    }
+    return true;
+};
@@ -0,0 +1,141 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateFaults } from './faults.js';
+import { HttpError } from './http-error.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+const buildController = () =>
+    new ApiController({
+        routes: [
+            ApiController.createRoute({ url: '/api/fast', data: { ok: true } }),
+            ApiController.createRoute({
+                url: '/api/slow',
+                data: { ok: true },
+                faults: { delay: 80 },
+            }),
+            ApiController.createRoute({
+                url: '/api/broken',
+                data: { ok: true },
+                faults: { errorRate: 1, errorStatus: 503 },
+            }),
+            ApiController.createRoute({
+                url: '/api/dropped',
+                data: { ok: true },
+                faults: { resetRate: 1 },
+            }),
+            ApiController.createRoute({
+                url: '/api/cut',
+                data: { text: 'x'.repeat(200) },
+                faults: { truncateRate: 1 },
+            }),
+            ApiController.createRoute({
+                url: '/api/throttled',
+                data: 'x'.repeat(300),
+                faults: { bandwidth: 1000 },
+            }),
+        ],
+    });
+
+/**
+ * @param {() => Promise<any>} action
+ * @returns {Promise<number>} milliseconds the action took
+ */
+const time = async (action) => {
+    const start = performance.now();
+    await action();
+    return performance.now() - start;
+};
+
+test('validates fault options', () => {
+    assert.deepEqual(validateFaults({ delay: [10, 20], errorRate: 0.5 }), {
+        delay: [10, 20],
+        errorRate: 0.5,
+    });
+    for (const faults of [
+        null,
+        { delay: -1 },
+        { delay: [20, 10] },
+        { errorRate: 2 },
+        { errorStatus: 200 },
+    ]) {
+        assert.throws(() => validateFaults(faults), HttpError);
+    }
+});
+
+test('delays and fails routes with their own faults', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    const slow = await time(async () =>
+        (await fetch(`${url}/api/slow`)).json()
+    );
+    assert.ok(slow >= 70, `took ${slow}ms`);
+
+    const broken = await fetch(`${url}/api/broken`);
+    assert.equal(broken.status, 503);
+    await broken.arrayBuffer();
+
+    await assert.rejects(fetch(`${url}/api/dropped`));
+    await assert.rejects(async () =>
+        (await fetch(`${url}/api/cut`)).arrayBuffer()
+    );
+    const throttled = await time(async () =>
+        (await fetch(`${url}/api/throttled`)).text()
+    );
+    assert.ok(throttled >= 200, `took ${throttled}ms`);
+});
+
+test('changes the global and route faults through the admin api', async (t) => {
+    const { url, server } = await startTestServer(t, {
+        controller: buildController,
+    });
+    /**
+     * @param {string} path
+     * @param {string} method
+     * @param {any} [body]
+     */
+    const admin = (path, method, body) =>
+        fetch(`${url}/__admin/faults${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+
+    const invalid = await admin('', 'PUT', { errorRate: 5 });
+    assert.equal(invalid.status, 400);
+    await invalid.arrayBuffer();
+    await (await admin('', 'PUT', { errorRate: 1, errorStatus: 502 })).json();
+    assert.deepEqual(server.faults, { errorRate: 1, errorStatus: 502 });
+    const failing = await fetch(`${url}/api/fast`);
+    assert.equal(failing.status, 502);
+    await failing.arrayBuffer();
+    assert.equal((await admin('', 'DELETE')).status, 204);
+    assert.equal((await fetch(`${url}/api/fast`)).status, 200);
+
+    const route = await admin('/routes', 'PUT', {
+        url: '/api/fast',
+        faults: { errorRate: 1, errorStatus: 504 },
+    });
+    assert.equal(
+        /** @type {any} */ (await route.json()).faults.errorStatus,
+        504
+    );
+    const listed = /** @type {any} */ (await (await admin('', 'GET')).json());
+    assert.deepEqual(
+        listed.routes.map((/** @type {any} */ route) => route.url),
+        [
+            '/api/fast',
+            '/api/slow',
+            '/api/broken',
+            '/api/dropped',
+            '/api/cut',
+            '/api/throttled',
+        ]
+    );
+    const routeFailing = await fetch(`${url}/api/fast`);
+    assert.equal(routeFailing.status, 504);
+    await routeFailing.arrayBuffer();
+
+    await fetch(`${url}/__admin/reset`, { method: 'POST' });
+    assert.equal((await fetch(`${url}/api/fast`)).status, 200);
+});
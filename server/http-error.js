@@ -0,0 +1,40 @@
+//@ts-check
+
+/**
+ * An error that carries the HTTP status it should be answered with.
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} message
+     * @param {any} [details]
+     * @param {Record<string, string>} [headers] sent with the error, such as
+     * `WWW-Authenticate`
+     */
+    constructor(status, message, details, headers) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+        this.headers = headers || {};
+    }
+
+    /**
+     * Writes the error to the response as a JSON body.
+     * @param {import('http').ServerResponse} response
+     * @returns {void}
+     */
+    send(response) {
+        /** @type {{ error: string, details?: any }} */
+        const body = { error: this.message };
+        if (this.details !== undefined) {
+            body.details = this.details;
+        }
+        response.writeHead(this.status, {
+            ...this.headers,
+            'Content-Type': 'application/json',
+        });
+        response.write(JSON.stringify(body));
+        response.end();
+    }
+}
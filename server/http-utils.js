@@ -0,0 +1,36 @@
+//@ts-check
+
+/**
+ * Writes a JSON response. An undefined body sends headers only.
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {any} data
+ * @param {import('http').OutgoingHttpHeaders} [headers]
+ * @returns {void}
+ */
+export const sendJson = (res, status, data, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    if (data !== undefined) {
+        res.write(JSON.stringify(data));
+    }
+    res.end();
+};
+
+/**
+ * Adds header names to the `Vary` header of a response, keeping the ones
+ * already there.
+ * @param {import('http').ServerResponse} res
+ * @param {...string} fields
+ * @returns {void}
+ */
+export const appendVary = (res, ...fields) => {
+    const current = String(res.getHeader('Vary') || '')
+        .split(',')
+        .map((field) => field.trim())
+        .filter((field) => field);
+    const known = new Set(current.map((field) => field.toLowerCase()));
+    const added = fields.filter((field) => !known.has(field.toLowerCase()));
+    if (added.length) {
+        res.setHeader('Vary', [...current, ...added].join(', '));
+    }
+};
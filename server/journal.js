@@ -0,0 +1,215 @@
+//@ts-check
+import { performance } from 'node:perf_hooks';
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {number} id
+ * @property {string} method
+ * @property {string} url
+ * @property {import('http').IncomingHttpHeaders} headers
+ * @property {any} body parsed body, only read for matched routes
+ * @property {string | null} route `METHOD /pattern` of the matched route
+ * @property {number | null} status null while the response is in flight
+ * @property {string} startedAt
+ * @property {number | null} duration milliseconds
+ */
+
+/**
+ * @typedef {Object} JournalFilter
+ * @property {string} [method]
+ * @property {string} [url] path or route pattern such as `/api/users/:id`
+ * @property {number} [status]
+ * @property {boolean} [matched] whether a route handled the request
+ * @property {number} [limit] only the newest entries
+ */
+
+/**
+ * @typedef {Object} VerifyCriteria
+ * @property {string} [method]
+ * @property {string} url path or route pattern
+ * @property {number} [count] exact number of expected calls, at least one
+ * when left out
+ */
+
+/**
+ * @typedef {Object} NearMiss
+ * @property {JournalEntry} request
+ * @property {string[]} differences
+ */
+
+/**
+ * @typedef {Object} VerifyResult
+ * @property {boolean} ok
+ * @property {number} actual
+ * @property {number | null} expected
+ * @property {JournalEntry[]} matches
+ * @property {JournalEntry[]} unmatched requests no route handled
+ * @property {NearMiss[]} nearMisses closest requests that did not qualify
+ */
+
+/**
+ * @param {string} url
+ * @returns {string[]}
+ */
+const pathSegments = (url) =>
+    url
+        .split('?')[0]
+        .split('/')
+        .filter((p) => p);
+
+/**
+ * A bounded in-memory log of the requests an ApiController has seen.
+ */
+export class RequestJournal {
+    #nextId = 1;
+
+    /**
+     * @param {{ limit?: number, matchUrl: (pattern: string, url: string) => boolean }} options
+     */
+    constructor({ limit, matchUrl }) {
+        this.limit = limit || 1000;
+        this.matchUrl = matchUrl;
+        /** @type {JournalEntry[]} */
+        this.entries = [];
+    }
+
+    /**
+     * Adds a request to the journal and fills in its status and duration
+     * once the response is done.
+     * @param {import('http').IncomingMessage} request
+     * @param {import('http').ServerResponse} response
+     * @returns {JournalEntry}
+     */
+    record(request, response) {
+        const started = performance.now();
+        /** @type {JournalEntry} */
+        const entry = {
+            id: this.#nextId++,
+            method: (request.method || 'GET').toUpperCase(),
+            url: typeof request.url === 'string' ? request.url : '',
+            headers: { ...request.headers },
+            body: undefined,
+            route: null,
+            status: null,
+            startedAt: new Date().toISOString(),
+            duration: null,
+        };
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+        response.once('close', () => {
+            entry.status = response.headersSent ? response.statusCode : null;
+            entry.duration =
+                Math.round((performance.now() - started) * 10) / 10;
+        });
+        return entry;
+    }
+
+    /**
+     * @param {JournalFilter} [filter]
+     * @returns {JournalEntry[]}
+     */
+    list({ method, url, status, matched, limit } = {}) {
+        const found = this.entries.filter(
+            (entry) =>
+                (!method || entry.method === method.toUpperCase()) &&
+                (!url || this.matchUrl(url, entry.url)) &&
+                (status === undefined || entry.status === status) &&
+                (matched === undefined || (entry.route !== null) === matched)
+        );
+        return limit ? found.slice(-limit) : found;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {JournalEntry | undefined}
+     */
+    get(id) {
+        return this.entries.find((entry) => entry.id === id);
+    }
+
+    /**
+     * @param {JournalEntry} entry
+     * @returns {void}
+     */
+    remove(entry) {
+        this.entries = this.entries.filter((other) => other !== entry);
+    }
+
+    /**
+     * @returns {void}
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * Checks that the expected calls were made. On failure the unmatched
+     * requests and near misses help to find out why.
+     * @param {VerifyCriteria} criteria
+     * @returns {VerifyResult}
+     */
+    verify({ method, url, count }) {
+        const matches = this.list({ method, url });
+        const expected = count ?? null;
+        return {
+            ok:
+                expected === null
+                    ? matches.length > 0
+                    : matches.length === expected,
+            actual: matches.length,
+            expected,
+            matches,
+            unmatched: this.list({ matched: false }),
+            nearMisses: this.nearMisses({ method, url }, matches),
+        };
+    }
+
+    /**
+     * Ranks the other requests by how close they come to the criteria.
+     * @param {{ method?: string, url: string }} criteria
+     * @param {JournalEntry[]} matches
+     * @param {number} [max]
+     * @returns {NearMiss[]}
+     */
+    nearMisses({ method, url }, matches, max = 3) {
+        const wantedSegments = pathSegments(url);
+        return this.entries
+            .filter((entry) => !matches.includes(entry))
+            .map((entry) => {
+                /** @type {string[]} */
+                const differences = [];
+                let score = 0;
+                if (method && entry.method !== method.toUpperCase()) {
+                    differences.push(
+                        `method ${entry.method} is not ${method.toUpperCase()}`
+                    );
+                } else {
+                    score += 1;
+                }
+                const segments = pathSegments(entry.url);
+                const sameSegments = wantedSegments.filter(
+                    (part, i) => part.startsWith(':') || part === segments[i]
+                ).length;
+                if (!this.matchUrl(url, entry.url)) {
+                    differences.push(
+                        `url ${entry.url.split('?')[0]} does not match ${url}`
+                    );
+                }
+                const pathScore =
+                    sameSegments /
+                    Math.max(wantedSegments.length, segments.length, 1);
+                return {
+                    request: entry,
+                    differences,
+                    pathScore,
+                    score: score + pathScore,
+                };
+            })
+            .filter(({ pathScore }) => pathScore > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, max)
+            .map(({ request, differences }) => ({ request, differences }));
+    }
+}
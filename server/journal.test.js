@@ -0,0 +1,143 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+const buildController = () =>
+    new ApiController({
+        routes: [
+            ApiController.createRoute({ url: '/api/users', data: [] }),
+            ApiController.createRoute({
+                url: '/api/users/:id',
+                method: 'PUT',
+                data: {},
+            }),
+        ],
+    });
+
+/**
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>} a root with a `public` folder
+ */
+const makeRoot = async (t) => {
+    const root = await mkdtemp(join(tmpdir(), 'journal-'));
+    t.after(() => rm(root, { recursive: true, force: true }));
+    await mkdir(join(root, 'public'));
+    await writeFile(join(root, 'public', 'index.html'), '<p>home</p>');
+    await writeFile(join(root, 'public', 'main.js'), 'export {};');
+    return root;
+};
+
+/**
+ * @param {string} url
+ * @param {any} body
+ * @returns {Promise<any>}
+ */
+const postJson = async (url, body) => {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    return res.json();
+};
+
+test('records requests with their route, body and status', async (t) => {
+    const { url, controller } = await startTestServer(t, {
+        controller: buildController,
+    });
+    await fetch(`${url}/api/users?page=2`);
+    await fetch(`${url}/api/users/7`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"name":"Ada"}',
+    });
+    const [list, put] = controller.journal.entries;
+    assert.equal(list.route, 'GET /api/users');
+    assert.equal(list.url, '/api/users?page=2');
+    assert.equal(put.route, 'PUT /api/users/:id');
+    assert.deepEqual(put.body, { name: 'Ada' });
+    assert.equal(put.status, 200);
+    assert.equal(typeof put.duration, 'number');
+});
+
+test('filters and verifies calls through the admin api', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    await fetch(`${url}/api/users/1`, { method: 'PUT', body: '{}' });
+    await fetch(`${url}/api/users/2`, { method: 'PUT', body: '{}' });
+    await fetch(`${url}/api/user/3`, { method: 'PUT', body: '{}' });
+
+    const res = await fetch(
+        `${url}/__admin/requests?method=PUT&url=/api/users/:id`
+    );
+    const entries = /** @type {any[]} */ (await res.json());
+    assert.deepEqual(
+        entries.map((entry) => entry.url),
+        ['/api/users/1', '/api/users/2']
+    );
+    const ok = await postJson(`${url}/__admin/requests/verify`, {
+        method: 'PUT',
+        url: '/api/users/:id',
+        count: 2,
+    });
+    assert.equal(ok.ok, true);
+    const failed = await postJson(`${url}/__admin/requests/verify`, {
+        method: 'PUT',
+        url: '/api/users/:id',
+        count: 3,
+    });
+    assert.equal(failed.ok, false);
+    assert.equal(failed.actual, 2);
+    assert.deepEqual(
+        failed.unmatched.map((/** @type {any} */ entry) => entry.url),
+        ['/api/user/3']
+    );
+    assert.equal(failed.nearMisses[0].request.url, '/api/user/3');
+
+    await fetch(`${url}/__admin/requests`, { method: 'DELETE' });
+    const cleared = await fetch(`${url}/__admin/requests`);
+    assert.deepEqual(await cleared.json(), []);
+});
+
+test('keeps the journal within its limit', async (t) => {
+    const { url, controller } = await startTestServer(t, {
+        controller: () => new ApiController({ journalLimit: 2 }),
+    });
+    for (const id of [1, 2, 3]) {
+        await fetch(`${url}/api/${id}`);
+    }
+    assert.deepEqual(
+        controller.journal.entries.map((entry) => entry.url),
+        ['/api/2', '/api/3']
+    );
+});
+
+test('leaves static files out of the unmatched requests', async (t) => {
+    const root = await makeRoot(t);
+    const { url, controller } = await startTestServer(t, {
+        controller: buildController,
+        root,
+    });
+    for (const [path, status] of [
+        ['/main.js', 200],
+        ['/', 200],
+        ['/api/missing', 404],
+    ]) {
+        const res = await fetch(`${url}${path}`);
+        await res.arrayBuffer();
+        assert.equal(res.status, status);
+    }
+    // static files are taken out once their response has finished
+    for (let i = 0; i < 20 && controller.journal.entries.length > 1; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    const { unmatched } = controller.journal.verify({ url: '/api/users' });
+    assert.deepEqual(
+        unmatched.map((entry) => entry.url),
+        ['/api/missing']
+    );
+});
@@ -0,0 +1,251 @@
+//@ts-check
+import { isDeepStrictEqual } from 'node:util';
+
+/**
+ * A matcher for a single value. A plain value must be equal, the object
+ * forms test with a regular expression, for containment or for absence.
+ * @typedef {string | number | boolean | null | { equals?: any, matches?: string, contains?: any, absent?: boolean }} ValueMatcher
+ */
+
+/**
+ * Extra conditions a request must meet besides its url and method. Body
+ * keys are dot separated paths into the parsed JSON body, e.g. `user.role`.
+ * @typedef {Object} RouteMatch
+ * @property {Record<string, ValueMatcher>} [query]
+ * @property {Record<string, ValueMatcher>} [headers]
+ * @property {Record<string, ValueMatcher>} [body]
+ */
+
+/** Priority of routes that do not set one. Lower numbers win. */
+export const DEFAULT_PRIORITY = 5;
+
+/**
+ * @param {string} path
+ * @returns {string[]}
+ */
+const segments = (path) => path.split('/').filter((p) => p);
+
+/**
+ * Matches a url against a route pattern and returns its variables, or null
+ * when it does not match. Patterns support `:name` for one segment, `:name?`
+ * for an optional one, `*` for any single segment and `**` for any number
+ * of segments, which are returned as the `*` variable. The query string of
+ * the url is ignored.
+ * @param {string} pattern
+ * @param {string} url
+ * @returns {Record<string, string> | null}
+ */
+export const matchPath = (pattern, url) => {
+    const patternParts = segments(pattern);
+    const parts = segments(url.split('?')[0]);
+    /** @type {Record<string, string>} */
+    const params = {};
+
+    /**
+     * @param {number} i index in the pattern
+     * @param {number} j index in the url
+     * @returns {boolean}
+     */
+    const walk = (i, j) => {
+        if (i === patternParts.length) {
+            return j === parts.length;
+        }
+        const part = patternParts[i];
+        if (part === '**') {
+            for (let end = parts.length; end >= j; end--) {
+                if (walk(i + 1, end)) {
+                    params['*'] = parts.slice(j, end).join('/');
+                    return true;
+                }
+            }
+            return false;
+        }
+        if (part.startsWith(':') && part.endsWith('?')) {
+            const name = part.slice(1, -1);
+            if (j < parts.length && walk(i + 1, j + 1)) {
+                params[name] = parts[j];
+                return true;
+            }
+            if (walk(i + 1, j)) {
+                params[name] = '';
+                return true;
+            }
+            return false;
+        }
+        if (j >= parts.length) {
+            return false;
+        }
+        if (part === '*' || part.startsWith(':')) {
+            if (!walk(i + 1, j + 1)) {
+                return false;
+            }
+            if (part !== '*') {
+                params[part.substring(1)] = parts[j];
+            }
+            return true;
+        }
+        return part === parts[j] && walk(i + 1, j + 1);
+    };
+
+    return walk(0, 0) ? params : null;
+};
+
+/**
+ * Tells whether `actual` contains `expected`: a substring, an array element,
+ * or for objects every expected property, recursively.
+ * @param {any} actual
+ * @param {any} expected
+ * @returns {boolean}
+ */
+const contains = (actual, expected) => {
+    if (typeof actual === 'string') {
+        return actual.includes(String(expected));
+    }
+    if (Array.isArray(actual)) {
+        return actual.some(
+            (item) =>
+                isDeepStrictEqual(item, expected) ||
+                (item &&
+                    expected &&
+                    typeof item === 'object' &&
+                    typeof expected === 'object' &&
+                    contains(item, expected))
+        );
+    }
+    if (actual && typeof actual === 'object' && expected) {
+        return Object.entries(expected).every(([key, value]) =>
+            value && typeof value === 'object'
+                ? contains(actual[key], value)
+                : isDeepStrictEqual(actual[key], value)
+        );
+    }
+    return false;
+};
+
+/**
+ * An invalid pattern never matches instead of failing the request.
+ * @param {string} pattern
+ * @param {string} value
+ * @returns {boolean}
+ */
+const testPattern = (pattern, value) => {
+    try {
+        return new RegExp(pattern).test(value);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * @param {ValueMatcher} matcher
+ * @param {any} actual
+ * @param {boolean} loose compare as strings, for query and header values
+ * @returns {boolean}
+ */
+export const matchValue = (matcher, actual, loose = false) => {
+    if (Array.isArray(actual) && loose) {
+        return actual.some((value) => matchValue(matcher, value, loose));
+    }
+    if (matcher === null || typeof matcher !== 'object') {
+        return loose
+            ? actual !== undefined && String(actual) === String(matcher)
+            : isDeepStrictEqual(actual, matcher);
+    }
+    if (matcher.absent !== undefined) {
+        return (actual === undefined) === matcher.absent;
+    }
+    if (actual === undefined) {
+        return false;
+    }
+    if ('equals' in matcher && !matchValue(matcher.equals, actual, loose)) {
+        return false;
+    }
+    if (
+        matcher.matches !== undefined &&
+        !testPattern(
+            matcher.matches,
+            typeof actual === 'string' ? actual : JSON.stringify(actual)
+        )
+    ) {
+        return false;
+    }
+    if (matcher.contains !== undefined && !contains(actual, matcher.contains)) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * @param {any} body
+ * @param {string} path
+ * @returns {any}
+ */
+const valueAtPath = (body, path) =>
+    path
+        .split('.')
+        .reduce(
+            (value, key) =>
+                value !== null && typeof value === 'object'
+                    ? value[key]
+                    : undefined,
+            body
+        );
+
+/**
+ * Checks the query and header conditions of a route.
+ * @param {RouteMatch | undefined} match
+ * @param {{ query: Record<string, string | string[]>, headers: import('http').IncomingHttpHeaders }} request
+ * @returns {boolean}
+ */
+export const matchRequestMeta = (match, { query, headers }) =>
+    Object.entries(match?.query || {}).every(([key, matcher]) =>
+        matchValue(matcher, query[key], true)
+    ) &&
+    Object.entries(match?.headers || {}).every(([key, matcher]) =>
+        matchValue(matcher, headers[key.toLowerCase()], true)
+    );
+
+/**
+ * Checks the body conditions of a route.
+ * @param {RouteMatch | undefined} match
+ * @param {any} body
+ * @returns {boolean}
+ */
+export const matchRequestBody = (match, body) =>
+    Object.entries(match?.body || {}).every(([path, matcher]) =>
+        matchValue(matcher, valueAtPath(body, path))
+    );
+
+/**
+ * Scores how specific a route is, so that among routes of the same priority
+ * the most specific one wins: literal segments weigh more than variables,
+ * and every extra condition counts.
+ * @param {{ url: string, method?: string, match?: RouteMatch, requiredState?: string }} route
+ * @returns {number}
+ */
+export const specificity = (route) => {
+    const pathScore = segments(route.url).reduce((score, part) => {
+        if (part === '**') {
+            return score;
+        }
+        if (part === '*' || (part.startsWith(':') && part.endsWith('?'))) {
+            return score + 1;
+        }
+        return score + (part.startsWith(':') ? 2 : 4);
+    }, 0);
+    const conditions = ['query', 'headers', 'body'].reduce(
+        (count, key) =>
+            count +
+            Object.keys(
+                /** @type {Record<string, any>} */ (route.match || {})[key] ||
+                    {}
+            ).length,
+        0
+    );
+    return (
+        pathScore +
+        (route.method ? 1 : 0) +
+        conditions * 3 +
+        (route.requiredState ? 3 : 0)
+    );
+};
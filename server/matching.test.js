@@ -0,0 +1,112 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchPath, matchValue, specificity } from './matching.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+test('matches paths with variables and wildcards', () => {
+    assert.deepEqual(matchPath('/api/users/:id', '/api/users/7?full=1'), {
+        id: '7',
+    });
+    assert.equal(matchPath('/api/users/:id', '/api/users/7/posts'), null);
+    assert.deepEqual(matchPath('/api/users/:id?', '/api/users'), { id: '' });
+    assert.deepEqual(matchPath('/api/*/list', '/api/users/list'), {});
+    assert.equal(matchPath('/api/*/list', '/api/list'), null);
+    assert.deepEqual(matchPath('/files/**', '/files/a/b/c.txt'), {
+        '*': 'a/b/c.txt',
+    });
+    assert.deepEqual(matchPath('/files/**/raw', '/files/a/b/raw'), {
+        '*': 'a/b',
+    });
+});
+
+test('matches values exactly, by pattern, by content or absence', () => {
+    assert.equal(matchValue('2', 2, true), true);
+    assert.equal(matchValue('2', 2), false);
+    assert.equal(matchValue('b', ['a', 'b'], true), true);
+    assert.equal(matchValue({ matches: '^acme-' }, 'acme-eu'), true);
+    assert.equal(matchValue({ matches: '(' }, '('), false);
+    assert.equal(
+        matchValue({ contains: { sku: 'A-1' } }, [{ sku: 'A-1', qty: 2 }]),
+        true
+    );
+    assert.equal(matchValue({ contains: 'lo w' }, 'hello world'), true);
+    assert.equal(matchValue({ absent: true }, undefined), true);
+    assert.equal(matchValue({ absent: true }, null), false);
+    assert.equal(matchValue({ equals: 1 }, undefined), false);
+});
+
+test('ranks literal segments and conditions above variables', () => {
+    assert.ok(
+        specificity({ url: '/api/users/me' }) >
+            specificity({ url: '/api/users/:id' })
+    );
+    assert.ok(
+        specificity({ url: '/api/:id', match: { query: { a: '1' } } }) >
+            specificity({ url: '/api/me' })
+    );
+});
+
+test('picks routes by query, headers, body and priority', async (t) => {
+    const { url } = await startTestServer(t, {
+        controller: () =>
+            new ApiController({
+                routes: [
+                    ApiController.createRoute({
+                        url: '/api/orders',
+                        method: 'POST',
+                        data: 'any',
+                    }),
+                    ApiController.createRoute({
+                        url: '/api/orders',
+                        method: 'POST',
+                        data: 'gold',
+                        match: {
+                            body: {
+                                'customer.tier': 'gold',
+                                coupon: { absent: true },
+                            },
+                        },
+                    }),
+                    ApiController.createRoute({
+                        url: '/api/orders',
+                        method: 'POST',
+                        data: 'dry run',
+                        match: { query: { dryRun: 'true' } },
+                    }),
+                    ApiController.createRoute({
+                        url: '/api/orders',
+                        method: 'POST',
+                        data: 'acme',
+                        priority: 1,
+                        match: {
+                            headers: { 'X-Tenant': { matches: '^acme-' } },
+                        },
+                    }),
+                ],
+            }),
+    });
+    /**
+     * @param {any} body
+     * @param {string} [query]
+     * @param {Record<string, string>} [headers]
+     */
+    const order = async (body, query = '', headers = {}) => {
+        const res = await fetch(`${url}/api/orders${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+        });
+        return res.json();
+    };
+    const gold = { customer: { tier: 'gold' } };
+    assert.equal(await order({}), 'any');
+    assert.equal(await order(gold), 'gold');
+    assert.equal(await order({ ...gold, coupon: 'X' }), 'any');
+    assert.equal(await order({}, '?dryRun=true'), 'dry run');
+    assert.equal(
+        await order(gold, '?dryRun=true', { 'X-Tenant': 'acme-eu' }),
+        'acme'
+    );
+});
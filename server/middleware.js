@@ -0,0 +1,198 @@
+//@ts-check
+import { HttpError } from './http-error.js';
+import { appendVary } from './http-utils.js';
+
+/**
+ * Runs before the routes. Call `next()` to go on, or answer the request
+ * and leave it out; awaiting `next()` waits for everything after it.
+ * Route middleware also gets the parsed request as `context`.
+ * @callback Middleware
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {() => Promise<void>} next
+ * @param {import('./server.js').RouteContext<any>} [context]
+ * @returns {void | Promise<void>}
+ */
+
+/**
+ * @typedef {Object} CorsOptions
+ * @property {'*' | string | string[] | RegExp | ((origin: string) => boolean)} [origin]
+ * allowed origins, every origin by default
+ * @property {boolean} [credentials] allow cookies and auth headers, the
+ * origin is then echoed instead of `*`
+ * @property {string[]} [methods]
+ * @property {string[]} [allowedHeaders] defaults to the headers the
+ * preflight asks for
+ * @property {string[]} [exposedHeaders]
+ * @property {number} [maxAge] how long browsers may cache a preflight, in
+ * seconds
+ */
+
+/**
+ * Runs middleware in order and then the handler. Errors thrown by any of
+ * them reject the returned promise.
+ * @param {Middleware[]} middleware
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {() => void | Promise<void>} handler
+ * @param {import('./server.js').RouteContext<any>} [context]
+ * @returns {Promise<void>}
+ */
+export const runMiddleware = (middleware, req, res, handler, context) => {
+    /**
+     * @param {number} index
+     * @returns {Promise<void>}
+     */
+    const dispatch = async (index) => {
+        if (index === middleware.length) {
+            await handler();
+            return;
+        }
+        let called = false;
+        await middleware[index](
+            req,
+            res,
+            () => {
+                if (called) {
+                    return Promise.reject(
+                        new Error('next() was called more than once')
+                    );
+                }
+                called = true;
+                return dispatch(index + 1);
+            },
+            context
+        );
+    };
+    return dispatch(0);
+};
+
+/**
+ * @param {CorsOptions['origin']} allowed
+ * @param {string} origin
+ * @returns {boolean}
+ */
+export const isOriginAllowed = (allowed, origin) => {
+    if (allowed === undefined || allowed === '*') {
+        return true;
+    }
+    if (typeof allowed === 'function') {
+        return allowed(origin);
+    }
+    if (allowed instanceof RegExp) {
+        return allowed.test(origin);
+    }
+    return (Array.isArray(allowed) ? allowed : [allowed]).includes(origin);
+};
+
+/**
+ * Creates a middleware that adds CORS headers and answers preflight
+ * requests. Requests from origins that are not allowed get no CORS headers,
+ * so the browser blocks them.
+ * @param {CorsOptions} [options]
+ * @returns {Middleware}
+ */
+export const cors = (options = {}) => {
+    const methods = options.methods || [
+        'GET',
+        'POST',
+        'PUT',
+        'PATCH',
+        'DELETE',
+        'OPTIONS',
+    ];
+    const exposedHeaders = options.exposedHeaders || [
+        'X-Total-Count',
+        'Link',
+        'Location',
+        'Retry-After',
+        'X-RateLimit-Limit',
+        'X-RateLimit-Remaining',
+        'X-RateLimit-Reset',
+    ];
+    const anyOrigin =
+        (options.origin === undefined || options.origin === '*') &&
+        !options.credentials;
+    return async (req, res, next) => {
+        const origin = req.headers.origin;
+        const isPreflight =
+            req.method === 'OPTIONS' &&
+            !!req.headers['access-control-request-method'];
+        if (!anyOrigin) {
+            appendVary(res, 'Origin');
+        }
+        if (origin === undefined && !anyOrigin) {
+            await next();
+            return;
+        }
+        if (origin !== undefined && !isOriginAllowed(options.origin, origin)) {
+            if (isPreflight) {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+            await next();
+            return;
+        }
+        res.setHeader(
+            'Access-Control-Allow-Origin',
+            anyOrigin ? '*' : String(origin)
+        );
+        if (options.credentials) {
+            res.setHeader('Access-Control-Allow-Credentials', 'true');
+        }
+        if (!isPreflight) {
+            if (exposedHeaders.length) {
+                res.setHeader(
+                    'Access-Control-Expose-Headers',
+                    exposedHeaders.join(', ')
+                );
+            }
+            await next();
+            return;
+        }
+        res.setHeader('Access-Control-Allow-Methods', methods.join(','));
+        const requestedHeaders = req.headers['access-control-request-headers'];
+        const allowedHeaders = options.allowedHeaders
+            ? options.allowedHeaders.join(', ')
+            : requestedHeaders;
+        if (allowedHeaders) {
+            res.setHeader('Access-Control-Allow-Headers', allowedHeaders);
+        }
+        if (!options.allowedHeaders) {
+            appendVary(res, 'Access-Control-Request-Headers');
+        }
+        if (options.maxAge !== undefined) {
+            res.setHeader('Access-Control-Max-Age', String(options.maxAge));
+        }
+        res.writeHead(204);
+        res.end();
+    };
+};
+
+/**
+ * Answers a request that failed with an error: an HttpError with its own
+ * status, anything else with a JSON 500. Responses that already started are
+ * cut off.
+ * @param {import('http').ServerResponse} res
+ * @param {unknown} error
+ * @param {{ stack?: boolean }} [options] include the stack trace
+ * @returns {void}
+ */
+export const sendError = (res, error, { stack } = {}) => {
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+    if (error instanceof HttpError) {
+        error.send(res);
+        return;
+    }
+    const err =
+        error instanceof Error ? error : new Error(String(error ?? 'Error'));
+    new HttpError(
+        500,
+        err.message || 'Internal Server Error',
+        stack ? { name: err.name, stack: err.stack?.split('\n') } : undefined
+    ).send(res);
+};
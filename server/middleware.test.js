@@ -0,0 +1,200 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMiddleware } from './middleware.js';
+import { HttpError } from './http-error.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+/**
+ * @param {string[]} [calls] collects the steps a request went through
+ * @returns {ApiController<any>}
+ */
+const buildController = (calls = []) =>
+    new ApiController({
+        routes: [
+            {
+                url: '/api/greeting',
+                middleware: [
+                    async (req, res, next, context) => {
+                        calls.push(`route ${context?.query.name}`);
+                        await next();
+                        calls.push('route done');
+                    },
+                ],
+                routeAction: (req, res) => {
+                    calls.push('action');
+                    res.end('hello');
+                },
+            },
+            {
+                url: '/api/throws',
+                routeAction: () => {
+                    throw new Error('thrown');
+                },
+            },
+            {
+                url: '/api/rejects',
+                routeAction: async () => {
+                    await Promise.resolve();
+                    throw new HttpError(418, 'a teapot', { brewing: false });
+                },
+            },
+        ],
+    });
+
+test('runs middleware in order around the handler', async () => {
+    /** @type {string[]} */
+    const order = [];
+    const req = /** @type {any} */ ({});
+    const res = /** @type {any} */ ({});
+    await runMiddleware(
+        [
+            async (req, res, next) => {
+                order.push('a');
+                await next();
+                order.push('a after');
+            },
+            (req, res, next) => {
+                order.push('b');
+                return next();
+            },
+        ],
+        req,
+        res,
+        () => {
+            order.push('handler');
+        }
+    );
+    assert.deepEqual(order, ['a', 'b', 'handler', 'a after']);
+
+    await assert.rejects(
+        runMiddleware(
+            [(req, res, next) => next().then(next)],
+            req,
+            res,
+            () => {}
+        ),
+        /next\(\) was called more than once/
+    );
+    await assert.rejects(
+        runMiddleware([], req, res, () => {
+            throw new Error('handler failed');
+        }),
+        /handler failed/
+    );
+});
+
+test('runs server and route middleware', async (t) => {
+    /** @type {string[]} */
+    const calls = [];
+    const { url, server } = await startTestServer(t, {
+        controller: () => buildController(calls),
+        middleware: [
+            async (req, res, next) => {
+                calls.push('server');
+                await next();
+            },
+        ],
+    });
+    server.use((req, res, next) => {
+        if (req.headers['x-block']) {
+            res.writeHead(423);
+            res.end();
+            return;
+        }
+        return next();
+    });
+    const res = await fetch(`${url}/api/greeting?name=Ada`);
+    assert.equal(await res.text(), 'hello');
+    assert.deepEqual(calls, ['server', 'route Ada', 'action', 'route done']);
+
+    const blocked = await fetch(`${url}/api/greeting`, {
+        headers: { 'X-Block': '1' },
+    });
+    assert.equal(blocked.status, 423);
+    await blocked.arrayBuffer();
+    assert.equal(calls.filter((call) => call === 'action').length, 1);
+});
+
+test('answers failing routes with JSON errors', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    // the failures are logged
+    t.mock.method(console, 'error', () => {});
+    const thrown = await fetch(`${url}/api/throws`);
+    assert.equal(thrown.status, 500);
+    assert.deepEqual(await thrown.json(), { error: 'thrown' });
+    const rejected = await fetch(`${url}/api/rejects`);
+    assert.equal(rejected.status, 418);
+    assert.deepEqual(await rejected.json(), {
+        error: 'a teapot',
+        details: { brewing: false },
+    });
+
+    const withStack = await startTestServer(t, {
+        controller: buildController,
+        errorStack: true,
+    });
+    const traced = /** @type {any} */ (
+        await (await fetch(`${withStack.url}/api/throws`)).json()
+    );
+    assert.equal(traced.details.name, 'Error');
+    assert.match(traced.details.stack[0], /thrown/);
+});
+
+test('adds the configured CORS headers', async (t) => {
+    const { url } = await startTestServer(t, {
+        controller: buildController,
+        cors: {
+            origin: ['http://app.test'],
+            credentials: true,
+            exposedHeaders: ['X-Trace'],
+            maxAge: 600,
+        },
+    });
+    const allowed = await fetch(`${url}/api/greeting`, {
+        headers: { Origin: 'http://app.test' },
+    });
+    assert.equal(
+        allowed.headers.get('access-control-allow-origin'),
+        'http://app.test'
+    );
+    assert.equal(
+        allowed.headers.get('access-control-allow-credentials'),
+        'true'
+    );
+    assert.equal(
+        allowed.headers.get('access-control-expose-headers'),
+        'X-Trace'
+    );
+    assert.match(allowed.headers.get('vary') || '', /Origin/);
+    await allowed.arrayBuffer();
+
+    const preflight = await fetch(`${url}/api/greeting`, {
+        method: 'OPTIONS',
+        headers: {
+            Origin: 'http://app.test',
+            'Access-Control-Request-Method': 'PUT',
+            'Access-Control-Request-Headers': 'x-custom',
+        },
+    });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-max-age'), '600');
+    assert.equal(
+        preflight.headers.get('access-control-allow-headers'),
+        'x-custom'
+    );
+
+    const other = await fetch(`${url}/api/greeting`, {
+        headers: { Origin: 'http://evil.test' },
+    });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+    await other.arrayBuffer();
+
+    const open = await startTestServer(t, { controller: buildController });
+    const wildcard = await fetch(`${open.url}/api/greeting`, {
+        headers: { Origin: 'http://any.test' },
+    });
+    assert.equal(wildcard.headers.get('access-control-allow-origin'), '*');
+    await wildcard.arrayBuffer();
+});
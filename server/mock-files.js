@@ -0,0 +1,225 @@
+//@ts-check
+import { readdir, readFile } from 'node:fs/promises';
+import {
+    dirname,
+    extname,
+    isAbsolute,
+    join as joinPath,
+    relative,
+    resolve,
+} from 'path';
+import { FakeData } from './fake.js';
+import { renderTemplate } from './template.js';
+
+/**
+ * A route described by a JSON file in the mocks directory.
+ * @typedef {Object} MockDefinition
+ * @property {import('./server.js').RouteMethod} [method]
+ * @property {string} url
+ * @property {number} [status]
+ * @property {Record<string, string>} [headers]
+ * @property {any} [body]
+ * @property {string} [bodyFile] path relative to the definition file
+ * @property {import('./faults.js').FaultOptions} [faults]
+ * @property {string} [scenario]
+ * @property {string} [requiredState]
+ * @property {string} [newState]
+ * @property {import('./matching.js').RouteMatch} [match]
+ * @property {number} [priority]
+ * @property {boolean} [template] render `{{...}}` expressions in the
+ * headers and body
+ * @property {number} [seed] makes fake data in templates repeatable
+ * @property {string} [summary]
+ * @property {string} [description]
+ * @property {string[]} [tags]
+ * @property {import('./route-docs.js').RouteExamples} [examples] defaults
+ * to the status and body of the definition
+ * @property {boolean | import('./auth.js').RouteAuth} [auth]
+ * @property {import('./rate-limit.js').RateLimitOptions | false} [rateLimit]
+ */
+
+/** Folder inside the mocks directory that holds body files only. */
+export const BODY_FILES_FOLDER = '__files';
+
+/** @type {Record<string, string>} */
+const bodyFileTypes = {
+    '.json': 'application/json',
+    '.html': 'text/html',
+    '.xml': 'application/xml',
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+};
+
+/**
+ * Tells whether a path, relative to the mocks directory, is a definition file.
+ * @param {string} relativePath
+ * @returns {boolean}
+ */
+export const isMockDefinitionFile = (relativePath) =>
+    extname(relativePath) === '.json' &&
+    !relativePath.split(/[\\/]/).includes(BODY_FILES_FOLDER);
+
+/**
+ * Lists all definition files under the mocks directory.
+ * @param {string} dir
+ * @returns {Promise<string[]>} absolute paths
+ */
+export const listMockFiles = async (dir) => {
+    const { files } = await walk(dir);
+    return files
+        .filter((entry) => isMockDefinitionFile(entry))
+        .map((entry) => resolve(dir, entry))
+        .sort();
+};
+
+/**
+ * Lists a folder and every folder below it.
+ * @param {string} dir
+ * @returns {Promise<string[]>} paths relative to `dir`, `''` for itself
+ */
+export const listFolders = async (dir) => ['', ...(await walk(dir)).folders];
+
+/**
+ * Reads a folder tree one level at a time, as `readdir` only recurses
+ * from Node 18.17 on.
+ * @param {string} dir
+ * @param {string} [folder] relative to `dir`
+ * @returns {Promise<{ files: string[], folders: string[] }>} relative paths
+ */
+const walk = async (dir, folder = '') => {
+    /** @type {{ files: string[], folders: string[] }} */
+    const found = { files: [], folders: [] };
+    const entries = await readdir(joinPath(dir, folder), {
+        withFileTypes: true,
+    });
+    for (const entry of entries) {
+        const path = joinPath(folder, entry.name);
+        if (entry.isDirectory()) {
+            const below = await walk(dir, path);
+            found.folders.push(path, ...below.folders);
+            found.files.push(...below.files);
+        } else {
+            found.files.push(path);
+        }
+    }
+    return found;
+};
+
+/**
+ * Turns a definition into a route. Body files are resolved from the folder
+ * of the definition file, or from the working directory without one, and
+ * must stay inside `root`.
+ * @param {MockDefinition} definition
+ * @param {string} [file]
+ * @param {string} [root] defaults to the folder body files are resolved from
+ * @returns {import('./server.js').ApiControllerRoute<any>}
+ */
+export const createMockRoute = (definition, file, root) => {
+    if (!definition || typeof definition.url !== 'string') {
+        throw new Error(`Mock in ${file || 'definition'} is missing a "url"`);
+    }
+    const status = definition.status || 200;
+    const base = file ? dirname(file) : process.cwd();
+    const bodyPath = definition.bodyFile
+        ? resolve(base, definition.bodyFile)
+        : null;
+    if (bodyPath) {
+        const inside = relative(resolve(root || base), bodyPath);
+        if (inside.startsWith('..') || isAbsolute(inside)) {
+            throw new Error(
+                `Body file ${definition.bodyFile} in ${file || 'definition'} is outside ${resolve(root || base)}`
+            );
+        }
+    }
+    return {
+        url: definition.url,
+        method: /** @type {import('./server.js').RouteMethod} */ (
+            (definition.method || 'GET').toUpperCase()
+        ),
+        source: file,
+        faults: definition.faults,
+        scenario: definition.scenario,
+        requiredState: definition.requiredState,
+        newState: definition.newState,
+        match: definition.match,
+        priority: definition.priority,
+        summary: definition.summary,
+        description: definition.description,
+        tags: definition.tags,
+        auth: definition.auth,
+        rateLimit: definition.rateLimit,
+        examples: definition.examples || {
+            status,
+            ...(definition.template || definition.body === undefined
+                ? {}
+                : { response: definition.body }),
+        },
+        routeAction: async (req, res, context) => {
+            const fake = new FakeData(definition.seed);
+            /** @param {any} value */
+            const render = (value) =>
+                definition.template
+                    ? renderTemplate(value, context, fake)
+                    : value;
+            /** @type {Record<string, string>} */
+            const headers = { ...render(definition.headers) };
+            const hasContentType = Object.keys(headers).some(
+                (key) => key.toLowerCase() === 'content-type'
+            );
+            /** @type {string | Buffer | undefined} */
+            let payload;
+            let body = definition.body;
+            if (bodyPath) {
+                try {
+                    payload = await readFile(bodyPath);
+                } catch {
+                    res.writeHead(500, { 'Content-Type': 'text/plain' });
+                    res.write(`Body file not found: ${bodyPath}`);
+                    res.end();
+                    return;
+                }
+                if (!hasContentType) {
+                    headers['Content-Type'] =
+                        bodyFileTypes[extname(bodyPath)] ||
+                        'application/octet-stream';
+                }
+                if (definition.template) {
+                    const text = payload.toString('utf8');
+                    body =
+                        extname(bodyPath) === '.json' ? JSON.parse(text) : text;
+                    payload = undefined;
+                }
+            }
+            if (payload === undefined && body !== undefined) {
+                body = render(body);
+                payload =
+                    typeof body === 'string' ? body : JSON.stringify(body);
+                if (!hasContentType && !headers['Content-Type']) {
+                    headers['Content-Type'] =
+                        typeof body === 'string'
+                            ? 'text/plain'
+                            : 'application/json';
+                }
+            }
+            res.writeHead(status, headers);
+            if (payload !== undefined) {
+                res.write(payload);
+            }
+            res.end();
+        },
+    };
+};
+
+/**
+ * Reads a definition file. It may hold a single definition or an array.
+ * @param {string} file absolute path
+ * @param {string} [root] the mocks directory, body files must be inside it
+ * @returns {Promise<import('./server.js').ApiControllerRoute<any>[]>}
+ */
+export const readMockFile = async (file, root) => {
+    const content = JSON.parse(await readFile(file, 'utf8'));
+    const definitions = Array.isArray(content) ? content : [content];
+    return definitions.map((definition) =>
+        createMockRoute(definition, file, root)
+    );
+};
@@ -0,0 +1,92 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { listFolders, listMockFiles } from './mock-files.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+/**
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>}
+ */
+const makeMocksDir = async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'mocks-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    await mkdir(join(dir, 'orders', '__files'), { recursive: true });
+    await mkdir(join(dir, '__files'));
+    await writeFile(
+        join(dir, 'health.json'),
+        JSON.stringify({ url: '/api/health', body: { status: 'ok' } })
+    );
+    await writeFile(
+        join(dir, 'orders', 'orders.json'),
+        JSON.stringify([
+            { url: '/api/orders', bodyFile: '__files/orders.json' },
+            { method: 'POST', url: '/api/orders', status: 201, body: {} },
+        ])
+    );
+    await writeFile(join(dir, 'orders', '__files', 'orders.json'), '[1,2]');
+    await writeFile(join(dir, '__files', 'ignored.json'), '{"url":"/x"}');
+    return dir;
+};
+
+/**
+ * Polls until the check passes, as file watchers report changes late.
+ * @param {() => Promise<boolean>} check
+ * @returns {Promise<void>}
+ */
+const eventually = async (check) => {
+    for (let i = 0; i < 100; i++) {
+        if (await check()) {
+            return;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    assert.fail('condition not met in time');
+};
+
+test('lists definitions in nested folders but not body files', async (t) => {
+    const dir = await makeMocksDir(t);
+    assert.deepEqual(await listMockFiles(dir), [
+        join(dir, 'health.json'),
+        join(dir, 'orders', 'orders.json'),
+    ]);
+    assert.deepEqual((await listFolders(dir)).sort(), [
+        '',
+        '__files',
+        'orders',
+        join('orders', '__files'),
+    ]);
+});
+
+test('serves mock files with body files next to them', async (t) => {
+    const dir = await makeMocksDir(t);
+    const { url } = await startTestServer(t, {
+        controller: new ApiController({ mocksDir: dir }),
+    });
+    const health = await fetch(`${url}/api/health`);
+    assert.deepEqual(await health.json(), { status: 'ok' });
+    const orders = await fetch(`${url}/api/orders`);
+    assert.equal(orders.headers.get('content-type'), 'application/json');
+    assert.deepEqual(await orders.json(), [1, 2]);
+    const created = await fetch(`${url}/api/orders`, { method: 'POST' });
+    assert.equal(created.status, 201);
+});
+
+test('reloads a definition file when it changes', async (t) => {
+    const dir = await makeMocksDir(t);
+    const { url } = await startTestServer(t, {
+        controller: new ApiController({ mocksDir: dir }),
+    });
+    await writeFile(
+        join(dir, 'orders', 'orders.json'),
+        JSON.stringify({ url: '/api/orders', body: ['changed'] })
+    );
+    await eventually(async () => {
+        const res = await fetch(`${url}/api/orders`);
+        return JSON.stringify(await res.json()) === '["changed"]';
+    });
+});
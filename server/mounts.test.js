@@ -0,0 +1,192 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ApiController, MiniServer } from './server.js';
+import { startTestServer } from './testing.js';
+
+/**
+ * @param {string} name
+ * @param {string} [dir] holds the state file and snapshots
+ * @returns {ApiController<any>}
+ */
+const buildController = (name, dir = tmpdir()) =>
+    new ApiController({
+        // mounted controllers need state files of their own
+        stateSaveFile: join(dir, `${name}.json`),
+        routes: [
+            ApiController.createRoute({ url: '/api/who', data: { name } }),
+        ],
+    });
+
+/**
+ * @param {string} url
+ * @param {string} [method]
+ * @param {any} [body]
+ * @returns {Promise<Response>}
+ */
+const send = (url, method = 'GET', body) =>
+    fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+test('serves mounted controllers under their prefix', async (t) => {
+    const { url, server } = await startTestServer(t, {
+        controller: () => buildController('shell'),
+    });
+    server.mount('/payments', buildController('payments'));
+
+    assert.deepEqual(await (await send(`${url}/payments/api/who`)).json(), {
+        name: 'payments',
+    });
+    assert.deepEqual(await (await send(`${url}/api/who`)).json(), {
+        name: 'shell',
+    });
+    const mounts = /** @type {any[]} */ (
+        await (await send(`${url}/__admin/mounts`)).json()
+    );
+    assert.deepEqual(
+        mounts.map(({ prefix, admin }) => ({ prefix, admin })),
+        [{ prefix: '/payments', admin: '/payments/__admin' }]
+    );
+    assert.throws(() => server.mount('/payments/', buildController('x')));
+});
+
+test('hands a body the mount read on to the root controller', async (t) => {
+    const { url, server } = await startTestServer(t, {
+        controller: () =>
+            new ApiController().addRoute({
+                url: '/shop/orders',
+                method: 'POST',
+                routeAction: (req, res, { body }) => {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ by: 'root', body }));
+                },
+            }),
+    });
+    server.mount(
+        '/shop',
+        new ApiController({
+            stateSaveFile: join(tmpdir(), 'shop.json'),
+            routes: [
+                ApiController.createRoute({
+                    url: '/orders',
+                    method: 'POST',
+                    data: { by: 'shop' },
+                    match: { body: { kind: 'x' } },
+                }),
+            ],
+        })
+    );
+    const fallThrough = await send(`${url}/shop/orders`, 'POST', {
+        kind: 'y',
+    });
+    assert.deepEqual(await fallThrough.json(), {
+        by: 'root',
+        body: { kind: 'y' },
+    });
+    const matched = await send(`${url}/shop/orders`, 'POST', { kind: 'x' });
+    assert.deepEqual(await matched.json(), { by: 'shop' });
+});
+
+test('resets only the mount its admin api belongs to', async (t) => {
+    const { url, server } = await startTestServer(t, {
+        controller: () => buildController('shell'),
+        faults: { delay: 1 },
+    });
+    server.mount('/payments', buildController('payments'));
+    for (const prefix of ['', '/payments']) {
+        await send(`${url}${prefix}/__admin/stubs`, 'POST', {
+            url: '/api/who',
+            body: { name: `stub${prefix}` },
+        });
+    }
+    await send(`${url}/__admin/faults`, 'PUT', { delay: 5 });
+
+    const reset = await send(`${url}/payments/__admin/reset`, 'POST');
+    assert.equal(reset.status, 204);
+    assert.deepEqual(await (await send(`${url}/payments/api/who`)).json(), {
+        name: 'payments',
+    });
+    assert.deepEqual(await (await send(`${url}/api/who`)).json(), {
+        name: 'stub',
+    });
+    assert.deepEqual(server.faults, { delay: 5 });
+
+    const faults = await send(`${url}/payments/__admin/faults`, 'PUT', {
+        delay: 0,
+    });
+    await faults.arrayBuffer();
+    assert.equal(faults.status, 404);
+    assert.deepEqual(server.faults, { delay: 5 });
+    assert.equal((await send(`${url}/payments/__admin/mounts`)).status, 404);
+
+    await send(`${url}/__admin/reset`, 'POST');
+    assert.deepEqual(server.faults, { delay: 1 });
+});
+
+test('keeps the snapshots of each mount apart', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'mounts-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const { url, server } = await startTestServer(t, {
+        controller: () => buildController('shell', dir),
+    });
+    server.mount('/payments', buildController('payments', dir));
+    const saved = await send(
+        `${url}/payments/__admin/state/snapshots`,
+        'POST',
+        {
+            name: 'paid',
+        }
+    );
+    assert.equal(saved.status, 201);
+    await saved.arrayBuffer();
+    /** @param {string} prefix */
+    const names = async (prefix) =>
+        /** @type {any} */ (
+            await (await send(`${url}${prefix}/__admin/state/snapshots`)).json()
+        ).snapshots.map((/** @type {any} */ snapshot) => snapshot.name);
+    assert.deepEqual(await names('/payments'), ['paid']);
+    assert.deepEqual(await names(''), []);
+
+    assert.throws(
+        () =>
+            server.mount(
+                '/refunds',
+                new ApiController({
+                    snapshotsDir: join(dir, 'payments-snapshots'),
+                })
+            ),
+        /keeps its state snapshots in .*payments-snapshots/
+    );
+});
+
+test('answers virtual hosts by their Host header', async (t) => {
+    const { port, server } = await startTestServer(t, {
+        controller: () => buildController('shell'),
+    });
+    server.addVirtualHost(
+        '*.localhost',
+        new MiniServer({
+            quiet: true,
+            apiController: buildController('catalog'),
+        })
+    );
+    /** @param {string} host */
+    const who = (host) =>
+        new Promise((resolve, reject) => {
+            // fetch does not let the Host header be set
+            http.get({ port, path: '/api/who', headers: { host } }, (res) => {
+                let text = '';
+                res.on('data', (chunk) => (text += chunk));
+                res.on('end', () => resolve(JSON.parse(text).name));
+            }).on('error', reject);
+        });
+    assert.equal(await who(`catalog.localhost:${port}`), 'catalog');
+    assert.equal(await who(`127.0.0.1:${port}`), 'shell');
+});
@@ -0,0 +1,394 @@
+//@ts-check
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { FakeData } from './fake.js';
+import { HttpError } from './http-error.js';
+import { DEFAULT_PRIORITY } from './matching.js';
+import { deref, generateFromSchema, validateSchema } from './schema.js';
+import { parseYaml } from './yaml.js';
+
+/**
+ * @typedef {Object} OpenApiOptions
+ * @property {string} [basePath] prefix for every path, defaults to the path
+ * of the first entry in `servers`
+ * @property {boolean} [validate] check parameters and bodies against the
+ * spec, on by default
+ * @property {number} [seed] makes generated responses repeatable
+ * @property {number} [priority] defaults to one above the default priority,
+ * so hand-written routes for the same url win
+ */
+
+/** @type {import('./server.js').RouteMethod[]} */
+const OPERATION_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Reads an OpenAPI 3 document from a `.json`, `.yaml` or `.yml` file.
+ * @param {string} file
+ * @returns {any}
+ */
+export const loadOpenApiDocument = (file) => {
+    const source = readFileSync(file, 'utf8');
+    const extension = extname(file).toLowerCase();
+    const document =
+        extension === '.yaml' || extension === '.yml'
+            ? parseYaml(source)
+            : JSON.parse(source);
+    if (!document || !String(document.openapi || '').startsWith('3.')) {
+        throw new Error(`${file} is not an OpenAPI 3 document`);
+    }
+    return document;
+};
+
+/**
+ * @param {any} document
+ * @returns {string}
+ */
+const basePathFromServers = (document) => {
+    const server = (document.servers || [])[0];
+    if (!server || typeof server.url !== 'string') {
+        return '';
+    }
+    // server urls may hold {variables}, only the path part is of use here
+    const url = server.url.replace(/\{[^}]*\}/g, 'x');
+    return new URL(url, 'http://localhost').pathname.replace(/\/$/, '');
+};
+
+/**
+ * Turns a string parameter into the type its schema asks for. Values that
+ * do not convert are returned as they are, so validation reports them.
+ * @param {any} document
+ * @param {any} schemaNode
+ * @param {any} value
+ * @returns {any}
+ */
+const coerceParameter = (document, schemaNode, value) => {
+    const schema = deref(document, schemaNode) || {};
+    const type = Array.isArray(schema.type)
+        ? schema.type.find((/** @type {string} */ t) => t !== 'null')
+        : schema.type;
+    if (type === 'array') {
+        const items = Array.isArray(value) ? value : String(value).split(',');
+        return items.map((item) =>
+            coerceParameter(document, schema.items, item)
+        );
+    }
+    if (Array.isArray(value)) {
+        return coerceParameter(document, schema, value[value.length - 1]);
+    }
+    if ((type === 'integer' || type === 'number') && value !== '') {
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+};
+
+/**
+ * Merges path level and operation level parameters, the operation winning.
+ * @param {any} document
+ * @param {any[]} pathParameters
+ * @param {any[]} operationParameters
+ * @returns {any[]}
+ */
+const mergeParameters = (document, pathParameters, operationParameters) => {
+    /** @type {Map<string, any>} */
+    const merged = new Map();
+    [...pathParameters, ...operationParameters]
+        .map((parameter) => deref(document, parameter))
+        .forEach((parameter) =>
+            merged.set(`${parameter.in}:${parameter.name}`, parameter)
+        );
+    return [...merged.values()];
+};
+
+/**
+ * @param {Record<string, any>} content
+ * @param {string} contentType
+ * @returns {any}
+ */
+const findMediaType = (content, contentType) => {
+    const base = contentType.split(';')[0].trim().toLowerCase();
+    return (
+        content[base] ||
+        content[`${base.split('/')[0]}/*`] ||
+        content['*/*'] ||
+        null
+    );
+};
+
+/**
+ * Checks the parameters and body of a request against an operation.
+ * @param {any} document
+ * @param {any[]} parameters
+ * @param {any} requestBody
+ * @param {import('http').IncomingMessage} request
+ * @param {import('./server.js').RouteContext<any>} context
+ * @returns {string[]}
+ */
+const validateRequest = (
+    document,
+    parameters,
+    requestBody,
+    request,
+    context
+) => {
+    /** @type {string[]} */
+    const errors = [];
+    /** @type {Record<string, Record<string, any>>} */
+    const sources = {
+        path: context.params,
+        query: context.query,
+        header: context.headers,
+    };
+    parameters.forEach((parameter) => {
+        const source = sources[parameter.in];
+        if (!source) {
+            return;
+        }
+        const key =
+            parameter.in === 'header'
+                ? parameter.name.toLowerCase()
+                : parameter.name;
+        const value = source[key];
+        if (value === undefined || value === '') {
+            if (parameter.required) {
+                errors.push(`${parameter.in}.${parameter.name} is required`);
+            }
+            return;
+        }
+        errors.push(
+            ...validateSchema(
+                document,
+                parameter.schema,
+                coerceParameter(document, parameter.schema, value),
+                `${parameter.in}.${parameter.name}`,
+                { request: true }
+            )
+        );
+    });
+    const body = deref(document, requestBody);
+    if (!body) {
+        return errors;
+    }
+    if (context.body === undefined) {
+        if (body.required) {
+            errors.push('body is required');
+        }
+        return errors;
+    }
+    const contentType = request.headers['content-type'] || 'application/json';
+    const media = findMediaType(body.content || {}, contentType);
+    if (!media) {
+        errors.push(`body content type ${contentType} is not supported`);
+        return errors;
+    }
+    errors.push(
+        ...validateSchema(document, media.schema, context.body, 'body', {
+            request: true,
+        })
+    );
+    return errors;
+};
+
+/**
+ * Reads `code` and `example` from a `Prefer` header, as in
+ * `Prefer: code=404, example=notFound`.
+ * @param {string | string[] | undefined} header
+ * @returns {Record<string, string>}
+ */
+const parsePrefer = (header) =>
+    Object.fromEntries(
+        String(header || '')
+            .split(/[,;]/)
+            .map((part) => part.trim().split('='))
+            .filter(([key, value]) => key && value)
+            .map(([key, value]) => [key.toLowerCase(), value.replace(/"/g, '')])
+    );
+
+/**
+ * Picks the response to answer with: the one asked for in `Prefer`, else the
+ * lowest 2xx, else `default`.
+ * @param {Record<string, any>} responses
+ * @param {string} [preferred]
+ * @returns {[string, any] | null}
+ */
+const pickResponse = (responses, preferred) => {
+    if (preferred && responses[preferred]) {
+        return [preferred, responses[preferred]];
+    }
+    const codes = Object.keys(responses).sort();
+    const success = codes.find((code) => /^2/.test(code));
+    const code = success || (responses.default ? 'default' : codes[0]);
+    return code ? [code, responses[code]] : null;
+};
+
+/**
+ * Builds the body of a response from its named example, its first example
+ * or its schema.
+ * @param {any} document
+ * @param {any} media
+ * @param {string | undefined} exampleName
+ * @param {FakeData} fake
+ * @returns {any}
+ */
+const responseBody = (document, media, exampleName, fake) => {
+    const examples = media.examples || {};
+    const named = exampleName && examples[exampleName];
+    if (named) {
+        return deref(document, named).value;
+    }
+    if (media.example !== undefined) {
+        return media.example;
+    }
+    const first = Object.values(examples)[0];
+    if (first) {
+        return deref(document, first).value;
+    }
+    return generateFromSchema(document, media.schema, fake);
+};
+
+/**
+ * Collects the examples of an operation for the route index.
+ * @param {any} document
+ * @param {any} operation
+ * @param {any[]} parameters
+ * @returns {import('./route-docs.js').RouteExamples}
+ */
+const operationExamples = (document, operation, parameters) => {
+    /**
+     * @param {string} location
+     * @returns {Record<string, string>}
+     */
+    const parameterExamples = (location) =>
+        Object.fromEntries(
+            parameters
+                .filter((p) => p.in === location)
+                .map((p) => [
+                    p.name,
+                    p.example ?? deref(document, p.schema)?.example,
+                ])
+                .filter(([, value]) => value !== undefined)
+                .map(([name, value]) => [name, String(value)])
+        );
+    const requestBody = deref(document, operation.requestBody);
+    const requestMedia =
+        requestBody &&
+        findMediaType(requestBody.content || {}, 'application/json');
+    const picked = pickResponse(operation.responses || {});
+    const response = picked && deref(document, picked[1]);
+    const responseMedia =
+        response && findMediaType(response.content || {}, 'application/json');
+    /**
+     * @param {any} media
+     * @returns {any}
+     */
+    const example = (media) => {
+        if (!media) {
+            return undefined;
+        }
+        const first = Object.values(media.examples || {})[0];
+        return (
+            media.example ?? (first ? deref(document, first).value : undefined)
+        );
+    };
+    return {
+        params: parameterExamples('path'),
+        query: parameterExamples('query'),
+        request: example(requestMedia),
+        response: example(responseMedia),
+        status:
+            picked && picked[0] !== 'default' ? Number(picked[0]) || 200 : 200,
+    };
+};
+
+/**
+ * Creates a route for each operation of an OpenAPI 3 document. Responses
+ * use the examples of the spec or data generated from its schemas, and can
+ * be chosen with a `Prefer: code=..., example=...` request header.
+ * @param {any} document
+ * @param {OpenApiOptions & { source?: string }} [options]
+ * @returns {import('./server.js').ApiControllerRoute<any>[]}
+ */
+export const createOpenApiRoutes = (document, options = {}) => {
+    const basePath = options.basePath ?? basePathFromServers(document);
+    const validate = options.validate ?? true;
+    /** @type {import('./server.js').ApiControllerRoute<any>[]} */
+    const routes = [];
+    Object.entries(document.paths || {}).forEach(([path, pathItemNode]) => {
+        const pathItem = deref(document, pathItemNode);
+        OPERATION_METHODS.forEach((method) => {
+            const operation = pathItem[method.toLowerCase()];
+            if (!operation) {
+                return;
+            }
+            const parameters = mergeParameters(
+                document,
+                pathItem.parameters || [],
+                operation.parameters || []
+            );
+            routes.push({
+                url: basePath + path.replace(/\{([^}]+)\}/g, ':$1'),
+                method,
+                source: options.source,
+                priority: options.priority ?? DEFAULT_PRIORITY + 1,
+                summary: operation.summary,
+                description: operation.description,
+                tags: operation.tags,
+                examples: operationExamples(document, operation, parameters),
+                routeAction: (req, res, context) => {
+                    if (validate) {
+                        const errors = validateRequest(
+                            document,
+                            parameters,
+                            operation.requestBody,
+                            req,
+                            context
+                        );
+                        if (errors.length) {
+                            throw new HttpError(
+                                400,
+                                `Request does not match ${method} ${path}`,
+                                errors
+                            );
+                        }
+                    }
+                    const prefer = parsePrefer(req.headers['prefer']);
+                    const picked = pickResponse(
+                        operation.responses || {},
+                        prefer.code
+                    );
+                    const status =
+                        !picked || picked[0] === 'default'
+                            ? 200
+                            : Number(picked[0]) || 200;
+                    const response = picked && deref(document, picked[1]);
+                    const content = (response && response.content) || {};
+                    const contentType =
+                        Object.keys(content).find((type) =>
+                            /json/.test(type)
+                        ) || Object.keys(content)[0];
+                    if (!contentType) {
+                        res.writeHead(status);
+                        res.end();
+                        return;
+                    }
+                    const body = responseBody(
+                        document,
+                        content[contentType],
+                        prefer.example,
+                        new FakeData(options.seed)
+                    );
+                    res.writeHead(status, { 'Content-Type': contentType });
+                    res.end(
+                        typeof body === 'string' && !/json/.test(contentType)
+                            ? body
+                            : JSON.stringify(body)
+                    );
+                },
+            });
+        });
+    });
+    return routes;
+};
@@ -0,0 +1,201 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadOpenApiDocument } from './openapi.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+import { parseYaml } from './yaml.js';
+
+const SPEC = `openapi: 3.0.3
+info:
+  title: Pets
+  version: "1.0"
+servers:
+  - url: https://pets.example/v1
+paths:
+  /pets:
+    get:
+      summary: List pets
+      parameters:
+        - name: limit
+          in: query
+          schema: { type: integer, maximum: 50 }
+      responses:
+        "200":
+          description: The pets
+          content:
+            application/json:
+              schema:
+                type: array
+                items: { $ref: "#/components/schemas/Pet" }
+    post:
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema: { $ref: "#/components/schemas/Pet" }
+      responses:
+        "201":
+          description: Created
+          content:
+            application/json:
+              example: { id: 1, name: Rex }
+  /pets/{petId}:
+    get:
+      parameters:
+        - name: petId
+          in: path
+          required: true
+          schema: { type: integer }
+      responses:
+        "200":
+          description: A pet
+          content:
+            application/json:
+              examples:
+                dog: { value: { id: 1, name: Rex } }
+                cat: { value: { id: 2, name: Tom } }
+        "404":
+          description: Not found
+          content:
+            application/json:
+              example: { error: Not found }
+components:
+  schemas:
+    Pet:
+      type: object
+      required: [name]
+      properties:
+        id: { type: integer, readOnly: true }
+        name: { type: string, minLength: 1 }
+`;
+
+/**
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>} path of the spec file
+ */
+const writeSpec = async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'openapi-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const file = join(dir, 'pets.yaml');
+    await writeFile(file, SPEC);
+    return file;
+};
+
+/**
+ * @param {string} url
+ * @param {any} body
+ * @returns {Promise<Response>}
+ */
+const postJson = (url, body) =>
+    fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+
+test('parses the YAML the specs use', () => {
+    assert.deepEqual(
+        parseYaml(
+            'a: 1\nlist:\n  - x\n  - { y: "2", z: [true, null] }\ntext: |\n  two\n  lines\n'
+        ),
+        { a: 1, list: ['x', { y: '2', z: [true, null] }], text: 'two\nlines\n' }
+    );
+    assert.throws(() => parseYaml('a: &anchor 1'));
+});
+
+test('answers with the examples of the spec', async (t) => {
+    const file = await writeSpec(t);
+    const { url } = await startTestServer(t, {
+        controller: () => new ApiController({ openApi: file }),
+    });
+    const pet = await fetch(`${url}/v1/pets/1`);
+    assert.deepEqual(await pet.json(), { id: 1, name: 'Rex' });
+    const cat = await fetch(`${url}/v1/pets/1`, {
+        headers: { Prefer: 'example=cat' },
+    });
+    assert.deepEqual(await cat.json(), { id: 2, name: 'Tom' });
+    const missing = await fetch(`${url}/v1/pets/1`, {
+        headers: { Prefer: 'code=404' },
+    });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(await missing.json(), { error: 'Not found' });
+    const created = await postJson(`${url}/v1/pets`, { name: 'Rex' });
+    assert.equal(created.status, 201);
+    await created.arrayBuffer();
+});
+
+test('generates repeatable bodies from the schemas', async (t) => {
+    const file = await writeSpec(t);
+    /** @returns {Promise<any>} */
+    const listOnce = async () => {
+        const { url } = await startTestServer(t, {
+            controller: () =>
+                new ApiController().addOpenApi(file, {
+                    basePath: '/api',
+                    seed: 7,
+                }),
+        });
+        return (await fetch(`${url}/api/pets`)).json();
+    };
+    const pets = await listOnce();
+    assert.equal(pets.length, 2);
+    pets.forEach((/** @type {any} */ pet) => {
+        assert.equal(typeof pet.name, 'string');
+        assert.ok(pet.name.length > 0);
+    });
+    assert.deepEqual(await listOnce(), pets);
+});
+
+test('answers requests that do not fit the spec with a 400', async (t) => {
+    const file = await writeSpec(t);
+    const { url } = await startTestServer(t, {
+        controller: () =>
+            new ApiController({
+                openApi: file,
+                routes: [
+                    ApiController.createRoute({
+                        url: '/v1/pets/:petId',
+                        data: 'hand-written',
+                        match: { query: { own: 'true' } },
+                    }),
+                ],
+            }),
+    });
+    const badId = await fetch(`${url}/v1/pets/rex`);
+    assert.equal(badId.status, 400);
+    const problems = /** @type {any} */ (await badId.json()).details;
+    assert.match(problems.join('\n'), /petId/);
+
+    const badLimit = await fetch(`${url}/v1/pets?limit=500`);
+    assert.equal(badLimit.status, 400);
+    await badLimit.arrayBuffer();
+
+    const noName = await postJson(`${url}/v1/pets`, { id: 3 });
+    assert.equal(noName.status, 400);
+    assert.match(
+        JSON.stringify(await noName.json()),
+        /name/,
+        'names the missing property'
+    );
+
+    const own = await fetch(`${url}/v1/pets/rex?own=true`);
+    assert.equal(await own.json(), 'hand-written');
+
+    const unchecked = await startTestServer(t, {
+        controller: () =>
+            new ApiController({ openApi: { file, validate: false } }),
+    });
+    const loose = await fetch(`${unchecked.url}/v1/pets/rex`);
+    assert.equal(loose.status, 200);
+    await loose.arrayBuffer();
+});
+
+test('refuses files that are not OpenAPI 3', async (t) => {
+    const file = await writeSpec(t);
+    await writeFile(file, 'swagger: "2.0"\n');
+    assert.throws(() => loadOpenApiDocument(file), /not an OpenAPI 3/);
+});
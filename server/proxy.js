@@ -0,0 +1,290 @@
+//@ts-check
+import http from 'http';
+import https from 'https';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join as joinPath, resolve } from 'path';
+import { readRawBody } from './body-parser.js';
+import { HttpError } from './http-error.js';
+
+/**
+ * @typedef {'proxy' | 'record' | 'replay'} ProxyMode
+ */
+
+/**
+ * @typedef {Object} ProxyOptions
+ * @property {string} [target] upstream base url, required unless replaying
+ * @property {ProxyMode} [mode] defaults to `proxy`
+ * @property {string} [fixturesDir] where fixtures are saved and read from
+ * @property {string} [prefix] only urls under it are forwarded, defaults to `/api`
+ * @property {boolean} [matchBody] include the request body in the fixture key
+ * @property {number} [bodyLimit]
+ */
+
+/**
+ * @typedef {Object} Fixture
+ * @property {{ method: string, path: string, query: string, body?: string }} request
+ * @property {{ status: number, headers: import('http').IncomingHttpHeaders, body: any, bodyEncoding: 'json' | 'utf8' | 'base64' }} response
+ */
+
+/** Headers that only describe a single connection and must not be copied. */
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade',
+];
+
+/**
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @returns {import('http').IncomingHttpHeaders}
+ */
+const withoutHopByHop = (headers) =>
+    Object.fromEntries(
+        Object.entries(headers).filter(
+            ([key]) => !HOP_BY_HOP_HEADERS.includes(key.toLowerCase())
+        )
+    );
+
+/**
+ * Forwards unmatched API calls to an upstream server, optionally recording
+ * each exchange as a fixture file, or serves previously recorded fixtures.
+ */
+export class ApiProxy {
+    /**
+     * @param {ProxyOptions} options
+     */
+    constructor({ target, mode, fixturesDir, prefix, matchBody, bodyLimit }) {
+        /** @type {ProxyMode} */
+        this.mode = mode || 'proxy';
+        if (this.mode !== 'replay' && !target) {
+            throw new Error(`Proxy mode "${this.mode}" needs a target url`);
+        }
+        this.target = target ? new URL(target) : null;
+        this.fixturesDir = resolve(fixturesDir || './fixtures');
+        this.prefix = prefix ?? '/api';
+        this.matchBody = matchBody || false;
+        this.bodyLimit = bodyLimit;
+    }
+
+    /**
+     * Tells whether a url is under the prefix, at a segment boundary so
+     * that `/api` does not take `/apiary`.
+     * @param {string} url
+     * @returns {boolean}
+     */
+    matches(url) {
+        const prefix = this.prefix.replace(/\/+$/, '');
+        const path = url.split('?')[0];
+        return !prefix || path === prefix || path.startsWith(`${prefix}/`);
+    }
+
+    /**
+     * Builds the file name a request is recorded under. The query is sorted
+     * so that parameter order does not matter.
+     * @param {string} method
+     * @param {string} url
+     * @param {Buffer} body
+     * @returns {string}
+     */
+    fixtureName(method, url, body) {
+        const [path, search] = url.split('?');
+        const query = new URLSearchParams(search || '');
+        query.sort();
+        const hash = createHash('sha1')
+            .update(`${method} ${path}?${query}`)
+            .update(this.matchBody ? body : '')
+            .digest('hex')
+            .substring(0, 12);
+        const readablePath = path
+            .replace(/^\/+|\/+$/g, '')
+            .replace(/[^a-zA-Z0-9_-]+/g, '_');
+        return `${method.toUpperCase()}_${readablePath}_${hash}.json`;
+    }
+
+    /**
+     * @param {import('http').IncomingMessage} request
+     * @param {import('http').ServerResponse} response
+     * @param {Buffer} [rawBody] the body, when it was already read
+     * @returns {Promise<void>}
+     */
+    async handle(request, response, rawBody) {
+        const method = request.method || 'GET';
+        const url = typeof request.url === 'string' ? request.url : '';
+        try {
+            const body =
+                rawBody || (await readRawBody(request, this.bodyLimit));
+            const file = joinPath(
+                this.fixturesDir,
+                this.fixtureName(method, url, body)
+            );
+            /** @type {Fixture} */
+            let fixture;
+            if (this.mode === 'replay') {
+                fixture = await this.readFixture(file, method, url);
+            } else {
+                fixture = await this.forward(request, body);
+                if (this.mode === 'record') {
+                    await mkdir(this.fixturesDir, { recursive: true });
+                    await writeFile(
+                        file,
+                        JSON.stringify(fixture, null, 2),
+                        'utf8'
+                    );
+                }
+            }
+            this.sendFixture(response, fixture);
+        } catch (err) {
+            if (err instanceof HttpError) {
+                err.send(response);
+                return;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} file
+     * @param {string} method
+     * @param {string} url
+     * @returns {Promise<Fixture>}
+     */
+    async readFixture(file, method, url) {
+        try {
+            return JSON.parse(await readFile(file, 'utf8'));
+        } catch {
+            throw new HttpError(
+                404,
+                `No recorded fixture for ${method} ${url}`,
+                {
+                    fixture: file,
+                }
+            );
+        }
+    }
+
+    /**
+     * Sends the request upstream and resolves with the buffered exchange.
+     * @param {import('http').IncomingMessage} request
+     * @param {Buffer} body
+     * @returns {Promise<Fixture>}
+     */
+    forward(request, body) {
+        const target = /** @type {URL} */ (this.target);
+        const method = request.method || 'GET';
+        const url = typeof request.url === 'string' ? request.url : '';
+        const upstreamUrl = new URL(
+            target.pathname.replace(/\/$/, '') + url,
+            target
+        );
+        const client = upstreamUrl.protocol === 'https:' ? https : http;
+        const headers = withoutHopByHop(request.headers);
+        headers.host = upstreamUrl.host;
+        if (this.mode === 'record') {
+            // keeps recorded bodies readable instead of compressed bytes
+            headers['accept-encoding'] = 'identity';
+        }
+        if (body.length) {
+            headers['content-length'] = String(body.length);
+        }
+        return new Promise((resolvePromise, reject) => {
+            const upstream = client.request(
+                upstreamUrl,
+                { method, headers },
+                (upstreamResponse) => {
+                    /** @type {Buffer[]} */
+                    const chunks = [];
+                    upstreamResponse.on('data', (chunk) => chunks.push(chunk));
+                    upstreamResponse.on('error', reject);
+                    upstreamResponse.on('end', () => {
+                        const [path, query] = url.split('?');
+                        resolvePromise({
+                            request: {
+                                method,
+                                path,
+                                query: query || '',
+                                ...(body.length
+                                    ? { body: body.toString('utf8') }
+                                    : {}),
+                            },
+                            response: this.encodeResponse(
+                                upstreamResponse.statusCode || 502,
+                                withoutHopByHop(upstreamResponse.headers),
+                                Buffer.concat(chunks)
+                            ),
+                        });
+                    });
+                }
+            );
+            upstream.on('error', (err) =>
+                reject(
+                    new HttpError(
+                        502,
+                        `Upstream ${upstreamUrl.origin} failed: ${err.message}`
+                    )
+                )
+            );
+            upstream.end(body);
+        });
+    }
+
+    /**
+     * Keeps JSON and text bodies readable in the fixture file.
+     * @param {number} status
+     * @param {import('http').IncomingHttpHeaders} headers
+     * @param {Buffer} body
+     * @returns {Fixture['response']}
+     */
+    encodeResponse(status, headers, body) {
+        const contentType = String(headers['content-type'] || '');
+        const encoded = !!headers['content-encoding'];
+        delete headers['content-length'];
+        if (!encoded && /json/.test(contentType)) {
+            try {
+                return {
+                    status,
+                    headers,
+                    body: JSON.parse(body.toString('utf8')),
+                    bodyEncoding: 'json',
+                };
+            } catch {
+                // not valid JSON after all, fall through to text
+            }
+        }
+        if (!encoded && /^text\/|xml|javascript/.test(contentType)) {
+            return {
+                status,
+                headers,
+                body: body.toString('utf8'),
+                bodyEncoding: 'utf8',
+            };
+        }
+        return {
+            status,
+            headers,
+            body: body.toString('base64'),
+            bodyEncoding: 'base64',
+        };
+    }
+
+    /**
+     * @param {import('http').ServerResponse} response
+     * @param {Fixture} fixture
+     * @returns {void}
+     */
+    sendFixture(response, { response: recorded }) {
+        const body =
+            recorded.bodyEncoding === 'json'
+                ? Buffer.from(JSON.stringify(recorded.body))
+                : Buffer.from(recorded.body || '', recorded.bodyEncoding);
+        response.writeHead(recorded.status, {
+            ...recorded.headers,
+            'content-length': String(body.length),
+        });
+        response.end(body);
+    }
+}
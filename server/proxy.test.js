@@ -0,0 +1,90 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ApiProxy } from './proxy.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+/**
+ * Starts an upstream that echoes the method and url of every call.
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<{ url: string, calls: string[] }>}
+ */
+const startUpstream = async (t) => {
+    /** @type {string[]} */
+    const calls = [];
+    const upstream = http.createServer((req, res) => {
+        calls.push(`${req.method} ${req.url}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ method: req.method, url: req.url }));
+    });
+    await new Promise((resolve) => upstream.listen(0, () => resolve(null)));
+    t.after(() => upstream.close());
+    const { port } = /** @type {import('node:net').AddressInfo} */ (
+        upstream.address()
+    );
+    return { url: `http://127.0.0.1:${port}`, calls };
+};
+
+/**
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>}
+ */
+const makeFixturesDir = async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'fixtures-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+test('matches the prefix only at a segment boundary', () => {
+    const proxy = new ApiProxy({ target: 'http://localhost' });
+    assert.equal(proxy.matches('/api'), true);
+    assert.equal(proxy.matches('/api/users?page=2'), true);
+    assert.equal(proxy.matches('/api?page=2'), true);
+    assert.equal(proxy.matches('/apiary'), false);
+    assert.equal(proxy.matches('/assets/api'), false);
+    const slashed = new ApiProxy({ target: 'http://x', prefix: '/v1/' });
+    assert.equal(slashed.matches('/v1/users'), true);
+    assert.equal(slashed.matches('/v10'), false);
+    const everything = new ApiProxy({ target: 'http://x', prefix: '' });
+    assert.equal(everything.matches('/anything'), true);
+});
+
+test('forwards unmatched api calls and records them for replay', async (t) => {
+    const upstream = await startUpstream(t);
+    const fixturesDir = await makeFixturesDir(t);
+    const recording = await startTestServer(t, {
+        controller: new ApiController({
+            proxy: { target: upstream.url, mode: 'record', fixturesDir },
+        }),
+    });
+    const res = await fetch(`${recording.url}/api/users?b=2&a=1`);
+    assert.deepEqual(await res.json(), {
+        method: 'GET',
+        url: '/api/users?b=2&a=1',
+    });
+    const other = await fetch(`${recording.url}/apiary`);
+    assert.equal(other.status, 404);
+    assert.deepEqual(upstream.calls, ['GET /api/users?b=2&a=1']);
+    assert.equal((await readdir(fixturesDir)).length, 1);
+
+    const replaying = await startTestServer(t, {
+        controller: new ApiController({
+            proxy: { mode: 'replay', fixturesDir },
+        }),
+    });
+    // the query order does not matter
+    const replayed = await fetch(`${replaying.url}/api/users?a=1&b=2`);
+    assert.equal(replayed.status, 200);
+    assert.deepEqual(await replayed.json(), {
+        method: 'GET',
+        url: '/api/users?b=2&a=1',
+    });
+    const missing = await fetch(`${replaying.url}/api/orders`);
+    assert.equal(missing.status, 404);
+    assert.equal(upstream.calls.length, 1);
+});
@@ -0,0 +1,294 @@
+//@ts-check
+import { HttpError } from './http-error.js';
+
+/**
+ * Limits how often a client may call. A fixed window allows `limit` calls
+ * per `window`; a token bucket holds `limit` tokens and refills them evenly
+ * over `window`, so bursts drain it and steady callers get through.
+ * @typedef {Object} RateLimitOptions
+ * @property {number} limit calls per window, or the size of the bucket
+ * @property {number} [window] in milliseconds, defaults to a minute
+ * @property {'fixed-window' | 'token-bucket'} [strategy] defaults to
+ * `fixed-window`
+ * @property {'ip' | 'apiKey' | ((req: import('http').IncomingMessage) => string | undefined)} [key]
+ * what tells clients apart, the address by default
+ * @property {string} [apiKeyHeader] read for the `apiKey` key, defaults to
+ * `X-API-Key`; the `api_key` query parameter works too
+ * @property {any} [body] JSON body of the 429, or a function of the limit
+ * info returning it
+ * @property {boolean} [headers] send `X-RateLimit-*` headers, on by default
+ */
+
+/**
+ * Where a client stands after a call.
+ * @typedef {Object} RateLimitInfo
+ * @property {string} key
+ * @property {number} limit
+ * @property {number} remaining
+ * @property {number} reset when the client is back to its full limit, in ms
+ * since the epoch
+ * @property {number} retryAfter seconds until the next call is allowed, 0
+ * when it is allowed now
+ */
+
+const STRATEGIES = ['fixed-window', 'token-bucket'];
+
+/**
+ * @param {any} options
+ * @returns {string[]} what is wrong with the options
+ */
+const findProblems = (options) => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return ['a rate limit must be an object'];
+    }
+    /** @type {string[]} */
+    const errors = [];
+    const { limit, window, strategy, key } = options;
+    if (!(Number.isInteger(limit) && limit > 0)) {
+        errors.push('limit must be a positive integer');
+    }
+    if (window !== undefined && !(typeof window === 'number' && window > 0)) {
+        errors.push('window must be a positive number of milliseconds');
+    }
+    if (strategy !== undefined && !STRATEGIES.includes(strategy)) {
+        errors.push(`strategy must be one of ${STRATEGIES.join(', ')}`);
+    }
+    if (
+        key !== undefined &&
+        key !== 'ip' &&
+        key !== 'apiKey' &&
+        typeof key !== 'function'
+    ) {
+        errors.push('key must be "ip", "apiKey" or a function');
+    }
+    return errors;
+};
+
+/**
+ * Checks rate limit options received from outside, e.g. in a stub.
+ * @param {any} options
+ * @returns {RateLimitOptions}
+ */
+export const validateRateLimit = (options) => {
+    const errors = findProblems(options);
+    if (errors.length) {
+        throw new HttpError(400, 'Invalid rate limit', errors);
+    }
+    return options;
+};
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+const clientAddress = (req) => {
+    // behind a proxy, or to pose as several clients in tests
+    const forwarded = req.headers['x-forwarded-for'];
+    const first = String(
+        (Array.isArray(forwarded) ? forwarded[0] : forwarded) || ''
+    )
+        .split(',')[0]
+        .trim();
+    return first || req.socket?.remoteAddress || 'unknown';
+};
+
+/**
+ * Counts calls per client and turns away those over the limit with a 429.
+ */
+export class RateLimiter {
+    /** @type {Map<string, { start: number, count: number, tokens: number }>} */
+    #clients = new Map();
+
+    /**
+     * @param {RateLimitOptions} options
+     */
+    constructor(options) {
+        const problems = findProblems(options);
+        if (problems.length) {
+            throw new Error(`Invalid rate limit: ${problems.join(', ')}`);
+        }
+        this.options = options;
+        this.limit = options.limit;
+        this.window = options.window ?? 60_000;
+        this.strategy = options.strategy || 'fixed-window';
+    }
+
+    /**
+     * @param {import('http').IncomingMessage} req
+     * @returns {string}
+     */
+    #keyOf(req) {
+        const { key } = this.options;
+        if (typeof key === 'function') {
+            return key(req) ?? clientAddress(req);
+        }
+        if (key === 'apiKey') {
+            const header =
+                req.headers[
+                    (this.options.apiKeyHeader || 'X-API-Key').toLowerCase()
+                ];
+            const apiKey =
+                (Array.isArray(header) ? header[0] : header) ||
+                new URL(req.url || '/', 'http://localhost').searchParams.get(
+                    'api_key'
+                );
+            // callers without a key share the address limit
+            return apiKey ? `apiKey:${apiKey}` : clientAddress(req);
+        }
+        return clientAddress(req);
+    }
+
+    /**
+     * Where a client stands at a time, without counting a call.
+     * @param {string} key
+     * @param {number} now
+     * @returns {{ start: number, count: number, tokens: number }}
+     */
+    #current(key, now) {
+        const client = this.#clients.get(key);
+        if (!client) {
+            return { start: now, count: 0, tokens: this.limit };
+        }
+        if (this.strategy === 'fixed-window') {
+            return now - client.start >= this.window
+                ? { start: now, count: 0, tokens: this.limit }
+                : client;
+        }
+        const refilled = ((now - client.start) * this.limit) / this.window;
+        return {
+            start: now,
+            count: client.count,
+            tokens: Math.min(this.limit, client.tokens + refilled),
+        };
+    }
+
+    /**
+     * @param {string} key
+     * @param {{ start: number, count: number, tokens: number }} client
+     * @param {number} now
+     * @returns {RateLimitInfo}
+     */
+    #info(key, client, now) {
+        const perToken = this.window / this.limit;
+        if (this.strategy === 'fixed-window') {
+            const reset = client.start + this.window;
+            const remaining = Math.max(0, this.limit - client.count);
+            return {
+                key,
+                limit: this.limit,
+                remaining,
+                reset,
+                retryAfter: remaining ? 0 : Math.ceil((reset - now) / 1000),
+            };
+        }
+        return {
+            key,
+            limit: this.limit,
+            remaining: Math.floor(client.tokens),
+            reset: now + Math.ceil((this.limit - client.tokens) * perToken),
+            retryAfter:
+                client.tokens >= 1
+                    ? 0
+                    : Math.ceil(((1 - client.tokens) * perToken) / 1000),
+        };
+    }
+
+    /**
+     * Counts a call and answers it with a 429 when the client is over the
+     * limit. Allowed calls get the `X-RateLimit-*` headers set.
+     * @param {import('http').IncomingMessage} req
+     * @param {import('http').ServerResponse} res
+     * @returns {boolean} whether the call may go on
+     */
+    consume(req, res) {
+        const now = Date.now();
+        const key = this.#keyOf(req);
+        const client = this.#current(key, now);
+        const allowed =
+            this.strategy === 'fixed-window'
+                ? client.count < this.limit
+                : client.tokens >= 1;
+        if (allowed) {
+            client.count++;
+            client.tokens--;
+        }
+        this.#clients.set(key, client);
+        const info = this.#info(key, client, now);
+        /** @type {Record<string, string>} */
+        const headers =
+            this.options.headers === false
+                ? {}
+                : {
+                      'X-RateLimit-Limit': String(info.limit),
+                      'X-RateLimit-Remaining': String(info.remaining),
+                      'X-RateLimit-Reset': String(Math.ceil(info.reset / 1000)),
+                  };
+        if (allowed) {
+            Object.entries(headers).forEach(([name, value]) =>
+                res.setHeader(name, value)
+            );
+            return true;
+        }
+        headers['Retry-After'] = String(Math.max(1, info.retryAfter));
+        const { body } = this.options;
+        if (body === undefined) {
+            new HttpError(
+                429,
+                'Too many requests',
+                { limit: info.limit, retryAfter: info.retryAfter },
+                headers
+            ).send(res);
+            return false;
+        }
+        res.writeHead(429, { ...headers, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(typeof body === 'function' ? body(info) : body));
+        return false;
+    }
+
+    /**
+     * The clients that made calls and have not yet got their full limit
+     * back.
+     * @returns {RateLimitInfo[]}
+     */
+    clients() {
+        const now = Date.now();
+        return [...this.#clients.keys()]
+            .map((key) => this.#info(key, this.#current(key, now), now))
+            .filter((info) => {
+                const used = info.remaining < info.limit;
+                if (!used) {
+                    this.#clients.delete(info.key);
+                }
+                return used;
+            });
+    }
+
+    /**
+     * Gives clients their full limit back.
+     * @param {string} [key] one client, all by default
+     * @returns {void}
+     */
+    reset(key) {
+        if (key === undefined) {
+            this.#clients.clear();
+        } else {
+            this.#clients.delete(key);
+        }
+    }
+
+    /**
+     * @returns {Record<string, any>}
+     */
+    toJSON() {
+        return {
+            strategy: this.strategy,
+            limit: this.limit,
+            window: this.window,
+            clients: this.clients().map(({ key, remaining, reset }) => ({
+                key,
+                remaining,
+                reset: new Date(reset).toISOString(),
+            })),
+        };
+    }
+}
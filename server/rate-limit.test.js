@@ -0,0 +1,167 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRateLimit } from './rate-limit.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+const buildController = () =>
+    new ApiController({
+        rateLimit: { limit: 5, window: 60_000 },
+        routes: [
+            ApiController.createRoute({ url: '/api/open', data: 'open' }),
+            {
+                url: '/api/health',
+                rateLimit: false,
+                routeAction: (req, res) => {
+                    res.end('ok');
+                },
+            },
+            ApiController.createRoute({
+                url: '/api/search',
+                data: 'found',
+                rateLimit: { limit: 2, window: 200, strategy: 'token-bucket' },
+            }),
+            ApiController.createRoute({
+                url: '/api/export',
+                data: 'exported',
+                rateLimit: {
+                    limit: 1,
+                    key: 'apiKey',
+                    body: (/** @type {any} */ info) => ({
+                        code: 'SLOW_DOWN',
+                        key: info.key,
+                    }),
+                },
+            }),
+        ],
+    });
+
+/**
+ * @param {string} url
+ * @param {Record<string, string>} [headers]
+ * @returns {Promise<Response>} with the body read
+ */
+const call = async (url, headers = {}) => {
+    const res = await fetch(url, { headers });
+    await res.arrayBuffer();
+    return res;
+};
+
+test('checks rate limit options', () => {
+    assert.throws(
+        () => validateRateLimit({ limit: 0, window: -1, strategy: 'leaky' }),
+        (/** @type {any} */ err) =>
+            err.status === 400 &&
+            err.details.length === 3 &&
+            /limit must be a positive integer/.test(err.details[0])
+    );
+    assert.deepEqual(validateRateLimit({ limit: 1 }), { limit: 1 });
+});
+
+test('turns away callers over a fixed window', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    const ada = { 'X-Forwarded-For': '10.0.0.1' };
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+        const res = await call(`${url}/api/open`, ada);
+        statuses.push(res.status);
+        assert.equal(res.headers.get('x-ratelimit-limit'), '5');
+        assert.equal(res.headers.get('x-ratelimit-remaining'), String(4 - i));
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200]);
+    const over = await fetch(`${url}/api/open`, { headers: ada });
+    assert.equal(over.status, 429);
+    assert.ok(Number(over.headers.get('retry-after')) > 0);
+    assert.deepEqual(await over.json(), {
+        error: 'Too many requests',
+        details: { limit: 5, retryAfter: 60 },
+    });
+
+    const bob = await call(`${url}/api/open`, {
+        'X-Forwarded-For': '10.0.0.2',
+    });
+    assert.equal(bob.status, 200);
+    const health = await call(`${url}/api/health`, ada);
+    assert.equal(health.status, 200);
+    assert.equal(health.headers.get('x-ratelimit-limit'), null);
+});
+
+test('counts refused credentials against the limit', async (t) => {
+    const { url } = await startTestServer(t, {
+        controller: () =>
+            new ApiController({
+                rateLimit: { limit: 2, window: 60_000 },
+                auth: { secret: 'test-secret', users: [] },
+                routes: [
+                    ApiController.createRoute({
+                        url: '/api/private',
+                        data: 'secret',
+                        auth: true,
+                    }),
+                ],
+            }),
+    });
+    const guess = { Authorization: 'Bearer guessed' };
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+        statuses.push((await call(`${url}/api/private`, guess)).status);
+    }
+    assert.deepEqual(statuses, [401, 401, 429]);
+});
+
+test('refills token buckets and keys by API key', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    /** @param {Record<string, string>} [headers] */
+    const search = async (headers) =>
+        (await call(`${url}/api/search`, headers)).status;
+    // each client gets its own bucket, on top of the controller's limit
+    const client = { 'X-Forwarded-For': '10.0.0.3' };
+    assert.deepEqual(
+        [await search(client), await search(client), await search(client)],
+        [200, 200, 429]
+    );
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    assert.equal(await search(client), 200);
+
+    const first = await call(`${url}/api/export`, { 'X-API-Key': 'one' });
+    assert.equal(first.status, 200);
+    const again = await fetch(`${url}/api/export?api_key=one`);
+    assert.equal(again.status, 429);
+    assert.deepEqual(await again.json(), {
+        code: 'SLOW_DOWN',
+        key: 'apiKey:one',
+    });
+    const other = await call(`${url}/api/export`, { 'X-API-Key': 'two' });
+    assert.equal(other.status, 200);
+});
+
+test('lists and resets the counters through the admin api', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    await call(`${url}/api/open`, { 'X-Forwarded-For': '10.0.0.7' });
+    await call(`${url}/api/open`, { 'X-Forwarded-For': '10.0.0.8' });
+    const limits = /** @type {any} */ (
+        await (await fetch(`${url}/__admin/rate-limits`)).json()
+    );
+    assert.equal(limits[0].name, 'all routes');
+    assert.equal(limits[0].strategy, 'fixed-window');
+    assert.deepEqual(
+        limits[0].clients.map((/** @type {any} */ c) => [c.key, c.remaining]),
+        [
+            ['10.0.0.7', 4],
+            ['10.0.0.8', 4],
+        ]
+    );
+
+    await fetch(`${url}/__admin/rate-limits?key=10.0.0.7`, {
+        method: 'DELETE',
+    });
+    /** @returns {Promise<string[]>} */
+    const keys = async () =>
+        /** @type {any} */ (
+            await (await fetch(`${url}/__admin/rate-limits`)).json()
+        )[0].clients.map((/** @type {any} */ c) => c.key);
+    assert.deepEqual(await keys(), ['10.0.0.8']);
+    await fetch(`${url}/__admin/rate-limits`, { method: 'DELETE' });
+    assert.deepEqual(await keys(), []);
+});
@@ -0,0 +1,327 @@
+//@ts-check
+import { randomUUID } from 'node:crypto';
+import { HttpError } from './http-error.js';
+import { sendJson } from './http-utils.js';
+
+/**
+ * @typedef {Object} ResourceOptions
+ * @property {string} [idField] name of the id property, defaults to `id`
+ * @property {string} [basePath] prefix of the resource url, defaults to `/api`
+ * @property {string} [foreignKey] property other collections use to point at
+ * this one when embedded, defaults to the singular name plus `Id`
+ */
+
+const FILTER_OPERATORS = ['_gte', '_lte', '_ne', '_like'];
+
+/**
+ * @param {string | string[] | undefined} value
+ * @returns {string[]}
+ */
+const toList = (value) =>
+    (Array.isArray(value) ? value : value ? [value] : [])
+        .flatMap((v) => v.split(','))
+        .map((v) => v.trim())
+        .filter((v) => v);
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+const singular = (name) => (name.endsWith('s') ? name.slice(0, -1) : name);
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+const compareValues = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a ?? '').localeCompare(String(b ?? ''));
+};
+
+/**
+ * @param {string} value
+ * @returns {string | number}
+ */
+const coerce = (value) =>
+    value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+
+/**
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const likePattern = (pattern) => {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch {
+        throw new HttpError(400, `Invalid _like pattern: ${pattern}`);
+    }
+};
+
+/**
+ * Tests a single item against one query filter. Keys may end with one of
+ * `_gte`, `_lte`, `_ne` or `_like` to change the comparison.
+ * @param {any} item
+ * @param {string} key
+ * @param {string[]} values
+ * @returns {boolean}
+ */
+const matchesFilter = (item, key, values) => {
+    const operator = FILTER_OPERATORS.find((op) => key.endsWith(op));
+    const field = operator ? key.slice(0, -operator.length) : key;
+    const actual = item[field];
+    switch (operator) {
+        case '_gte':
+            return values.every((v) => compareValues(actual, coerce(v)) >= 0);
+        case '_lte':
+            return values.every((v) => compareValues(actual, coerce(v)) <= 0);
+        case '_ne':
+            return values.every((v) => String(actual) !== v);
+        case '_like':
+            return values.some((v) => likePattern(v).test(String(actual)));
+        default:
+            return values.some((v) => String(actual) === v);
+    }
+};
+
+/**
+ * Builds json-server style CRUD routes over `state[name]`.
+ * @param {string} name
+ * @param {ResourceOptions} [options]
+ * @returns {import('./server.js').ApiControllerRoute<any>[]}
+ */
+export const createResourceRoutes = (name, options = {}) => {
+    const idField = options.idField || 'id';
+    const basePath = (options.basePath ?? '/api').replace(/\/$/, '');
+    const foreignKey = options.foreignKey || `${singular(name)}Id`;
+    const listUrl = `${basePath}/${name}`;
+    const itemUrl = `${listUrl}/:id`;
+
+    /**
+     * @param {any} state
+     * @returns {any[]}
+     */
+    const collection = (state) => {
+        if (!Array.isArray(state[name])) {
+            state[name] = [];
+        }
+        return state[name];
+    };
+
+    /**
+     * @param {any} state
+     * @param {string} id
+     * @returns {number}
+     */
+    const indexOf = (state, id) =>
+        collection(state).findIndex((item) => String(item[idField]) === id);
+
+    /**
+     * @param {any[]} items
+     * @returns {any}
+     */
+    const nextId = (items) => {
+        const ids = items.map((item) => item[idField]);
+        if (ids.length && ids.every((id) => typeof id === 'number')) {
+            return Math.max(...ids) + 1;
+        }
+        return ids.length ? randomUUID() : 1;
+    };
+
+    /**
+     * @param {any} state
+     * @param {any} item
+     * @param {string[]} embeds
+     * @returns {any}
+     */
+    const embed = (state, item, embeds) => {
+        if (!embeds.length) {
+            return item;
+        }
+        const result = { ...item };
+        embeds.forEach((related) => {
+            const children = Array.isArray(state[related])
+                ? state[related]
+                : [];
+            result[related] = children.filter(
+                (/** @type {any} */ child) =>
+                    String(child[foreignKey]) === String(item[idField])
+            );
+        });
+        return result;
+    };
+
+    /**
+     * @param {any} body
+     * @returns {Record<string, any>}
+     */
+    const assertObject = (body) => {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new HttpError(400, `Body of ${name} must be a JSON object`);
+        }
+        return body;
+    };
+
+    /**
+     * @param {any} state
+     * @param {string} id
+     * @returns {number}
+     */
+    const requireIndex = (state, id) => {
+        const index = indexOf(state, id);
+        if (index === -1) {
+            throw new HttpError(404, `${name} ${id} not found`);
+        }
+        return index;
+    };
+
+    const tags = [name];
+
+    return [
+        {
+            url: listUrl,
+            method: 'GET',
+            summary: `List ${name}`,
+            tags,
+            routeAction: (req, res, { query, state }) => {
+                const { _sort, _order, _page, _limit, _embed, ...filters } =
+                    query;
+                let items = collection(state).filter((item) =>
+                    Object.entries(filters).every(([key, value]) =>
+                        matchesFilter(item, key, toList(value))
+                    )
+                );
+                const sortFields = toList(_sort);
+                const orders = toList(_order);
+                if (sortFields.length) {
+                    items = [...items].sort((a, b) => {
+                        for (let i = 0; i < sortFields.length; i++) {
+                            const field = sortFields[i];
+                            const direction = orders[i] === 'desc' ? -1 : 1;
+                            const result = compareValues(a[field], b[field]);
+                            if (result !== 0) {
+                                return result * direction;
+                            }
+                        }
+                        return 0;
+                    });
+                }
+                /** @type {import('http').OutgoingHttpHeaders} */
+                const headers = {};
+                const total = items.length;
+                if (_page || _limit) {
+                    const limit = parseInt(String(_limit), 10) || 10;
+                    const page = Math.max(parseInt(String(_page), 10) || 1, 1);
+                    const lastPage = Math.max(Math.ceil(total / limit), 1);
+                    items = items.slice((page - 1) * limit, page * limit);
+                    headers['X-Total-Count'] = String(total);
+                    /** @param {number} p */
+                    const pageLink = (p) => {
+                        const params = new URLSearchParams(
+                            (req.url || '').split('?')[1] || ''
+                        );
+                        params.set('_page', String(p));
+                        params.set('_limit', String(limit));
+                        return `<${listUrl}?${params}>`;
+                    };
+                    /** @type {string[]} */
+                    const links = [`${pageLink(1)}; rel="first"`];
+                    if (page > 1) {
+                        links.push(`${pageLink(page - 1)}; rel="prev"`);
+                    }
+                    if (page < lastPage) {
+                        links.push(`${pageLink(page + 1)}; rel="next"`);
+                    }
+                    links.push(`${pageLink(lastPage)}; rel="last"`);
+                    headers['Link'] = links.join(', ');
+                }
+                const embeds = toList(_embed);
+                sendJson(
+                    res,
+                    200,
+                    items.map((item) => embed(state, item, embeds)),
+                    headers
+                );
+            },
+        },
+        {
+            url: itemUrl,
+            method: 'GET',
+            summary: `Get one of ${name} by ${idField}`,
+            tags,
+            routeAction: (req, res, { params, query, state }) => {
+                const item = collection(state)[requireIndex(state, params.id)];
+                sendJson(res, 200, embed(state, item, toList(query._embed)));
+            },
+        },
+        {
+            url: listUrl,
+            method: 'POST',
+            summary: `Add to ${name}`,
+            tags,
+            examples: { status: 201 },
+            routeAction: (req, res, { body, state }) => {
+                const items = collection(state);
+                const item = { ...assertObject(body) };
+                if (item[idField] === undefined) {
+                    item[idField] = nextId(items);
+                } else if (indexOf(state, String(item[idField])) !== -1) {
+                    throw new HttpError(
+                        409,
+                        `${name} ${item[idField]} already exists`
+                    );
+                }
+                items.push(item);
+                sendJson(res, 201, item, {
+                    Location: `${listUrl}/${item[idField]}`,
+                });
+            },
+        },
+        {
+            url: itemUrl,
+            method: 'PUT',
+            summary: `Replace one of ${name}`,
+            tags,
+            routeAction: (req, res, { params, body, state }) => {
+                const items = collection(state);
+                const index = requireIndex(state, params.id);
+                const item = {
+                    ...assertObject(body),
+                    [idField]: items[index][idField],
+                };
+                items[index] = item;
+                sendJson(res, 200, item);
+            },
+        },
+        {
+            url: itemUrl,
+            method: 'PATCH',
+            summary: `Update fields of one of ${name}`,
+            tags,
+            routeAction: (req, res, { params, body, state }) => {
+                const items = collection(state);
+                const index = requireIndex(state, params.id);
+                const item = {
+                    ...items[index],
+                    ...assertObject(body),
+                    [idField]: items[index][idField],
+                };
+                items[index] = item;
+                sendJson(res, 200, item);
+            },
+        },
+        {
+            url: itemUrl,
+            method: 'DELETE',
+            summary: `Remove one of ${name}`,
+            tags,
+            examples: { status: 204 },
+            routeAction: (req, res, { params, state }) => {
+                collection(state).splice(requireIndex(state, params.id), 1);
+                sendJson(res, 204, undefined);
+            },
+        },
+    ];
+};
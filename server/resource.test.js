@@ -0,0 +1,106 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+const buildController = () =>
+    new ApiController().addResource('users').addResource('posts');
+
+const state = {
+    users: [
+        { id: 1, name: 'Ada', age: 36 },
+        { id: 2, name: 'Alan', age: 41 },
+        { id: 3, name: 'Grace', age: 85 },
+    ],
+    posts: [
+        { id: 1, userId: 1, title: 'Engines' },
+        { id: 2, userId: 3, title: 'Compilers' },
+    ],
+};
+
+/**
+ * @param {string} url
+ * @param {string} method
+ * @param {any} [body]
+ * @returns {Promise<Response>}
+ */
+const send = (url, method, body) =>
+    fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+/**
+ * @param {Response} res
+ * @returns {Promise<any>}
+ */
+const json = (res) => res.json();
+
+test('creates, reads, updates and deletes items in the state', async (t) => {
+    const { url, controller } = await startTestServer(t, {
+        controller: buildController,
+        state,
+    });
+    const created = await send(`${url}/api/users`, 'POST', { name: 'Linus' });
+    assert.equal(created.status, 201);
+    assert.equal(created.headers.get('location'), '/api/users/4');
+    assert.deepEqual(await json(created), { id: 4, name: 'Linus' });
+
+    const conflict = await send(`${url}/api/users`, 'POST', { id: 1 });
+    assert.equal(conflict.status, 409);
+    await conflict.arrayBuffer();
+
+    const patched = await send(`${url}/api/users/4`, 'PATCH', { age: 54 });
+    assert.deepEqual(await json(patched), { id: 4, name: 'Linus', age: 54 });
+    const replaced = await send(`${url}/api/users/4`, 'PUT', {
+        id: 99,
+        name: 'Torvalds',
+    });
+    assert.deepEqual(await json(replaced), { id: 4, name: 'Torvalds' });
+
+    const removed = await send(`${url}/api/users/4`, 'DELETE');
+    assert.equal(removed.status, 204);
+    const missing = await fetch(`${url}/api/users/4`);
+    assert.equal(missing.status, 404);
+    await missing.arrayBuffer();
+    assert.equal(controller.state.users.length, 3);
+
+    const invalid = await send(`${url}/api/users`, 'POST', [1]);
+    assert.equal(invalid.status, 400);
+    await invalid.arrayBuffer();
+});
+
+test('filters, sorts, pages and embeds lists', async (t) => {
+    const { url } = await startTestServer(t, {
+        controller: buildController,
+        state,
+    });
+    /** @param {string} query */
+    const names = async (query) =>
+        (await json(await fetch(`${url}/api/users?${query}`))).map(
+            (/** @type {any} */ user) => user.name
+        );
+    assert.deepEqual(await names('age_gte=40'), ['Alan', 'Grace']);
+    assert.deepEqual(await names('name_like=^a'), ['Ada', 'Alan']);
+    assert.deepEqual(await names('id_ne=2&_sort=age&_order=desc'), [
+        'Grace',
+        'Ada',
+    ]);
+
+    const page = await fetch(`${url}/api/users?_page=2&_limit=2`);
+    assert.equal(page.headers.get('x-total-count'), '3');
+    assert.match(page.headers.get('link') || '', /_page=1.*rel="prev"/);
+    assert.doesNotMatch(page.headers.get('link') || '', /rel="next"/);
+    assert.deepEqual(
+        (await json(page)).map((/** @type {any} */ user) => user.id),
+        [3]
+    );
+
+    const embedded = await json(await fetch(`${url}/api/users/1?_embed=posts`));
+    assert.deepEqual(embedded.posts, [{ id: 1, userId: 1, title: 'Engines' }]);
+    const badPattern = await fetch(`${url}/api/users?name_like=(`);
+    assert.equal(badPattern.status, 400);
+    await badPattern.arrayBuffer();
+});
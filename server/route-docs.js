@@ -0,0 +1,296 @@
+//@ts-check
+
+/**
+ * Example values shown in the route index and the generated OpenAPI
+ * document.
+ * @typedef {Object} RouteExamples
+ * @property {Record<string, string>} [params] values for the path variables
+ * @property {Record<string, string>} [query]
+ * @property {any} [request] request body
+ * @property {any} [response] response body
+ * @property {number} [status] status of the example response, defaults to 200
+ */
+
+/**
+ * @typedef {Object} RouteDocsOptions
+ * @property {string} [title]
+ * @property {string} [version]
+ */
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+const withLeadingSlash = (url) => (url.startsWith('/') ? url : `/${url}`);
+
+/**
+ * Lists the path variables of a route pattern. `*` and `**` segments are
+ * named `wildcard` and `path`.
+ * @param {string} url
+ * @returns {{ segment: string, name: string, optional: boolean }[]}
+ */
+const pathVariables = (url) => {
+    /** @type {{ segment: string, name: string, optional: boolean }[]} */
+    const variables = [];
+    url.split('/').forEach((segment) => {
+        if (segment.startsWith(':')) {
+            const optional = segment.endsWith('?');
+            const name = segment.substring(
+                1,
+                segment.length - (optional ? 1 : 0)
+            );
+            variables.push({ segment, name, optional });
+        } else if (segment === '*') {
+            variables.push({ segment, name: 'wildcard', optional: false });
+        } else if (segment === '**') {
+            variables.push({ segment, name: 'path', optional: true });
+        }
+    });
+    return variables;
+};
+
+/**
+ * Builds a url that the route answers, using its example path variables
+ * and query. Variables without an example are filled with `1`.
+ * @param {import('./server.js').ApiControllerRoute<any>} route
+ * @returns {string}
+ */
+export const exampleUrl = (route) => {
+    const examples = route.examples || {};
+    const params = examples.params || {};
+    const path = withLeadingSlash(route.url)
+        .split('/')
+        .map((segment) => {
+            const variable = pathVariables(segment)[0];
+            if (!variable) {
+                return segment;
+            }
+            const value =
+                params[variable.name] ?? (variable.optional ? '' : '1');
+            return encodeURIComponent(value);
+        })
+        .join('/')
+        .replace(/\/+$/, '');
+    const query = new URLSearchParams(examples.query || {}).toString();
+    return (path || '/') + (query ? `?${query}` : '');
+};
+
+/** @type {Record<import('./auth.js').AuthScheme, any>} */
+const securitySchemes = {
+    bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    basic: { type: 'http', scheme: 'basic' },
+    apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+};
+
+/**
+ * Builds an OpenAPI 3 document describing the given routes. When several
+ * routes share a url and method, the first one describes the operation.
+ * @param {import('./server.js').ApiControllerRoute<any>[]} routes
+ * @param {RouteDocsOptions} [options]
+ * @returns {any}
+ */
+export const createOpenApiDocument = (routes, options = {}) => {
+    /** @type {Record<string, Record<string, any>>} */
+    const paths = {};
+    /** @type {Set<string>} */
+    const tags = new Set();
+    /** @type {Set<import('./auth.js').AuthScheme>} */
+    const authSchemes = new Set();
+    routes.forEach((route) => {
+        const variables = pathVariables(route.url);
+        const path = withLeadingSlash(
+            route.url
+                .split('/')
+                .map((segment) => {
+                    const variable = pathVariables(segment)[0];
+                    return variable ? `{${variable.name}}` : segment;
+                })
+                .join('/')
+        );
+        const method = (route.method || 'GET').toLowerCase();
+        const item = (paths[path] = paths[path] || {});
+        if (item[method]) {
+            return;
+        }
+        const examples = route.examples || {};
+        const queryNames = new Set([
+            ...Object.keys(examples.query || {}),
+            ...Object.keys(route.match?.query || {}),
+        ]);
+        (route.tags || []).forEach((tag) => tags.add(tag));
+        /** @type {Record<string, any>} */
+        const operation = {
+            ...(route.summary ? { summary: route.summary } : {}),
+            ...(route.description ? { description: route.description } : {}),
+            ...(route.tags ? { tags: route.tags } : {}),
+        };
+        const parameters = [
+            ...variables.map((variable) => ({
+                name: variable.name,
+                in: 'path',
+                required: true,
+                schema: { type: 'string' },
+                ...(examples.params?.[variable.name] !== undefined
+                    ? { example: examples.params[variable.name] }
+                    : {}),
+            })),
+            ...[...queryNames].map((name) => ({
+                name,
+                in: 'query',
+                schema: { type: 'string' },
+                ...(examples.query?.[name] !== undefined
+                    ? { example: examples.query[name] }
+                    : {}),
+            })),
+        ];
+        if (parameters.length) {
+            operation.parameters = parameters;
+        }
+        if (route.auth) {
+            const schemes = (route.auth !== true && route.auth.schemes) || [
+                'bearer',
+            ];
+            const scopes = (route.auth !== true && route.auth.scopes) || [];
+            schemes.forEach((scheme) => authSchemes.add(scheme));
+            operation.security = schemes.map((scheme) => ({
+                [`${scheme}Auth`]: scheme === 'bearer' ? scopes : [],
+            }));
+        }
+        if (examples.request !== undefined) {
+            operation.requestBody = {
+                content: { 'application/json': { example: examples.request } },
+            };
+        }
+        operation.responses = {
+            [String(examples.status || 200)]: {
+                description: route.summary || 'Response',
+                ...(examples.response !== undefined
+                    ? {
+                          content: {
+                              'application/json': {
+                                  example: examples.response,
+                              },
+                          },
+                      }
+                    : {}),
+            },
+        };
+        item[method] = operation;
+    });
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: options.title || 'Mini Server',
+            version: options.version || '1.0.0',
+        },
+        ...(tags.size ? { tags: [...tags].map((name) => ({ name })) } : {}),
+        paths,
+        ...(authSchemes.size
+            ? {
+                  components: {
+                      securitySchemes: Object.fromEntries(
+                          [...authSchemes].map((scheme) => [
+                              `${scheme}Auth`,
+                              securitySchemes[scheme],
+                          ])
+                      ),
+                  },
+              }
+            : {}),
+    };
+};
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+    String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+/**
+ * @param {string} label
+ * @param {any} value
+ * @returns {string}
+ */
+const renderExample = (label, value) =>
+    value === undefined
+        ? ''
+        : `<details><summary>${label}</summary><pre>${escapeHtml(
+              typeof value === 'string' ? value : JSON.stringify(value, null, 2)
+          )}</pre></details>`;
+
+/**
+ * @param {import('./server.js').ApiControllerRoute<any>} route
+ * @returns {string}
+ */
+const renderRouteRow = (route) => {
+    const method = route.method || 'ANY';
+    const url = escapeHtml(withLeadingSlash(route.url));
+    const link =
+        method === 'GET' || method === 'ANY'
+            ? `<a href="${escapeHtml(exampleUrl(route))}">${url}</a>`
+            : url;
+    const examples = route.examples || {};
+    return `<tr>
+<td class="method ${method.toLowerCase()}">${method}</td>
+<td>${link}${route.priority !== undefined ? ` <small>priority ${route.priority}</small>` : ''}</td>
+<td>${escapeHtml(route.summary || '')}${route.description ? `<p>${escapeHtml(route.description)}</p>` : ''}${renderExample('Request', examples.request)}${renderExample(`Response ${examples.status || 200}`, examples.response)}</td>
+<td>${escapeHtml(route.source || '')}</td>
+</tr>`;
+};
+
+/**
+ * Renders a browsable HTML page listing the routes, grouped by their first
+ * tag.
+ * @param {import('./server.js').ApiControllerRoute<any>[]} routes
+ * @param {RouteDocsOptions & { openApiUrl?: string }} [options]
+ * @returns {string}
+ */
+export const renderRouteIndex = (routes, options = {}) => {
+    /** @type {Map<string, import('./server.js').ApiControllerRoute<any>[]>} */
+    const groups = new Map();
+    routes.forEach((route) => {
+        const tag = (route.tags && route.tags[0]) || 'Other';
+        groups.set(tag, [...(groups.get(tag) || []), route]);
+    });
+    const title = escapeHtml(options.title || 'Mini Server');
+    const sections = [...groups.entries()]
+        .sort(([a], [b]) =>
+            a === 'Other' ? 1 : b === 'Other' ? -1 : a.localeCompare(b)
+        )
+        .map(
+            ([tag, group]) => `<h2>${escapeHtml(tag)}</h2>
+<table>
+<thead><tr><th>Method</th><th>Url</th><th>Summary</th><th>Source</th></tr></thead>
+<tbody>
+${group.map(renderRouteRow).join('\n')}
+</tbody>
+</table>`
+        )
+        .join('\n');
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${title} routes</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #ddd; padding: 0.4rem; text-align: left; vertical-align: top; }
+td.method { font-family: monospace; font-weight: bold; }
+.get { color: #15803d; } .post { color: #1d4ed8; } .put, .patch { color: #b45309; } .delete { color: #b91c1c; }
+pre { background: #f5f5f5; padding: 0.5rem; }
+</style>
+</head>
+<body>
+<h1>${title} routes</h1>
+${options.openApiUrl ? `<p><a href="${escapeHtml(options.openApiUrl)}">OpenAPI document</a></p>` : ''}
+${routes.length ? sections : '<p>No routes are registered.</p>'}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,124 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createOpenApiDocument,
+    exampleUrl,
+    renderRouteIndex,
+} from './route-docs.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+/** @type {import('./server.js').ApiControllerRoute<any>[]} */
+const routes = [
+    {
+        url: '/api/users/:id',
+        method: 'GET',
+        summary: 'One user',
+        tags: ['users'],
+        examples: {
+            params: { id: '7' },
+            query: { full: 'true' },
+            response: { id: 7 },
+        },
+        routeAction: () => {},
+    },
+    {
+        url: '/api/users/:id',
+        method: 'GET',
+        summary: 'Shadowed',
+        routeAction: () => {},
+    },
+    {
+        url: '/api/orders',
+        method: 'POST',
+        summary: '<b>Orders</b>',
+        auth: { roles: ['admin'], scopes: ['orders:write'] },
+        examples: { request: { sku: 'A-1' }, status: 201 },
+        routeAction: () => {},
+    },
+    { url: 'files/**', routeAction: () => {} },
+];
+
+test('builds example urls from the route examples', () => {
+    assert.equal(exampleUrl(routes[0]), '/api/users/7?full=true');
+    assert.equal(exampleUrl(routes[1]), '/api/users/1');
+    assert.equal(exampleUrl(routes[3]), '/files');
+});
+
+test('describes routes as an OpenAPI document', () => {
+    const document = createOpenApiDocument(routes, { title: 'Shop' });
+    assert.equal(document.info.title, 'Shop');
+    assert.deepEqual(document.tags, [{ name: 'users' }]);
+    const user = document.paths['/api/users/{id}'].get;
+    assert.equal(user.summary, 'One user');
+    assert.deepEqual(
+        user.parameters.map((/** @type {any} */ p) => [
+            p.in,
+            p.name,
+            p.example,
+        ]),
+        [
+            ['path', 'id', '7'],
+            ['query', 'full', 'true'],
+        ]
+    );
+    assert.deepEqual(
+        user.responses['200'].content['application/json'].example,
+        { id: 7 }
+    );
+    const order = document.paths['/api/orders'].post;
+    assert.deepEqual(order.security, [{ bearerAuth: ['orders:write'] }]);
+    assert.deepEqual(order.requestBody.content['application/json'].example, {
+        sku: 'A-1',
+    });
+    assert.ok(order.responses['201']);
+    assert.ok(document.components.securitySchemes.bearerAuth);
+    assert.ok(document.paths['/files/{path}'].get);
+});
+
+test('renders an escaped route index grouped by tag', () => {
+    const html = renderRouteIndex(routes, { openApiUrl: '/openapi.json' });
+    assert.match(html, /<h2>users<\/h2>[\s\S]*<h2>Other<\/h2>/);
+    assert.match(html, /href="\/api\/users\/7\?full=true"/);
+    assert.match(html, /&lt;b&gt;Orders&lt;\/b&gt;/);
+    assert.doesNotMatch(html, /<b>Orders/);
+    assert.match(html, /href="\/openapi.json"/);
+    assert.match(renderRouteIndex([]), /No routes are registered/);
+});
+
+test('serves the route index and document from the admin api', async (t) => {
+    const { url } = await startTestServer(t, {
+        controller: () =>
+            new ApiController({
+                routes: [
+                    ApiController.createRoute({
+                        url: '/api/health',
+                        data: { ok: true },
+                        summary: 'Health',
+                    }),
+                ],
+            }),
+    });
+    await fetch(`${url}/__admin/stubs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: '/api/stubbed', body: [1] }),
+    });
+    const document = /** @type {any} */ (
+        await (await fetch(`${url}/__admin/openapi.json`)).json()
+    );
+    assert.deepEqual(Object.keys(document.paths), [
+        '/api/stubbed',
+        '/api/health',
+    ]);
+    assert.deepEqual(
+        document.paths['/api/stubbed'].get.responses['200'].content[
+            'application/json'
+        ].example,
+        [1]
+    );
+    const docs = await fetch(`${url}/__admin/docs`);
+    assert.equal(docs.headers.get('content-type'), 'text/html');
+    assert.match(await docs.text(), /Health/);
+});
@@ -0,0 +1,102 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpError } from './http-error.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+/**
+ * An order that goes from pending to shipped, with an extra step that
+ * fails while `failing` is set.
+ * @returns {ApiController<any>}
+ */
+const buildController = () =>
+    new ApiController({
+        initialState: { failing: false },
+        routes: [
+            ApiController.createRoute({
+                url: '/api/order',
+                scenario: 'order',
+                requiredState: 'Started',
+                newState: 'processing',
+                data: { status: 'pending' },
+            }),
+            ApiController.createRoute({
+                url: '/api/order',
+                scenario: 'order',
+                requiredState: 'processing',
+                newState: 'shipped',
+                data: { status: 'processing' },
+            }),
+            ApiController.createRoute({
+                url: '/api/order',
+                scenario: 'order',
+                requiredState: 'shipped',
+                data: { status: 'shipped' },
+            }),
+            ApiController.createRoute({
+                url: '/api/payment',
+                method: 'POST',
+                scenario: 'payment',
+                newState: 'paid',
+                faults: { errorRate: 1, errorStatus: 503 },
+                data: {},
+            }),
+            {
+                url: '/api/refund',
+                method: 'POST',
+                scenario: 'refund',
+                newState: 'refunded',
+                routeAction: (req, res, { state }) => {
+                    if (state.failing) {
+                        throw new HttpError(409, 'Not refundable');
+                    }
+                    res.writeHead(204);
+                    res.end();
+                },
+            },
+        ],
+    });
+
+test('moves a scenario on with every answered call', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+        const res = await fetch(`${url}/api/order`);
+        statuses.push(/** @type {any} */ (await res.json()).status);
+    }
+    assert.deepEqual(statuses, ['pending', 'processing', 'shipped', 'shipped']);
+
+    const reset = await fetch(`${url}/__admin/scenarios/order/reset`, {
+        method: 'POST',
+    });
+    assert.deepEqual(await reset.json(), { name: 'order', state: 'Started' });
+    await fetch(`${url}/__admin/scenarios/order`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ state: 'shipped' }),
+    });
+    const shipped = await fetch(`${url}/api/order`);
+    assert.deepEqual(await shipped.json(), { status: 'shipped' });
+});
+
+test('leaves a scenario as it was when the call failed', async (t) => {
+    const { url, controller } = await startTestServer(t, {
+        controller: buildController,
+        state: { failing: true },
+    });
+    const payment = await fetch(`${url}/api/payment`, { method: 'POST' });
+    await payment.arrayBuffer();
+    assert.equal(payment.status, 503);
+    assert.equal(controller.getScenarioState('payment'), 'Started');
+
+    const refused = await fetch(`${url}/api/refund`, { method: 'POST' });
+    await refused.arrayBuffer();
+    assert.equal(refused.status, 409);
+    assert.equal(controller.getScenarioState('refund'), 'Started');
+
+    controller.state.failing = false;
+    const refunded = await fetch(`${url}/api/refund`, { method: 'POST' });
+    assert.equal(refunded.status, 204);
+    assert.equal(controller.getScenarioState('refund'), 'refunded');
+});
@@ -0,0 +1,425 @@
+//@ts-check
+import { isDeepStrictEqual } from 'node:util';
+
+/**
+ * Validation and example generation for the JSON Schema subset used by
+ * OpenAPI 3.0 and 3.1 documents. Only local `$ref`s (`#/...`) are followed.
+ */
+
+/** Schemas nested deeper than this are not generated, to stop on cycles. */
+const MAX_DEPTH = 8;
+
+const FORMATS = /** @type {Record<string, RegExp>} */ ({
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    'date-time':
+        /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/,
+    uri: /^[a-z][a-z0-9+.-]*:\S+$/i,
+});
+
+/**
+ * Follows a local JSON pointer such as `#/components/schemas/User`.
+ * @param {any} document
+ * @param {string} ref
+ * @returns {any}
+ */
+export const resolveRef = (document, ref) => {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref values are supported, got ${ref}`);
+    }
+    const target = ref
+        .substring(2)
+        .split('/')
+        .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, key) => (node ? node[key] : undefined), document);
+    if (target === undefined) {
+        throw new Error(`Cannot resolve $ref ${ref}`);
+    }
+    return target;
+};
+
+/**
+ * Resolves `$ref` chains on a node.
+ * @param {any} document
+ * @param {any} node
+ * @returns {any}
+ */
+export const deref = (document, node) => {
+    let current = node;
+    for (let i = 0; current && current.$ref && i < MAX_DEPTH; i++) {
+        current = resolveRef(document, current.$ref);
+    }
+    return current;
+};
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+};
+
+/**
+ * @param {any} schema
+ * @returns {string[]}
+ */
+const schemaTypes = (schema) => {
+    /** @type {string[]} */
+    const types = Array.isArray(schema.type)
+        ? [...schema.type]
+        : schema.type
+          ? [schema.type]
+          : [];
+    if (schema.nullable && types.length) {
+        types.push('null');
+    }
+    return types;
+};
+
+/**
+ * Validates a value against a schema and returns readable errors.
+ * @param {any} document the OpenAPI document, for `$ref`s
+ * @param {any} schemaNode
+ * @param {any} value
+ * @param {string} path used as the prefix of every error
+ * @param {{ request?: boolean }} [options] with `request`, readOnly
+ * properties are not required
+ * @returns {string[]}
+ */
+export const validateSchema = (
+    document,
+    schemaNode,
+    value,
+    path,
+    options = {}
+) => {
+    const schema = deref(document, schemaNode);
+    if (!schema || schema === true) {
+        return [];
+    }
+    /** @type {string[]} */
+    const errors = [];
+    /**
+     * @param {any} sub
+     * @param {any} subValue
+     * @param {string} subPath
+     */
+    const check = (sub, subValue, subPath) =>
+        validateSchema(document, sub, subValue, subPath, options);
+
+    if (schema.allOf) {
+        schema.allOf.forEach((/** @type {any} */ sub) =>
+            errors.push(...check(sub, value, path))
+        );
+    }
+    if (
+        schema.anyOf &&
+        !schema.anyOf.some(
+            (/** @type {any} */ sub) => !check(sub, value, path).length
+        )
+    ) {
+        errors.push(`${path} must match one of the allowed schemas`);
+    }
+    if (schema.oneOf) {
+        const passing = schema.oneOf.filter(
+            (/** @type {any} */ sub) => !check(sub, value, path).length
+        ).length;
+        if (passing !== 1) {
+            errors.push(
+                `${path} must match exactly one of the allowed schemas`
+            );
+        }
+    }
+    if (value === null && schema.nullable) {
+        return errors;
+    }
+    const types = schemaTypes(schema);
+    const actual = typeOf(value);
+    if (
+        types.length &&
+        !types.includes(actual) &&
+        !(actual === 'integer' && types.includes('number'))
+    ) {
+        errors.push(`${path} must be of type ${types.join(' or ')}`);
+        return errors;
+    }
+    if (
+        schema.enum &&
+        !schema.enum.some((/** @type {any} */ option) =>
+            isDeepStrictEqual(option, value)
+        )
+    ) {
+        errors.push(
+            `${path} must be one of ${schema.enum.map((/** @type {any} */ o) => JSON.stringify(o)).join(', ')}`
+        );
+    }
+    if ('const' in schema && !isDeepStrictEqual(schema.const, value)) {
+        errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(
+                `${path} must be at least ${schema.minLength} characters`
+            );
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(
+                `${path} must be at most ${schema.maxLength} characters`
+            );
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match ${schema.pattern}`);
+        }
+        if (FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+            errors.push(`${path} must be a valid ${schema.format}`);
+        }
+    }
+    if (typeof value === 'number') {
+        const exclusiveMin =
+            schema.exclusiveMinimum === true
+                ? schema.minimum
+                : schema.exclusiveMinimum;
+        const exclusiveMax =
+            schema.exclusiveMaximum === true
+                ? schema.maximum
+                : schema.exclusiveMaximum;
+        if (
+            schema.minimum !== undefined &&
+            schema.exclusiveMinimum !== true &&
+            value < schema.minimum
+        ) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (
+            schema.maximum !== undefined &&
+            schema.exclusiveMaximum !== true &&
+            value > schema.maximum
+        ) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+        if (typeof exclusiveMin === 'number' && value <= exclusiveMin) {
+            errors.push(`${path} must be > ${exclusiveMin}`);
+        }
+        if (typeof exclusiveMax === 'number' && value >= exclusiveMax) {
+            errors.push(`${path} must be < ${exclusiveMax}`);
+        }
+        if (
+            schema.multipleOf &&
+            Math.abs(
+                value / schema.multipleOf -
+                    Math.round(value / schema.multipleOf)
+            ) > 1e-9
+        ) {
+            errors.push(`${path} must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (
+            schema.uniqueItems &&
+            value.some((item, i) =>
+                value
+                    .slice(i + 1)
+                    .some((other) => isDeepStrictEqual(item, other))
+            )
+        ) {
+            errors.push(`${path} must not contain duplicate items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) =>
+                errors.push(...check(schema.items, item, `${path}[${i}]`))
+            );
+        }
+    }
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach((/** @type {string} */ key) => {
+            const property = deref(document, properties[key]);
+            if (options.request && property && property.readOnly) {
+                return;
+            }
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            if (properties[key]) {
+                errors.push(...check(properties[key], item, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(
+                    ...check(
+                        schema.additionalProperties,
+                        item,
+                        `${path}.${key}`
+                    )
+                );
+            }
+        });
+        const count = Object.keys(value).length;
+        if (
+            schema.minProperties !== undefined &&
+            count < schema.minProperties
+        ) {
+            errors.push(
+                `${path} must have at least ${schema.minProperties} properties`
+            );
+        }
+        if (
+            schema.maxProperties !== undefined &&
+            count > schema.maxProperties
+        ) {
+            errors.push(
+                `${path} must have at most ${schema.maxProperties} properties`
+            );
+        }
+    }
+    return errors;
+};
+
+/**
+ * Picks fake data for a string from its format or property name.
+ * @param {any} schema
+ * @param {string} name
+ * @param {import('./fake.js').FakeData} fake
+ * @returns {string}
+ */
+const generateString = (schema, name, fake) => {
+    switch (schema.format) {
+        case 'date-time':
+            return fake.date();
+        case 'date':
+            return fake.date().substring(0, 10);
+        case 'email':
+            return fake.email();
+        case 'uuid':
+            return fake.uuid();
+        case 'uri':
+        case 'url':
+            return `https://example.com/${fake.words(1)}`;
+    }
+    /** @type {[RegExp, () => string][]} */
+    const byName = [
+        [/e-?mail/i, () => fake.email()],
+        [/first.?name/i, () => fake.firstName()],
+        [/last.?name|surname/i, () => fake.lastName()],
+        [/^(full.?)?name$|user.?name/i, () => fake.name()],
+        [/phone/i, () => fake.phone()],
+        [/city/i, () => fake.city()],
+        [/country/i, () => fake.country()],
+        [/zip|postal/i, () => fake.zipCode()],
+        [/street|address/i, () => fake.street()],
+        [/company|organi[sz]ation/i, () => fake.company()],
+        [/description|summary|bio|text|comment/i, () => fake.sentence()],
+        [/(^id|Id|_id)$/, () => fake.uuid()],
+        [/date|time|At$/, () => fake.date()],
+    ];
+    const match = byName.find(([pattern]) => pattern.test(name));
+    let text = match ? match[1]() : fake.words(2);
+    if (schema.minLength && text.length < schema.minLength) {
+        text = text.padEnd(schema.minLength, 'x');
+    }
+    if (schema.maxLength && text.length > schema.maxLength) {
+        text = text.substring(0, schema.maxLength);
+    }
+    return text;
+};
+
+/**
+ * Generates an example value for a schema, preferring the examples, defaults
+ * and enums it declares.
+ * @param {any} document
+ * @param {any} schemaNode
+ * @param {import('./fake.js').FakeData} fake
+ * @param {string} [name] property name, used to pick fitting fake data
+ * @param {number} [depth]
+ * @returns {any}
+ */
+export const generateFromSchema = (
+    document,
+    schemaNode,
+    fake,
+    name = '',
+    depth = 0
+) => {
+    const schema = deref(document, schemaNode);
+    if (!schema || schema === true || depth > MAX_DEPTH) {
+        return null;
+    }
+    if (schema.example !== undefined) {
+        return schema.example;
+    }
+    if (Array.isArray(schema.examples) && schema.examples.length) {
+        return schema.examples[0];
+    }
+    if (schema.default !== undefined) {
+        return schema.default;
+    }
+    if ('const' in schema) {
+        return schema.const;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length) {
+        return schema.enum[0];
+    }
+    /**
+     * @param {any} sub
+     * @param {string} [subName]
+     */
+    const generate = (sub, subName = name) =>
+        generateFromSchema(document, sub, fake, subName, depth + 1);
+    if (schema.allOf) {
+        return Object.assign(
+            {},
+            ...schema.allOf.map((/** @type {any} */ sub) => generate(sub))
+        );
+    }
+    if (schema.oneOf || schema.anyOf) {
+        return generate((schema.oneOf || schema.anyOf)[0]);
+    }
+    const type =
+        schemaTypes(schema).find((t) => t !== 'null') ||
+        (schema.properties ? 'object' : schema.items ? 'array' : 'string');
+    switch (type) {
+        case 'object':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {})
+                    .filter(([, sub]) => !deref(document, sub)?.writeOnly)
+                    .map(([key, sub]) => [key, generate(sub, key)])
+            );
+        case 'array': {
+            const count = Math.min(
+                Math.max(schema.minItems || 0, 2),
+                schema.maxItems ?? Infinity
+            );
+            return Array.from({ length: count }, () => generate(schema.items));
+        }
+        case 'integer':
+            return fake.int(
+                Math.ceil(schema.minimum ?? 1),
+                Math.floor(schema.maximum ?? 1000)
+            );
+        case 'number':
+            return fake.float(schema.minimum ?? 0, schema.maximum ?? 1000);
+        case 'boolean':
+            return fake.boolean();
+        default:
+            return generateString(schema, name, fake);
+    }
+};
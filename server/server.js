@@ -1,22 +1,128 @@
 //@ts-check
 
 import http from 'http';
-import { extname, join as joinPath } from 'path';
-import { existsSync, readFileSync, statSync } from 'fs';
-import { readFile, writeFile } from 'node:fs/promises';
+import { extname, join as joinPath, relative, resolve } from 'path';
+import { existsSync, readFileSync, watch } from 'fs';
+import { readFile, stat } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import {
+    parseBody,
+    parseQuery,
+    readRawBody,
+    readRequestBody,
+} from './body-parser.js';
+import { HttpError } from './http-error.js';
+import { createResourceRoutes } from './resource.js';
+import {
+    createMockRoute,
+    isMockDefinitionFile,
+    listFolders,
+    listMockFiles,
+    readMockFile,
+} from './mock-files.js';
+import { ApiProxy } from './proxy.js';
+import { applyFaults } from './faults.js';
+import { ADMIN_PREFIX, createAdminRoutes } from './admin.js';
+import { RequestJournal } from './journal.js';
+import { FakeData } from './fake.js';
+import { renderTemplate } from './template.js';
+import { createOpenApiRoutes, loadOpenApiDocument } from './openapi.js';
+import { acceptWebSocket, CLOSE_CODES } from './websocket.js';
+import { createSseRoute, createStreamRoute } from './streaming.js';
+import { snapshotsDirFor, StateStore } from './state-store.js';
+import { MockAuth } from './auth.js';
+import { RateLimiter } from './rate-limit.js';
+import {
+    cors,
+    isOriginAllowed,
+    runMiddleware,
+    sendError,
+} from './middleware.js';
+import {
+    DEV_RELOAD_PATH,
+    DevReload,
+    reloadPageScript,
+    reloadWorkerScript,
+} from './dev-reload.js';
+import {
+    renderDirectoryListing,
+    resolveStaticPath,
+    serveFile,
+} from './static-files.js';
+import {
+    DEFAULT_PRIORITY,
+    matchPath,
+    matchRequestBody,
+    matchRequestMeta,
+    specificity,
+} from './matching.js';
+
+/**
+ * @param {string} filename
+ * @returns {Promise<import('fs').Stats | null>}
+ */
+const statFile = (filename) => stat(filename).catch(() => null);
+
+/**
+ * @param {import('http').IncomingMessage} request
+ * @returns {boolean}
+ */
+const acceptsHtml = (request) =>
+    String(request.headers.accept || '').includes('text/html');
+
+/**
+ * Answers a static request that failed or matched no file.
+ * @callback StaticErrorHandler
+ * @param {import('http').IncomingMessage} request
+ * @param {import('http').ServerResponse} response
+ * @param {unknown} [error]
+ * @returns {void | Promise<void>}
+ */
+
+/**
+ * A controller served under a url prefix.
+ * @typedef {Object} Mount
+ * @property {string} prefix with a leading and no trailing slash
+ * @property {ApiController<any>} controller
+ * @property {ApiController<any>} admin answers `<prefix>/__admin`
+ */
 
 /**
  * @template T
  */
 
 export class MiniServer {
+    /** @type {Set<import('net').Socket>} open connections, for Node before 18.2 */
+    #sockets = new Set();
     /**
      * @typedef {Object} MainServerOptions
      * @property {string} [root]
-     * @property {number} [port]
+     * @property {number} [port] 0 picks a free port
+     * @property {string} [host] defaults to all interfaces
      * @property {string} [staticFolder]
      * @property {boolean} [devHotReload]
      * @property { ApiController <T>} [apiController]
+     * @property {import('./faults.js').FaultOptions} [faults] applied to
+     * every response unless a route sets its own
+     * @property {boolean} [quiet] no startup message
+     * @property {boolean | string} [spa] serve `index.html`, or the given
+     * file, for client side routes that match no file
+     * @property {string | StaticErrorHandler} [notFound] page in the static
+     * folder or handler for missing files, defaults to `404.html`
+     * @property {string | StaticErrorHandler} [serverError] page in the
+     * static folder or handler for failures
+     * @property {boolean} [directoryListing] list folders without an
+     * `index.html`
+     * @property {boolean | import('./middleware.js').CorsOptions} [cors]
+     * CORS headers for every origin unless configured, false turns them off.
+     * The admin API only answers the origins listed here
+     * @property {import('./middleware.js').Middleware[]} [middleware] runs
+     * before the admin, api and static handlers
+     * @property {boolean} [errorStack] add stack traces to JSON 500s
+     * @property {Record<string, ApiController<any>>} [mounts] controllers
+     * by the url prefix they answer under
+     * @property {Record<string, MiniServer<any>>} [virtualHosts] servers by
+     * the host name they answer for, `*.example.test` matches subdomains
      */
 
     /**
@@ -28,204 +134,796 @@ export class MiniServer {
         staticFolder,
         apiController,
         devHotReload,
+        faults,
+        host,
+        quiet,
+        spa,
+        notFound,
+        serverError,
+        directoryListing,
+        cors: corsOptions,
+        middleware,
+        errorStack,
+        mounts,
+        virtualHosts,
     } = {}) {
         this.staticFolder = staticFolder || 'public';
         this.root = root || process.cwd();
-        this.port = port || 4200;
+        this.port = Number(port ?? 4200);
+        this.host = host;
+        this.quiet = quiet || false;
+        /** @type {string | null} */
+        this.spaFallback = spa ? (spa === true ? 'index.html' : spa) : null;
+        /** @type {string | StaticErrorHandler} */
+        this.notFound = notFound || '404.html';
+        /** @type {string | StaticErrorHandler | null} */
+        this.serverError = serverError || null;
+        this.directoryListing = directoryListing || false;
+        this.errorStack = errorStack || false;
+        /** @type {import('./middleware.js').CorsOptions | null} */
+        this.corsOptions =
+            corsOptions === false
+                ? null
+                : corsOptions === true
+                  ? {}
+                  : corsOptions || {};
+        /** @type {import('./middleware.js').Middleware[]} */
+        this.middleware = [
+            ...(this.corsOptions ? [this.#adminCors(this.corsOptions)] : []),
+            ...(middleware || []),
+        ];
+        /** @type {import('http').Server | null} */
+        this.server = null;
         this.apiConteoller = apiController;
         this.hotRelaodfile = `hot-reload-${Math.random().toString(36).substring(6)}.js`;
         this.devHotReload = devHotReload || false;
+        /** @type {DevReload | null} */
+        this.devReload = null;
+        /** @type {import('./faults.js').FaultOptions | null} */
+        this.faults = faults || null;
+        this.initialFaults = this.faults;
+        this.adminController = new ApiController({
+            routes: createAdminRoutes(this),
+        });
+        /** @type {Mount[]} longest prefix first */
+        this.mounts = [];
+        /** @type {Map<string, MiniServer<any>>} */
+        this.virtualHosts = new Map();
+        Object.entries(mounts || {}).forEach(([prefix, controller]) =>
+            this.mount(prefix, controller)
+        );
+        Object.entries(virtualHosts || {}).forEach(([hostname, server]) =>
+            this.addVirtualHost(hostname, server)
+        );
+    }
+
+    /**
+     * CORS for everything but the admin API of servers that allow every
+     * origin, as the admin API changes the mocks.
+     * @param {import('./middleware.js').CorsOptions} options
+     * @returns {import('./middleware.js').Middleware}
+     */
+    #adminCors(options) {
+        const middleware = cors(options);
+        return (req, res, next) =>
+            this.#adminOrigin() === '*' && this.#isAdminUrl(req.url || '')
+                ? next()
+                : middleware(req, res, next);
+    }
+
+    /**
+     * The origins the cors option names, `*` when it allows all or is off.
+     * @returns {import('./middleware.js').CorsOptions['origin']}
+     */
+    #adminOrigin() {
+        const origin = this.corsOptions?.origin;
+        return origin === undefined ? '*' : origin;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {boolean} whether the url is in the admin API of the server
+     * or of a mount
+     */
+    #isAdminUrl(url) {
+        return (
+            url.startsWith(ADMIN_PREFIX) ||
+            !!this.#findMount(url)?.url.startsWith(ADMIN_PREFIX)
+        );
+    }
+
+    /**
+     * Refuses admin calls from web pages of other origins, unless the cors
+     * option names them, so that no page a browser opens can add stubs or
+     * read the state.
+     * @param {import('http').IncomingMessage} request
+     * @returns {void}
+     */
+    #checkAdminOrigin(request) {
+        const origin = request.headers.origin;
+        if (!origin) {
+            return;
+        }
+        let host;
+        try {
+            host = new URL(origin).host;
+        } catch {
+            host = null;
+        }
+        const allowed = this.#adminOrigin();
+        if (
+            host !== request.headers.host &&
+            (allowed === '*' || !isOriginAllowed(allowed, origin))
+        ) {
+            throw new HttpError(
+                403,
+                `The admin API does not answer ${origin}, add it to the cors origins`
+            );
+        }
+    }
+
+    /**
+     * Serves a controller under a url prefix. Its routes, journal and
+     * WebSockets see urls without the prefix, and its admin API answers
+     * under `<prefix>/__admin`. Mounted controllers that persist their state
+     * need their own `stateSaveFile`.
+     * @param {string} prefix such as `/payments`
+     * @param {ApiController<any>} controller
+     * @returns {this}
+     */
+    mount(prefix, controller) {
+        const normalized = `/${prefix.replace(/^\/+|\/+$/g, '')}`;
+        if (normalized === '/' || normalized.startsWith(ADMIN_PREFIX)) {
+            throw new Error(`Cannot mount a controller at "${prefix}"`);
+        }
+        if (this.mounts.some((mount) => mount.prefix === normalized)) {
+            throw new Error(`A controller is already mounted at ${normalized}`);
+        }
+        this.#checkStateFiles([controller], `mounted at ${normalized}`);
+        this.mounts.push({
+            prefix: normalized,
+            controller,
+            admin: new ApiController({
+                routes: createAdminRoutes(this, () => controller),
+            }),
+        });
+        this.mounts.sort((a, b) => b.prefix.length - a.prefix.length);
+        return this;
+    }
+
+    /**
+     * Answers requests whose `Host` header names the host with another
+     * server, which does not need to listen itself.
+     * @param {string} hostname without the port
+     * @param {MiniServer<any>} server
+     * @returns {this}
+     */
+    addVirtualHost(hostname, server) {
+        this.#checkStateFiles(server.controllers, `of host ${hostname}`);
+        this.virtualHosts.set(hostname.toLowerCase(), server);
+        return this;
+    }
+
+    /**
+     * The controllers this server answers with: its own, the mounted ones
+     * and those of its virtual hosts.
+     * @returns {ApiController<any>[]}
+     */
+    get controllers() {
+        return [
+            ...(this.apiConteoller ? [this.apiConteoller] : []),
+            ...this.mounts.map((mount) => mount.controller),
+            ...[...this.virtualHosts.values()].flatMap(
+                (server) => server.controllers
+            ),
+        ];
+    }
+
+    /**
+     * Throws when an added controller would save its state to the same file,
+     * or keep its snapshots in the same folder, as one this server already
+     * answers with.
+     * @param {ApiController<any>[]} added
+     * @param {string} where for the message
+     * @returns {void}
+     */
+    #checkStateFiles(added, where) {
+        const controllers = this.controllers;
+        const files = controllers
+            .filter((controller) => controller.persistState)
+            .map((controller) => controller.stateSaveFile);
+        const taken = added.find(
+            (controller) =>
+                controller.persistState &&
+                files.includes(controller.stateSaveFile)
+        );
+        if (taken) {
+            throw new Error(
+                `The controller ${where} saves its state to ${taken.stateSaveFile} like another controller; give it its own stateSaveFile`
+            );
+        }
+        const folders = controllers.map(
+            (controller) => controller.snapshotsDir
+        );
+        const shared = added.find((controller) =>
+            folders.includes(controller.snapshotsDir)
+        );
+        if (shared) {
+            throw new Error(
+                `The controller ${where} keeps its state snapshots in ${shared.snapshotsDir} like another controller; give it its own stateSaveFile or snapshotsDir`
+            );
+        }
+    }
+
+    /**
+     * @param {import('http').IncomingMessage} request
+     * @returns {MiniServer<any> | null}
+     */
+    #findVirtualHost(request) {
+        if (!this.virtualHosts.size) {
+            return null;
+        }
+        const hostname = String(request.headers.host || '')
+            .toLowerCase()
+            .replace(/:\d+$/, '');
+        const exact = this.virtualHosts.get(hostname);
+        if (exact) {
+            return exact;
+        }
+        const wildcard = [...this.virtualHosts].find(
+            ([name]) =>
+                name.startsWith('*.') && hostname.endsWith(name.slice(1))
+        );
+        return wildcard ? wildcard[1] : null;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {{ mount: Mount, url: string } | null} the url without the
+     * prefix
+     */
+    #findMount(url) {
+        for (const mount of this.mounts) {
+            if (
+                url === mount.prefix ||
+                url.startsWith(`${mount.prefix}/`) ||
+                url.startsWith(`${mount.prefix}?`)
+            ) {
+                const rest = url.substring(mount.prefix.length);
+                return { mount, url: rest.startsWith('/') ? rest : `/${rest}` };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Adds a middleware that runs for every request, after the ones added
+     * before it.
+     * @param {import('./middleware.js').Middleware} middleware
+     * @returns {this}
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Replaces the server-wide fault options, null switches them off.
+     * @param {import('./faults.js').FaultOptions | null} faults
+     * @returns {void}
+     */
+    setFaults(faults) {
+        this.faults = faults;
     }
 
     /**
      * @returns {string}
      */
     get htmlHotReloadWorker() {
-        return `onconnect = (e) => {
-    const port = e.ports[0];
-    const evtSource = new EventSource('http://localhost:35729');
-    evtSource.addEventListener('message', (e) => {
-        port.postMessage(e.data);
-    });
-    port.start();
-};
-`;
+        return reloadWorkerScript();
     }
 
     /**
      * @returns {string}
      */
     get htmlHotReloadScript() {
-        return `<script>
-        try { 
-            const myWorker = new SharedWorker("${this.hotRelaodfile}", {
-                name: 'reload-worker',
+        return reloadPageScript(`/${this.hotRelaodfile}`);
+    }
+
+    /**
+     * Starts the HTTP server once the controller has loaded its state and
+     * mocks. Resolves once it is listening, with the port that was actually
+     * bound, and rejects when listening fails.
+     * @returns {Promise<{ address: string, port: number, url: string }>}
+     */
+    async start() {
+        await Promise.all(
+            this.controllers.map((controller) => controller.ready())
+        );
+        if (this.devHotReload && !this.devReload) {
+            this.devReload = new DevReload({
+                root: this.staticRoot,
+                quiet: this.quiet,
             });
-            myWorker.port.start();
-            myWorker.port.onmessage = (e) => {
-                if (e.data === 'reload') {
-                    window.location.reload();
-                }
+            await this.devReload.watchStatic();
+        }
+        return new Promise((resolve, reject) => {
+            const server = http.createServer(this.serverMainHandler.bind(this));
+            server.on('upgrade', this.upgradeHandler.bind(this));
+            if (!server.closeAllConnections) {
+                server.on('connection', (socket) => {
+                    this.#sockets.add(socket);
+                    socket.once('close', () => this.#sockets.delete(socket));
+                });
+            }
+            /** @param {Error} err */
+            const onListenError = (err) => {
+                this.server = null;
+                reject(err);
             };
-         } catch (err) {
-            console.error('Hot reload worker failed to start:', err);
-         }
-    </script>`;
+            server.once('error', onListenError);
+            server.listen(this.port, this.host, () => {
+                server.off('error', onListenError);
+                server.on('error', (err) => console.error(err));
+                const { address, port } =
+                    /** @type {import('net').AddressInfo} */ (server.address());
+                this.port = port;
+                const hostname =
+                    !this.host || this.host === '0.0.0.0' || this.host === '::'
+                        ? 'localhost'
+                        : this.host;
+                const url = `http://${hostname}:${port}`;
+                if (!this.quiet) {
+                    console.log(
+                        '\x1b[36m Server running at ' + url + '\x1b[0m'
+                    );
+                }
+                resolve({ address, port, url });
+            });
+            this.server = server;
+        });
     }
 
     /**
-     * Starts the HTTP server.
-     * @returns {void}
+     * Stops accepting connections, lets open requests finish for up to
+     * `timeout` milliseconds and then writes any pending state.
+     * @param {{ timeout?: number }} [options]
+     * @returns {Promise<void>}
      */
-    start() {
-        const server = http.createServer(this.serverMainHandler.bind(this));
-        // @ts-ignore
-        server.listen(parseInt(this.port, 10));
-        console.log(
-            '\x1b[36m Server running at http://localhost:' +
-                this.port +
-                '\x1b[0m'
+    async stop({ timeout = 2000 } = {}) {
+        const server = this.server;
+        if (!server) {
+            return;
+        }
+        this.server = null;
+        this.devReload?.close();
+        this.devReload = null;
+        // upgraded sockets are not tracked by the http server
+        const controllers = this.controllers;
+        controllers.forEach((controller) =>
+            controller.closeWebSockets(CLOSE_CODES.goingAway)
+        );
+        const closed = new Promise((resolve, reject) =>
+            server.close((err) => (err ? reject(err) : resolve(undefined)))
+        );
+        // before Node 18.2 idle connections are only closed on the timeout
+        if (server.closeIdleConnections) {
+            server.closeIdleConnections();
+        }
+        const forceClose = setTimeout(() => {
+            if (server.closeAllConnections) {
+                server.closeAllConnections();
+            } else {
+                this.#sockets.forEach((socket) => socket.destroy());
+            }
+        }, timeout);
+        try {
+            await closed;
+        } finally {
+            clearTimeout(forceClose);
+        }
+        controllers.forEach((controller) => controller.unwatchMocks());
+        await Promise.all(
+            controllers.map((controller) => controller.flushState())
         );
     }
 
     /**
-     * Serves static files or the hot reload worker.
+     * Serves static files or the hot reload worker. Files are streamed, with
+     * caching validators, byte ranges and compression. Paths are decoded and
+     * confined to the static folder.
      * @param {import('http').IncomingMessage} request
      * @param {import('http').ServerResponse} response
-     * @returns {void}
+     * @returns {Promise<void>}
      */
-    staticFileServer(request, response) {
-        response.setHeader('Access-Control-Allow-Origin', '*');
-        response.setHeader(
-            'Access-Control-Allow-Methods',
-            'GET,POST,PUT,PATCH,DELETE,OPTIONS'
-        );
-        response.setHeader(
-            'Access-Control-Allow-Headers',
-            'Content-Type, Authorization'
-        );
+    async staticFileServer(request, response) {
         if (request.method === 'OPTIONS') {
-            response.writeHead(204);
+            response.writeHead(204, { Allow: 'GET, HEAD, OPTIONS' });
             response.end();
             return;
         }
         const url = typeof request.url === 'string' ? request.url : '';
-        const basePath = joinPath(this.root, this.staticFolder);
-        let filename = joinPath(basePath, url);
-        if (filename.includes('.well-known')) {
+        const resolved = resolveStaticPath(this.staticRoot, url);
+        if (!resolved) {
+            await this.sendNotFound(request, response);
+            return;
+        }
+        const { pathname } = resolved;
+        if (pathname.includes('.well-known')) {
             response.end();
             return;
         }
-        if (this.devHotReload && url.replace('/', '') === this.hotRelaodfile) {
+        if (this.devHotReload && pathname === `/${this.hotRelaodfile}`) {
             response.writeHead(200, { 'Content-Type': 'text/javascript' });
             response.write(this.htmlHotReloadWorker, 'binary');
             response.end();
             return;
         }
-        /** @type {Record<string, string>} */
-        const contentTypes = {
-            '.html': 'text/html',
-            '.css': 'text/css',
-            '.js': 'text/javascript',
-            '.json': 'text/json',
-            '.svg': 'image/svg+xml',
-        };
-        if (!existsSync(filename)) {
-            if (filename.includes('api')) {
-                response.writeHead(400, { 'Content-Type': 'text/plain' });
-                response.write(` call not found: ${filename}`);
-                response.end();
-                return;
+        if (this.devReload && pathname === DEV_RELOAD_PATH) {
+            this.devReload.connect(request, response);
+            return;
+        }
+        try {
+            let filename = resolved.filename;
+            let stats = await statFile(filename);
+            if (stats && stats.isDirectory()) {
+                if (!pathname.endsWith('/')) {
+                    // relative links in the folder's page need the slash
+                    const [path, ...query] = url.split('?');
+                    response.writeHead(301, {
+                        Location: [`${path}/`, ...query].join('?'),
+                    });
+                    response.end();
+                    return;
+                }
+                const index = joinPath(filename, 'index.html');
+                const indexStats = await statFile(index);
+                if (indexStats && indexStats.isFile()) {
+                    filename = index;
+                    stats = indexStats;
+                } else if (this.directoryListing) {
+                    response.writeHead(200, {
+                        'Content-Type': 'text/html; charset=utf-8',
+                    });
+                    response.end(
+                        await renderDirectoryListing(filename, pathname)
+                    );
+                    return;
+                }
             }
-            console.error(`File not found: ${filename}`);
-            if (request.headers['content-type'] === 'application/json') {
-                response.writeHead(404, { 'Content-Type': 'text/plain' });
-                response.write('Not found');
-                response.end();
-                return;
-            } else {
-                filename = joinPath(
-                    process.cwd(),
-                    `${this.staticFolder}/404.html`
-                );
+            if (!stats || !stats.isFile()) {
+                const fallback = this.isSpaRoute(request, pathname)
+                    ? await this.#findStaticPage(
+                          /** @type {string} */ (this.spaFallback)
+                      )
+                    : null;
+                if (!fallback) {
+                    await this.sendNotFound(request, response);
+                    return;
+                }
+                [filename, stats] = fallback;
             }
-        } else if (statSync(filename).isDirectory()) {
-            filename += '/index.html';
+            await this.#sendStaticFile(request, response, filename, stats);
+        } catch (err) {
+            await this.sendServerError(request, response, err);
+        }
+    }
+
+    /**
+     * The absolute path of the static folder.
+     * @returns {string}
+     */
+    get staticRoot() {
+        return resolve(this.root, this.staticFolder);
+    }
+
+    /**
+     * Tells whether a request is a browser navigation to a client side
+     * route that the SPA fallback should answer.
+     * @param {import('http').IncomingMessage} request
+     * @param {string} pathname
+     * @returns {boolean}
+     */
+    isSpaRoute(request, pathname) {
+        const lastSegment = pathname.split('/').pop() || '';
+        return (
+            !!this.spaFallback &&
+            (request.method === 'GET' || request.method === 'HEAD') &&
+            acceptsHtml(request) &&
+            !lastSegment.includes('.')
+        );
+    }
+
+    /**
+     * Answers with the 404 handler, the 404 page for browsers, or a JSON
+     * error for everything else.
+     * @param {import('http').IncomingMessage} request
+     * @param {import('http').ServerResponse} response
+     * @returns {Promise<void>}
+     */
+    async sendNotFound(request, response) {
+        if (!this.quiet) {
+            console.error(`File not found: ${request.url}`);
         }
+        if (typeof this.notFound === 'function') {
+            await this.notFound(request, response);
+            return;
+        }
+        const page = acceptsHtml(request)
+            ? await this.#findStaticPage(this.notFound)
+            : null;
+        if (page) {
+            await this.#sendStaticFile(request, response, ...page, 404);
+            return;
+        }
+        new HttpError(404, `Not found: ${request.url}`).send(response);
+    }
 
+    /**
+     * The central error handler. HttpErrors are sent as they are; other
+     * errors get the 500 handler, the 500 page for browsers, or a JSON 500
+     * with the stack trace when `errorStack` is on.
+     * @param {import('http').IncomingMessage} request
+     * @param {import('http').ServerResponse} response
+     * @param {unknown} error
+     * @returns {Promise<void>}
+     */
+    async sendServerError(request, response, error) {
+        if (error instanceof HttpError) {
+            sendError(response, error);
+            return;
+        }
+        console.error(error);
+        if (response.headersSent) {
+            response.destroy();
+            return;
+        }
         try {
-            let file = readFileSync(filename, 'binary');
-            if (filename.endsWith('.html') && this.devHotReload) {
-                file = file.replace(
-                    '</head>',
-                    `${this.htmlHotReloadScript}</head>`
-                );
+            if (typeof this.serverError === 'function') {
+                await this.serverError(request, response, error);
+                return;
             }
-
-            /** @type {import('http').OutgoingHttpHeaders} */
-            const headers = {};
-            const contentType = contentTypes[extname(filename)];
-            if (contentType) {
-                headers['Content-Type'] = contentType;
+            const page =
+                this.serverError && acceptsHtml(request)
+                    ? await this.#findStaticPage(this.serverError)
+                    : null;
+            if (page) {
+                await this.#sendStaticFile(request, response, ...page, 500);
+                return;
             }
-            response.writeHead(200, headers);
-            response.write(file, 'binary');
-            response.end();
         } catch (err) {
             console.error(err);
-            response.writeHead(500, { 'Content-Type': 'text/plain' });
-            response.write(err + '\n');
-            response.end();
+            if (response.headersSent) {
+                response.destroy();
+                return;
+            }
         }
+        sendError(response, error, { stack: this.errorStack });
+    }
+
+    /**
+     * Finds a file such as `404.html` in the static folder.
+     * @param {string} page
+     * @returns {Promise<[string, import('fs').Stats] | null>}
+     */
+    async #findStaticPage(page) {
+        const resolved = resolveStaticPath(this.staticRoot, page);
+        const stats = resolved && (await statFile(resolved.filename));
+        return resolved && stats && stats.isFile()
+            ? [resolved.filename, stats]
+            : null;
     }
 
     /**
-     * Handles API calls by delegating to the ApiController.
+     * Sends a file, injecting the hot reload script into html pages.
      * @param {import('http').IncomingMessage} request
      * @param {import('http').ServerResponse} response
-     * @returns {any}
-     */
-    apiCallsServer(request, response) {
-        // Set CORS headers
-        response.setHeader('Access-Control-Allow-Origin', '*');
-        response.setHeader(
-            'Access-Control-Allow-Methods',
-            'GET,POST,PUT,PATCH,DELETE,OPTIONS'
-        );
-        response.setHeader(
-            'Access-Control-Allow-Headers',
-            'Content-Type, Authorization'
-        );
-        if (request.method === 'OPTIONS') {
-            response.writeHead(204);
-            response.end();
+     * @param {string} filename
+     * @param {import('fs').Stats} stats
+     * @param {number} [status]
+     * @returns {Promise<void>}
+     */
+    async #sendStaticFile(request, response, filename, stats, status = 200) {
+        /** @type {Buffer | undefined} */
+        let body;
+        if (extname(filename) === '.html' && this.devHotReload) {
+            const html = await readFile(filename, 'utf8');
+            body = Buffer.from(
+                html.replace('</head>', `${this.htmlHotReloadScript}</head>`)
+            );
+        }
+        await serveFile(request, response, filename, { stats, body, status });
+    }
+
+    /**
+     * A request a controller journaled but did not handle.
+     * @typedef {{ controller: ApiController<any>, entry: import('./journal.js').JournalEntry }} PassedRequest
+     */
+
+    /**
+     * Handles API calls by delegating to the admin or the user ApiController.
+     * @param {import('http').IncomingMessage} request
+     * @param {import('http').ServerResponse} response
+     * @returns {Promise<{handled: boolean, passed?: PassedRequest[]}>} the
+     * controllers that passed an unhandled request on
+     */
+    async apiCallsServer(request, response) {
+        const url = typeof request.url === 'string' ? request.url : '';
+        if (url.startsWith(ADMIN_PREFIX)) {
+            this.#checkAdminOrigin(request);
+            const result = await this.adminController.use(request, response);
+            if (!result.handled) {
+                new HttpError(404, `Unknown admin call ${url}`).send(response);
+            }
             return { handled: true };
         }
+        /** @type {PassedRequest[]} */
+        const passed = [];
+        /** @type {Buffer | undefined} a body the mount read already */
+        let rawBody;
+        const found = this.#findMount(url);
+        if (found) {
+            const { mount } = found;
+            // mounted controllers see urls without their prefix
+            request.url = found.url;
+            try {
+                if (found.url.startsWith(ADMIN_PREFIX)) {
+                    this.#checkAdminOrigin(request);
+                    const result = await mount.admin.use(request, response);
+                    if (!result.handled) {
+                        new HttpError(404, `Unknown admin call ${url}`).send(
+                            response
+                        );
+                    }
+                    return { handled: true };
+                }
+                const result = await mount.controller.use(request, response, {
+                    faults: this.faults,
+                });
+                if (result.handled) {
+                    return result;
+                }
+                rawBody = result.rawBody;
+                if (result.entry) {
+                    passed.push({
+                        controller: mount.controller,
+                        entry: result.entry,
+                    });
+                }
+            } finally {
+                request.url = url;
+            }
+        }
         if (!this.apiConteoller) {
+            return { handled: false, passed };
+        }
+        const result = await this.apiConteoller.use(request, response, {
+            faults: this.faults,
+            rawBody,
+        });
+        if (result.handled) {
+            this.#forgetPassed(passed);
+            return result;
+        }
+        if (result.entry) {
+            passed.push({
+                controller: this.apiConteoller,
+                entry: result.entry,
+            });
+        }
+        return { handled: false, passed };
+    }
+
+    /**
+     * Takes requests that were served after all out of the journals of the
+     * controllers that passed them on, so that only requests nothing served
+     * count as unmatched.
+     * @param {PassedRequest[]} passed
+     * @returns {void}
+     */
+    #forgetPassed(passed) {
+        passed.forEach(({ controller, entry }) =>
+            controller.journal.remove(entry)
+        );
+    }
+
+    /**
+     * Hands WebSocket upgrade requests to the api controller, refusing the
+     * ones no WebSocket route matches.
+     * @param {import('http').IncomingMessage} request
+     * @param {import('stream').Duplex} socket
+     * @param {Buffer} head
+     * @returns {void}
+     */
+    upgradeHandler(request, socket, head) {
+        const virtualHost = this.#findVirtualHost(request);
+        if (virtualHost) {
+            virtualHost.upgradeHandler(request, socket, head);
             return;
         }
-        const url = typeof request.url === 'string' ? request.url : '';
-        // @ts-expect-error this is a cloned message
-        return this.apiConteoller.use({ ...request, url }, response);
+        const url = request.url || '';
+        const found = this.#findMount(url);
+        if (found) {
+            request.url = found.url;
+            const handled = found.mount.controller.handleUpgrade(
+                request,
+                socket,
+                head
+            );
+            request.url = url;
+            if (handled) {
+                return;
+            }
+        }
+        if (this.apiConteoller?.handleUpgrade(request, socket, head)) {
+            return;
+        }
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
     }
 
     /**
-     * Main server handler for all requests.
+     * Main server handler for all requests: the middleware, then the api
+     * and then the static files. Errors from any of them are answered by
+     * `sendServerError`.
      * @param {import('http').IncomingMessage} request
      * @param {import('http').ServerResponse} response
      * @returns {Promise<void>}
      */
     async serverMainHandler(request, response) {
-        const result = await this.apiCallsServer(request, response);
-        if (result && result.handled) {
+        const virtualHost = this.#findVirtualHost(request);
+        if (virtualHost) {
+            await virtualHost.serverMainHandler(request, response);
             return;
         }
-        this.staticFileServer(request, response);
+        try {
+            await runMiddleware(
+                this.middleware,
+                request,
+                response,
+                async () => {
+                    const result = await this.apiCallsServer(request, response);
+                    if (result.handled) {
+                        return;
+                    }
+                    if (!(await applyFaults(request, response, this.faults))) {
+                        return;
+                    }
+                    await this.staticFileServer(request, response);
+                    if (response.statusCode < 400) {
+                        this.#forgetPassed(result.passed || []);
+                    }
+                }
+            );
+        } catch (err) {
+            await this.sendServerError(request, response, err);
+        }
     }
 }
 
 /**
- * @typedef {'GET' | 'PSOT' | 'PUT' | 'PATCH' | 'DELETE'} RouteMethod
+ * @typedef {'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE'} RouteMethod
+ */
+
+/**
+ * The parsed request handed to every route action.
+ * @template T
+ * @typedef {Object} RouteContext
+ * @property {Record<string, string>} params
+ * @property {Record<string, string | string[]>} query
+ * @property {any} body
+ * @property {import('http').IncomingHttpHeaders} headers
+ * @property {T} state
+ * @property {import('./auth.js').AuthenticatedUser | null} [user] the caller,
+ * when auth is on and valid credentials were sent
+ */
+
+/**
+ * @template T
+ * @callback RouteAction
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {RouteContext<T>} context
+ * @returns {void | Promise<void>}
  */
 
 /**
@@ -233,29 +931,139 @@ export class MiniServer {
  * @typedef {Object} ApiControllerRoute
  * @property {string} url
  * @property {RouteMethod} [method]
- * @property {{req: import('http').IncomingMessage, res:  import('http').ServerResponse , data?: T}} routeAction
+ * @property {RouteAction<T>} routeAction
+ * @property {string} [source] file the route was loaded from
+ * @property {import('./faults.js').FaultOptions} [faults]
+ * @property {string} [scenario] name of the scenario the route takes part in
+ * @property {string} [requiredState] only match while the scenario is in it
+ * @property {string} [newState] move the scenario to it once matched
+ * @property {import('./matching.js').RouteMatch} [match] query, header and
+ * body conditions
+ * @property {number} [priority] lower numbers win, defaults to 5
+ * @property {string} [summary] shown in the route index and OpenAPI document
+ * @property {string} [description]
+ * @property {string[]} [tags] groups the route in the route index
+ * @property {import('./route-docs.js').RouteExamples} [examples]
+ * @property {boolean | import('./auth.js').RouteAuth} [auth] credentials the
+ * caller must send, needs the controller's `auth` option
+ * @property {import('./middleware.js').Middleware[]} [middleware] runs
+ * before the route action, once the body is read
+ * @property {import('./rate-limit.js').RateLimitOptions | false} [rateLimit]
+ * limits callers of this route, false leaves it out of the controller's limit
+ */
+
+/** The state every scenario starts in. */
+export const SCENARIO_STARTED = 'Started';
+
+/**
+ * A route added at runtime. Stubs are checked before the built-in routes and
+ * may expire after a time or a number of calls.
+ * @typedef {ApiControllerRoute<any> & { id: string, expiresAt: number | null, remaining: number | null }} Stub
+ */
+
+/**
+ * @typedef {import('./mock-files.js').MockDefinition & { ttl?: number, times?: number }} StubDefinition
  */
 
 /**
  * @template T
-*/
+ */
 export class ApiController {
     #stateSaveFileName = './server.state.temp';
+    /** @type {StateStore} */
+    #store;
+    /** @type {Promise<void>} */
+    #ready;
+    /** @type {import('fs').FSWatcher[]} */
+    #mocksWatchers = [];
+    /** @type {Map<string, NodeJS.Timeout>} */
+    #mockReloadTimers = new Map();
+    /** @type {Map<ApiControllerRoute<any>, import('./faults.js').FaultOptions | undefined>} */
+    #initialRouteFaults = new Map();
+    /** @type {Set<(state: any) => void>} */
+    #stateListeners = new Set();
+    /** @type {Map<ApiControllerRoute<any>, RateLimiter>} */
+    #routeLimiters = new Map();
 
     /**
 
-     * @param {{routes? :ApiControllerRoute<T>[]  , initialState?: T, persistState?: boolean,stateSaveFile? : string  }} args
+     * @param {{routes? :ApiControllerRoute<T>[]  , initialState?: T, persistState?: boolean,stateSaveFile? : string, bodyLimit?: number, mocksDir?: string, proxy?: import('./proxy.js').ProxyOptions, journalLimit?: number, openApi?: string | (import('./openapi.js').OpenApiOptions & { file: string }), saveDelay?: number, snapshotsDir?: string, stateProfile?: string, auth?: boolean | import('./auth.js').AuthOptions, rateLimit?: import('./rate-limit.js').RateLimitOptions  }} args
      */
-    constructor({ routes, initialState, persistState, stateSaveFile } = {}) {
+    constructor({
+        routes,
+        initialState,
+        persistState,
+        stateSaveFile,
+        bodyLimit,
+        mocksDir,
+        proxy,
+        journalLimit,
+        openApi,
+        saveDelay,
+        snapshotsDir,
+        stateProfile,
+        auth,
+        rateLimit,
+    } = {}) {
         this.persistState = persistState || false;
+        /** @type {number | undefined} */
+        this.bodyLimit = bodyLimit;
         this.#stateSaveFileName = stateSaveFile || this.#stateSaveFileName;
+        this.#store = new StateStore({
+            file: this.#stateSaveFileName,
+            // controllers with their own save file get their own snapshots
+            snapshotsDir:
+                snapshotsDir ||
+                (stateSaveFile && snapshotsDirFor(stateSaveFile)),
+            saveDelay,
+        });
+        /** @type {string | null} snapshot the state starts from and resets to */
+        this.stateProfile = stateProfile || null;
+        /** @type {any} */
+        this.profileState = null;
         /** @type {ApiControllerRoute<T>[]} */
-        this.routes = routes || [];
+        this.routes = [...(routes || [])];
 
         /** @type { any} */
         this.state = initialState || {};
-        if (this.persistState) {
-            this.tryToLoadState().then();
+        /** @type {any} */
+        this.initialState = structuredClone(this.state);
+        /** @type {Stub[]} */
+        this.stubs = [];
+        /** @type {Map<string, string>} */
+        this.scenarios = new Map();
+        /** @type {import('./websocket.js').WebSocketRoute<T>[]} */
+        this.webSocketRoutes = [];
+        /** @type {Set<import('./websocket.js').WebSocketConnection>} */
+        this.webSockets = new Set();
+        /** @type {string | undefined} */
+        this.mocksDir = mocksDir && resolve(mocksDir);
+        this.#ready = Promise.all([
+            this.stateProfile
+                ? this.setStateProfile(this.stateProfile).catch((err) =>
+                      console.error('state profile not loaded', err)
+                  )
+                : this.persistState && this.tryToLoadState(),
+            this.mocksDir && this.loadMocks(),
+        ]).then(() => undefined);
+        /** @type {ApiProxy | null} */
+        this.proxy = proxy ? new ApiProxy({ bodyLimit, ...proxy }) : null;
+        this.journal = new RequestJournal({
+            limit: journalLimit,
+            matchUrl: (pattern, url) =>
+                ApiController.isRouteMatch({ url: pattern }, { url }),
+        });
+        if (openApi) {
+            const { file, ...openApiOptions } =
+                typeof openApi === 'string' ? { file: openApi } : openApi;
+            this.addOpenApi(file, openApiOptions);
+        }
+        /** @type {MockAuth | null} */
+        this.auth = auth ? new MockAuth(auth === true ? {} : auth) : null;
+        /** @type {RateLimiter | null} applies to every route */
+        this.rateLimiter = rateLimit ? new RateLimiter(rateLimit) : null;
+        if (this.auth) {
+            this.routes.push(...this.auth.createRoutes());
         }
     }
 
@@ -264,17 +1072,6 @@ export class ApiController {
      * @param {{ url: string; method?: string; }} request
      */
     static isRouteMatch(route, request) {
-        const pathParts = route.url
-            .split('/')
-            .filter((p /** @type string */) => p);
-        const requestParts = request.url
-            .split('/')
-            .filter((p /** @type string */) => p);
-
-        if (pathParts.length !== requestParts.length) {
-            return false;
-        }
-
         if (
             route.method &&
             request.method &&
@@ -282,12 +1079,7 @@ export class ApiController {
         ) {
             return false;
         }
-        return pathParts.every((part, i) => {
-            if (part.startsWith(':')) {
-                return true;
-            }
-            return part === requestParts[i];
-        });
+        return matchPath(route.url, request.url) !== null;
     }
 
     /**
@@ -296,81 +1088,760 @@ export class ApiController {
      * @returns {Record<string, string>}
      */
     static getVariablesFromPath(path, request) {
-        const requestWithoutQuery = request.url.split('?')[0];
-        const pathParts = path.split('/');
-        const requestParts = requestWithoutQuery.split('/');
-        /** @type {Record<string, string>} */
-        const variables = {};
-        pathParts.forEach((part, i) => {
-            if (part.startsWith(':')) {
-                variables[part.substring(1)] = requestParts[i] || '';
-            }
-        });
-        return variables;
+        return matchPath(path, request.url) || {};
     }
 
     /**
      *
-     * @param {{url : string, method? : RouteMethod, data : any, status? : number}} args
+     * @param {{url : string, method? : RouteMethod, data : any, status? : number, faults? : import('./faults.js').FaultOptions, scenario? : string, requiredState? : string, newState? : string, match? : import('./matching.js').RouteMatch, priority? : number, headers? : Record<string, string>, template? : boolean, seed? : number, summary? : string, description? : string, tags? : string[], examples? : import('./route-docs.js').RouteExamples, auth? : boolean | import('./auth.js').RouteAuth, middleware? : import('./middleware.js').Middleware[], rateLimit? : import('./rate-limit.js').RateLimitOptions | false}} args
      * @param method
      * @param data
      * @param status
      * @return {ApiControllerRoute<any>}
      */
-    static createRoute({ url, method, data, status }) {
+    static createRoute({
+        url,
+        method,
+        data,
+        status,
+        faults,
+        scenario,
+        requiredState,
+        newState,
+        match,
+        priority,
+        headers,
+        template,
+        seed,
+        summary,
+        description,
+        tags,
+        examples,
+        auth,
+        middleware,
+        rateLimit,
+    }) {
         return {
             url,
             method: method || 'GET',
-            //@ts-expect-error this is a cloned message
-             routeAction: async (req, res, data) => {
+            faults,
+            scenario,
+            requiredState,
+            newState,
+            match,
+            priority,
+            summary,
+            description,
+            tags,
+            auth,
+            middleware,
+            rateLimit,
+            examples: examples || {
+                status: status || 200,
+                ...(template ? {} : { response: data || {} }),
+            },
+            routeAction: (req, res, context) => {
+                const fake = new FakeData(seed);
+                /** @param {any} value */
+                const render = (value) =>
+                    template ? renderTemplate(value, context, fake) : value;
                 res.writeHead(status || 200, {
                     'Content-Type': 'application/json',
+                    ...render(headers),
                 });
-                res.write(JSON.stringify(data || {}));
+                res.write(JSON.stringify(render(data || {})));
                 res.end();
             },
         };
     }
 
+    /**
+     * Creates GET list, GET by id, POST, PUT, PATCH and DELETE routes
+     * over the `state[name]` collection.
+     * @param {string} name
+     * @param {import('./resource.js').ResourceOptions} [options]
+     * @return {ApiControllerRoute<any>[]}
+     */
+    static createResource(name, options) {
+        return createResourceRoutes(name, options);
+    }
+
+    /**
+     * Creates a route that streams chunked text or NDJSON.
+     * @param {import('./streaming.js').StreamRouteOptions<any>} options
+     * @return {ApiControllerRoute<any>}
+     */
+    static createStreamRoute(options) {
+        return createStreamRoute(options);
+    }
+
+    /**
+     * Loads the state from the save file, if there is one.
+     * @returns {Promise<void>}
+     */
     async tryToLoadState() {
         try {
-            const state = await readFile(this.#stateSaveFileName, 'utf8');
-            this.state = JSON.parse(state);
+            const state = await this.#store.load();
+            // persistence may have been switched off while reading
+            if (this.persistState && state !== undefined) {
+                this.state = state;
+            }
         } catch (err) {
             console.error('state not loaded', err);
         }
     }
 
+    /**
+     * The absolute path of the file the state is saved to.
+     * @returns {string}
+     */
+    get stateSaveFile() {
+        return resolve(this.#stateSaveFileName);
+    }
+
+    /**
+     * The absolute path of the folder the named snapshots are kept in.
+     * @returns {string}
+     */
+    get snapshotsDir() {
+        return this.#store.snapshotsDir;
+    }
+
+    /**
+     * Resolves once the saved state or profile and the mock files are
+     * loaded. The server waits for it before accepting connections.
+     * @returns {Promise<void>}
+     */
+    ready() {
+        return this.#ready;
+    }
+
+    /**
+     * Loads every definition file in the mocks directory and starts
+     * watching it for changes.
+     * @returns {Promise<void>}
+     */
+    async loadMocks() {
+        if (!this.mocksDir) {
+            return;
+        }
+        try {
+            const files = await listMockFiles(this.mocksDir);
+            for (const file of files) {
+                await this.reloadMockFile(file);
+            }
+        } catch (err) {
+            console.error('mocks not loaded', err);
+            return;
+        }
+        await this.watchMocks().catch((err) =>
+            console.error(`not watching ${this.mocksDir} for changes`, err)
+        );
+    }
+
+    /**
+     * Replaces the routes that came from a definition file with its current
+     * content, keeping their place in the route table. A deleted file removes
+     * its routes, a file that fails to parse keeps the previous ones.
+     * @param {string} file absolute path
+     * @returns {Promise<void>}
+     */
+    async reloadMockFile(file) {
+        /** @type {ApiControllerRoute<any>[]} */
+        let routes = [];
+        if (existsSync(file)) {
+            try {
+                routes = await readMockFile(file, this.mocksDir);
+            } catch (err) {
+                console.error(`mock file ${file} not loaded`, err);
+                return;
+            }
+        }
+        const index = this.routes.findIndex((r) => r.source === file);
+        for (let i = this.routes.length - 1; i >= 0; i--) {
+            if (this.routes[i].source === file) {
+                this.routes.splice(i, 1);
+            }
+        }
+        this.routes.splice(
+            index === -1 ? this.routes.length : index,
+            0,
+            ...routes
+        );
+    }
+
+    /**
+     * Watches the mocks directory and reloads changed definition files.
+     * Where recursive watching is not supported, as on Linux before Node 20,
+     * each folder that exists now is watched on its own.
+     * @returns {Promise<void>}
+     */
+    async watchMocks() {
+        const mocksDir = this.mocksDir;
+        if (!mocksDir || this.#mocksWatchers.length) {
+            return;
+        }
+        /**
+         * @param {string} folder relative to the mocks directory
+         * @returns {(eventType: string, filename: string | null) => void}
+         */
+        const onChange = (folder) => (eventType, filename) => {
+            const path = filename && joinPath(folder, String(filename));
+            if (!path || !isMockDefinitionFile(path)) {
+                return;
+            }
+            const file = resolve(mocksDir, path);
+            clearTimeout(this.#mockReloadTimers.get(file));
+            this.#mockReloadTimers.set(
+                file,
+                setTimeout(() => {
+                    this.#mockReloadTimers.delete(file);
+                    console.log(
+                        `\x1b[33m mock file ${relative(mocksDir, file)} changed, reloading routes \x1b[0m`
+                    );
+                    this.reloadMockFile(file).then();
+                }, 50)
+            );
+        };
+        /** @type {import('fs').FSWatcher[]} */
+        let watchers;
+        try {
+            watchers = [watch(mocksDir, { recursive: true }, onChange(''))];
+        } catch {
+            const folders = await listFolders(mocksDir);
+            watchers = folders.map((folder) =>
+                watch(resolve(mocksDir, folder), onChange(folder))
+            );
+        }
+        watchers.forEach((watcher) => {
+            watcher.on('error', (err) => console.error(err));
+            watcher.unref();
+        });
+        this.#mocksWatchers = watchers;
+    }
+
+    /**
+     * Takes over the routes of another controller, such as a freshly
+     * imported version of the same module. The state, stubs, scenarios and
+     * open WebSockets stay as they are. Route actions that read
+     * `controller.state` of the other controller get this one's state from
+     * then on.
+     * @param {ApiController<any>} controller
+     * @returns {void}
+     */
+    replaceRoutes(controller) {
+        this.routes = controller.routes;
+        this.webSocketRoutes = controller.webSocketRoutes;
+        Object.defineProperty(controller, 'state', {
+            configurable: true,
+            get: () => this.state,
+            set: (state) => {
+                this.state = state;
+            },
+        });
+    }
+
+    /**
+     * Stops watching the mocks directory.
+     * @returns {void}
+     */
+    unwatchMocks() {
+        this.#mockReloadTimers.forEach((timer) => clearTimeout(timer));
+        this.#mockReloadTimers.clear();
+        this.#mocksWatchers.forEach((watcher) => watcher.close());
+        this.#mocksWatchers = [];
+    }
+
     /**
      * Handles a request and delegates to the correct route.
      * @param {import('http').IncomingMessage} request
      * @param {import('http').ServerResponse} response
-     * @returns Promise {{handled: boolean}}
+     * @param {{ faults?: import('./faults.js').FaultOptions | null, rawBody?: Buffer }} [defaults]
+     * server-wide options a route may override, and the body when a
+     * controller before this one read it
+     * @returns {Promise<{handled: boolean, entry?: import('./journal.js').JournalEntry, rawBody?: Buffer}>}
+     * the journal entry of a request that was not handled, and its body
+     * when it was read to match routes
      */
-    async use(request, response) {
+    async use(request, response, defaults = {}) {
+        await this.#ready;
         const url = typeof request.url === 'string' ? request.url : '';
-        const route = this.routes.find((r) =>
+        const entry = this.journal.record(request, response);
+        const query = parseQuery(url);
+        try {
+            const found = await this.#findRoute(
+                request,
+                url,
+                query,
+                defaults.rawBody
+            );
+            const route = found.route;
+            if (!route) {
+                if (this.proxy && this.proxy.matches(url)) {
+                    await this.proxy.handle(request, response, found.rawBody);
+                    return { handled: true };
+                }
+                // the stream is used up, whoever answers next needs the body
+                return { handled: false, entry, rawBody: found.rawBody };
+            }
+            entry.route = `${route.method || 'ANY'} ${route.url}`;
+            // refused credentials count too, so guessing them is limited
+            if (!this.#checkRateLimits(route, request, response)) {
+                return { handled: true };
+            }
+            const user = this.authenticate(request, query, route);
+            this.#countStubCall(route);
+            const faults = route.faults
+                ? { ...defaults.faults, ...route.faults }
+                : defaults.faults;
+            if (!(await applyFaults(request, response, faults))) {
+                return { handled: true };
+            }
+            const body = found.rawBody
+                ? found.body
+                : await readRequestBody(request, { limit: this.bodyLimit });
+            entry.body = body;
+            /** @type {RouteContext<any>} */
+            const context = {
+                params: ApiController.getVariablesFromPath(route.url, { url }),
+                query,
+                body,
+                headers: request.headers,
+                state: this.state,
+                user,
+            };
+            await runMiddleware(
+                route.middleware || [],
+                request,
+                response,
+                () => route.routeAction(request, response, context),
+                context
+            );
+            // a call that was refused, faulted or failed leaves it as it was
+            if (route.scenario && route.newState) {
+                this.setScenarioState(route.scenario, route.newState);
+            }
+        } catch (err) {
+            if (err instanceof HttpError && !response.headersSent) {
+                err.send(response);
+                return { handled: true };
+            }
+            throw err;
+        }
+        this.saveState();
+        this.#notifyStateChange();
+        return { handled: true };
+    }
+
+    /**
+     * Counts a call against the controller's limit and the route's own.
+     * @param {ApiControllerRoute<any>} route
+     * @param {import('http').IncomingMessage} request
+     * @param {import('http').ServerResponse} response
+     * @returns {boolean} whether the call may go on, a 429 was sent if not
+     */
+    #checkRateLimits(route, request, response) {
+        if (
+            this.rateLimiter &&
+            route.rateLimit !== false &&
+            !this.rateLimiter.consume(request, response)
+        ) {
+            return false;
+        }
+        if (!route.rateLimit) {
+            return true;
+        }
+        let limiter = this.#routeLimiters.get(route);
+        if (!limiter) {
+            limiter = new RateLimiter(route.rateLimit);
+            this.#routeLimiters.set(route, limiter);
+        }
+        return limiter.consume(request, response);
+    }
+
+    /**
+     * The rate limiters that counted calls, the controller's first.
+     * @returns {{ name: string, limiter: RateLimiter }[]}
+     */
+    get rateLimiters() {
+        const routes = [...this.stubs, ...this.routes];
+        return [
+            ...(this.rateLimiter
+                ? [{ name: 'all routes', limiter: this.rateLimiter }]
+                : []),
+            ...[...this.#routeLimiters]
+                // routes that were removed or reloaded
+                .filter(([route]) => routes.includes(route))
+                .map(([route, limiter]) => ({
+                    name: `${route.method || 'ANY'} ${route.url}`,
+                    limiter,
+                })),
+        ];
+    }
+
+    /**
+     * Gives callers their full rate limits back.
+     * @param {string} [key] one caller, all by default
+     * @returns {void}
+     */
+    resetRateLimits(key) {
+        this.rateLimiter?.reset(key);
+        this.#routeLimiters.forEach((limiter) => limiter.reset(key));
+    }
+
+    /**
+     * Finds the caller of a request. A route with `auth` answers a 401 or
+     * 403 when the credentials fall short; other routes get the user only
+     * when valid credentials happen to be sent.
+     * @param {import('http').IncomingMessage} request
+     * @param {Record<string, string | string[]>} query
+     * @param {ApiControllerRoute<any>} route
+     * @returns {import('./auth.js').AuthenticatedUser | null}
+     */
+    authenticate(request, query, route) {
+        if (!this.auth) {
+            if (route.auth) {
+                throw new HttpError(
+                    500,
+                    `${route.method || 'ANY'} ${route.url} needs the "auth" option of the controller`
+                );
+            }
+            return null;
+        }
+        return this.auth.authenticate(request, query, route.auth, this.state);
+    }
+
+    /**
+     * Schedules a write of the state to the save file when persistence is
+     * on. Saves are debounced, skipped when nothing changed and atomic.
+     * @returns {void}
+     */
+    saveState() {
+        if (!this.persistState) {
+            return;
+        }
+        this.#store.schedule(() => this.state);
+    }
+
+    /**
+     * Writes a scheduled save now and resolves once every write is done.
+     * @returns {Promise<void>}
+     */
+    flushState() {
+        return this.#store.flush();
+    }
+
+    /**
+     * Replaces the whole state.
+     * @param {any} state
+     * @returns {void}
+     */
+    replaceState(state) {
+        this.state = state;
+        this.saveState();
+        this.#notifyStateChange();
+    }
+
+    /**
+     * Calls the listener after every handled request or message that may
+     * have changed the state, and whenever it is replaced.
+     * @param {(state: T) => void} listener
+     * @returns {() => void} removes the listener
+     */
+    onStateChange(listener) {
+        this.#stateListeners.add(listener);
+        return () => this.#stateListeners.delete(listener);
+    }
+
+    /**
+     * @returns {void}
+     */
+    #notifyStateChange() {
+        this.#stateListeners.forEach((listener) => {
+            try {
+                listener(this.state);
+            } catch (err) {
+                console.error('state listener failed', err);
+            }
+        });
+    }
+
+    /**
+     * Puts the state back to a copy of the state profile, or of
+     * `initialState` when no profile is chosen.
+     * @returns {void}
+     */
+    resetState() {
+        this.replaceState(
+            structuredClone(this.profileState ?? this.initialState)
+        );
+    }
+
+    /**
+     * Lists the named state snapshots.
+     * @returns {Promise<import('./state-store.js').SnapshotInfo[]>}
+     */
+    listSnapshots() {
+        return this.#store.listSnapshots();
+    }
+
+    /**
+     * Saves the current state under a name, replacing an older snapshot.
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    saveSnapshot(name) {
+        return this.#store.saveSnapshot(name, this.state);
+    }
+
+    /**
+     * Replaces the state with a named snapshot.
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async restoreSnapshot(name) {
+        this.replaceState(await this.#store.readSnapshot(name));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    deleteSnapshot(name) {
+        return this.#store.deleteSnapshot(name);
+    }
+
+    /**
+     * Makes a snapshot the state to start from and reset to, and switches
+     * to it. Null goes back to `initialState`.
+     * @param {string | null} name
+     * @returns {Promise<void>}
+     */
+    async setStateProfile(name) {
+        this.profileState = name ? await this.#store.readSnapshot(name) : null;
+        this.stateProfile = name;
+        this.resetState();
+    }
+
+    /**
+     * Adds a route at runtime that takes priority over the built-in ones.
+     * @param {StubDefinition} definition
+     * @returns {Stub}
+     */
+    addStub({ ttl, times, ...definition }) {
+        /** @type {Stub} */
+        const stub = {
+            ...createMockRoute(definition),
+            id: randomUUID(),
+            expiresAt: ttl ? Date.now() + ttl : null,
+            remaining: times ?? null,
+        };
+        // the newest stub wins over older ones for the same url
+        this.stubs.unshift(stub);
+        return stub;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} whether a stub was removed
+     */
+    removeStub(id) {
+        const count = this.stubs.length;
+        this.stubs = this.stubs.filter((stub) => stub.id !== id);
+        return this.stubs.length !== count;
+    }
+
+    /**
+     * Picks the route for a request. Stubs come before the built-in routes,
+     * and within each the lowest priority number, then the most specific
+     * route wins. The body is only read here when a candidate matches on it.
+     * @param {import('http').IncomingMessage} request
+     * @param {string} url
+     * @param {Record<string, string | string[]>} query
+     * @param {Buffer} [readBody] the body, when it was read already
+     * @returns {Promise<{ route?: ApiControllerRoute<any>, rawBody?: Buffer, body?: any }>}
+     */
+    async #findRoute(request, url, query, readBody) {
+        const now = Date.now();
+        this.stubs = this.stubs.filter(
+            (stub) => stub.expiresAt === null || stub.expiresAt > now
+        );
+        /** @param {ApiControllerRoute<any>[]} routes */
+        const candidates = (routes) =>
+            routes.filter((route) => this.#matches(route, url, request, query));
+        const stubs = /** @type {Stub[]} */ (candidates(this.stubs));
+        const routes = candidates(this.routes);
+        /** @type {Buffer | undefined} */
+        let rawBody = readBody;
+        if (
+            !rawBody &&
+            [...stubs, ...routes].some((route) => route.match?.body)
+        ) {
+            rawBody = await readRawBody(request, this.bodyLimit);
+        }
+        /** @type {any} */
+        const body = rawBody && parseBody(rawBody, request);
+        /**
+         * @template {ApiControllerRoute<any>} R
+         * @param {R[]} list
+         * @returns {R | undefined}
+         */
+        const best = (list) =>
+            list
+                .filter((route) => matchRequestBody(route.match, body))
+                .reduce(
+                    (/** @type {R | undefined} */ winner, route) =>
+                        !winner || ApiController.#outranks(route, winner)
+                            ? route
+                            : winner,
+                    undefined
+                );
+        return { route: best(stubs) || best(routes), rawBody, body };
+    }
+
+    /**
+     * Counts a call against the `times` of a stub, once the call passed auth
+     * and rate limits, and removes the stub when it is used up.
+     * @param {ApiControllerRoute<any>} route
+     * @returns {void}
+     */
+    #countStubCall(route) {
+        const stub = this.stubs.find((stub) => stub === route);
+        if (stub && stub.remaining !== null) {
+            stub.remaining -= 1;
+            if (stub.remaining <= 0) {
+                this.removeStub(stub.id);
+            }
+        }
+    }
+
+    /**
+     * @param {ApiControllerRoute<any>} route
+     * @param {ApiControllerRoute<any>} other
+     * @returns {boolean} whether `route` should be picked over `other`
+     */
+    static #outranks(route, other) {
+        const priority = route.priority ?? DEFAULT_PRIORITY;
+        const otherPriority = other.priority ?? DEFAULT_PRIORITY;
+        if (priority !== otherPriority) {
+            return priority < otherPriority;
+        }
+        return specificity(route) > specificity(other);
+    }
+
+    /**
+     * Matches a route against everything but the body: url, method, query,
+     * headers and the current state of the route's scenario.
+     * @param {ApiControllerRoute<any>} route
+     * @param {string} url
+     * @param {import('http').IncomingMessage} request
+     * @param {Record<string, string | string[]>} query
+     * @returns {boolean}
+     */
+    #matches(route, url, request, query) {
+        if (
+            route.scenario &&
+            route.requiredState &&
+            this.getScenarioState(route.scenario) !== route.requiredState
+        ) {
+            return false;
+        }
+        return (
             ApiController.isRouteMatch(
-                {
-                    url: r.url,
-                    method: r.method,
-                },
+                { url: route.url, method: route.method },
                 { url, method: request.method }
-            )
+            ) &&
+            matchRequestMeta(route.match, { query, headers: request.headers })
         );
-        if (!route) {
-            return { handled: false };
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string}
+     */
+    getScenarioState(name) {
+        return this.scenarios.get(name) || SCENARIO_STARTED;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} state
+     * @returns {void}
+     */
+    setScenarioState(name, state) {
+        this.scenarios.set(name, state);
+    }
+
+    /**
+     * Puts one scenario, or all of them, back to the started state.
+     * @param {string} [name]
+     * @returns {void}
+     */
+    resetScenarios(name) {
+        if (name) {
+            this.scenarios.delete(name);
+        } else {
+            this.scenarios.clear();
+        }
+    }
+
+    /**
+     * Lists the scenarios known from the routes and stubs together with
+     * their current and possible states.
+     * @returns {{ name: string, state: string, possibleStates: string[] }[]}
+     */
+    listScenarios() {
+        /** @type {Map<string, Set<string>>} */
+        const known = new Map();
+        [...this.stubs, ...this.routes].forEach((route) => {
+            if (!route.scenario) {
+                return;
+            }
+            const states =
+                known.get(route.scenario) || new Set([SCENARIO_STARTED]);
+            [route.requiredState, route.newState].forEach(
+                (state) => state && states.add(state)
+            );
+            known.set(route.scenario, states);
+        });
+        this.scenarios.forEach((state, name) => {
+            known.set(name, (known.get(name) || new Set()).add(state));
+        });
+        return [...known].map(([name, states]) => ({
+            name,
+            state: this.getScenarioState(name),
+            possibleStates: [...states],
+        }));
+    }
+
+    /**
+     * Changes the faults of a route, remembering the original ones for
+     * `resetRoutes`.
+     * @param {ApiControllerRoute<any>} route
+     * @param {import('./faults.js').FaultOptions | null} faults
+     * @returns {void}
+     */
+    setRouteFaults(route, faults) {
+        if (!this.#initialRouteFaults.has(route)) {
+            this.#initialRouteFaults.set(route, route.faults);
         }
-        // @ts-expect-error this is a cloned message
-        route.routeAction(request, response, this.state);
-        if (this.persistState) {
-            writeFile(
-                this.#stateSaveFileName,
-                JSON.stringify(this.state, null, 2),
-                'utf8'
-            ).then();
+        if (faults) {
+            route.faults = faults;
+        } else {
+            delete route.faults;
         }
-        return { handled: true };
+    }
+
+    /**
+     * Removes all stubs and restores the faults of the built-in routes.
+     * @returns {void}
+     */
+    resetRoutes() {
+        this.stubs = [];
+        this.#initialRouteFaults.forEach((faults, route) => {
+            route.faults = faults;
+        });
+        this.#initialRouteFaults.clear();
     }
 
     /**\
@@ -382,4 +1853,176 @@ export class ApiController {
         this.routes.push(route);
         return this;
     }
+
+    /**
+     * Checks the journal for calls matching the criteria.
+     * @param {import('./journal.js').VerifyCriteria} criteria
+     * @return {import('./journal.js').VerifyResult}
+     */
+    verify(criteria) {
+        return this.journal.verify(criteria);
+    }
+
+    /**
+     * Finds a registered route by its exact url pattern and method.
+     * @param {string} url
+     * @param {string} [method] defaults to GET
+     * @return {ApiControllerRoute<any> | undefined}
+     */
+    findRouteByUrl(url, method) {
+        const wanted = (method || 'GET').toUpperCase();
+        return this.routes.find(
+            (route) => route.url === url && (route.method || 'GET') === wanted
+        );
+    }
+
+    /**
+     * Registers the REST routes of a state collection.
+     * @param {string} name
+     * @param {import('./resource.js').ResourceOptions} [options]
+     * @return {ApiController<T>}
+     */
+    addResource(name, options) {
+        ApiController.createResource(name, options).forEach((route) =>
+            this.addRoute(route)
+        );
+        return this;
+    }
+
+    /**
+     * Registers a route for each operation of an OpenAPI 3 JSON or YAML
+     * file. Hand-written routes for the same url take precedence.
+     * @param {string} file
+     * @param {import('./openapi.js').OpenApiOptions} [options]
+     * @return {ApiController<T>}
+     */
+    addOpenApi(file, options) {
+        const source = resolve(file);
+        createOpenApiRoutes(loadOpenApiDocument(source), {
+            ...options,
+            source,
+        }).forEach((route) => this.addRoute(route));
+        return this;
+    }
+
+    /**
+     * Registers a route that streams Server-Sent Events from a timeline, a
+     * generator or changes of the state.
+     * @param {import('./streaming.js').SseRouteOptions<T>} options
+     * @return {ApiController<T>}
+     */
+    addSseRoute(options) {
+        return this.addRoute(
+            createSseRoute(options, (listener) => this.onStateChange(listener))
+        );
+    }
+
+    /**
+     * Registers a route that streams chunked text or NDJSON.
+     * @param {import('./streaming.js').StreamRouteOptions<T>} options
+     * @return {ApiController<T>}
+     */
+    addStreamRoute(options) {
+        return this.addRoute(createStreamRoute(options));
+    }
+
+    /**
+     * Registers a WebSocket route, served on the same port as the HTTP
+     * routes.
+     * @param {import('./websocket.js').WebSocketRoute<T>} route
+     * @return {ApiController<T>}
+     */
+    addWebSocketRoute(route) {
+        this.webSocketRoutes.push(route);
+        return this;
+    }
+
+    /**
+     * Accepts an upgrade request when a WebSocket route matches its url.
+     * @param {import('http').IncomingMessage} request
+     * @param {import('stream').Duplex} socket
+     * @param {Buffer} head
+     * @returns {boolean} false when no route matches
+     */
+    handleUpgrade(request, socket, head) {
+        const url = typeof request.url === 'string' ? request.url : '';
+        const route = this.webSocketRoutes.find(
+            (candidate) => matchPath(candidate.url, url) !== null
+        );
+        if (!route) {
+            return false;
+        }
+        const ws = acceptWebSocket(request, socket, head, route);
+        if (!ws) {
+            return true;
+        }
+        const controller = this;
+        /** @type {import('./websocket.js').WebSocketContext<T>} */
+        const context = {
+            params: ApiController.getVariablesFromPath(route.url, { url }),
+            query: parseQuery(url),
+            headers: request.headers,
+            get state() {
+                return controller.state;
+            },
+        };
+        /**
+         * Runs a handler, closing the connection when it fails.
+         * @param {() => void | Promise<void>} handler
+         * @returns {Promise<void>}
+         */
+        const run = async (handler) => {
+            try {
+                await handler();
+                this.saveState();
+                this.#notifyStateChange();
+            } catch (err) {
+                console.error(`WebSocket route ${route.url} failed`, err);
+                ws.close(CLOSE_CODES.internalError, 'Internal error');
+            }
+        };
+        this.webSockets.add(ws);
+        ws.on('message', (message) =>
+            run(() => route.onMessage?.(ws, message, context))
+        );
+        ws.on('close', (code, reason) => {
+            this.webSockets.delete(ws);
+            run(() => route.onClose?.(ws, code, reason, context));
+        });
+        run(async () => {
+            await route.onConnect?.(ws, context);
+            if (route.script) {
+                await ws.play(route.script);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Sends a message to every open WebSocket, or only to the ones whose
+     * url matches a route pattern.
+     * @param {any} message
+     * @param {{ url?: string }} [options]
+     * @returns {number} the number of clients it was sent to
+     */
+    broadcast(message, { url } = {}) {
+        let sent = 0;
+        this.webSockets.forEach((ws) => {
+            if (!url || matchPath(url, ws.url) !== null) {
+                ws.send(message);
+                sent++;
+            }
+        });
+        return sent;
+    }
+
+    /**
+     * Closes every open WebSocket.
+     * @param {number} [code]
+     * @param {string} [reason]
+     * @returns {void}
+     */
+    closeWebSockets(code, reason) {
+        this.webSockets.forEach((ws) => ws.close(code, reason));
+    }
 }
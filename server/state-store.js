@@ -0,0 +1,233 @@
+//@ts-check
+import {
+    mkdir,
+    readdir,
+    readFile,
+    rename,
+    rm,
+    stat,
+    writeFile,
+} from 'node:fs/promises';
+import { basename, dirname, extname, join as joinPath, resolve } from 'path';
+import { HttpError } from './http-error.js';
+
+/** Folder that holds named state snapshots unless another one is given. */
+export const DEFAULT_SNAPSHOTS_DIR = 'state-snapshots';
+
+/**
+ * The snapshots folder that belongs to a save file, next to it:
+ * `mocks/auth.json` keeps its snapshots in `mocks/auth-snapshots`.
+ * @param {string} file
+ * @returns {string}
+ */
+export const snapshotsDirFor = (file) =>
+    joinPath(dirname(file), `${basename(file, extname(file))}-snapshots`);
+
+/** How long saves are held back to batch bursts of changes, in ms. */
+export const DEFAULT_SAVE_DELAY = 100;
+
+/**
+ * @typedef {Object} SnapshotInfo
+ * @property {string} name
+ * @property {string} savedAt
+ * @property {number} size in bytes
+ */
+
+/**
+ * Writes a file by renaming a finished temporary file over it, so readers
+ * never see half of it.
+ * @param {string} file
+ * @param {string} content
+ * @returns {Promise<void>}
+ */
+const writeAtomic = async (file, content) => {
+    const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await mkdir(dirname(file), { recursive: true });
+    try {
+        await writeFile(temporary, content, 'utf8');
+        await rename(temporary, file);
+    } catch (err) {
+        await rm(temporary, { force: true });
+        throw err;
+    }
+};
+
+/**
+ * Snapshot names become file names, so only simple names are allowed.
+ * @param {string} name
+ * @returns {string}
+ */
+const checkSnapshotName = (name) => {
+    if (typeof name !== 'string' || !/^[\w-]{1,100}$/.test(name)) {
+        throw new HttpError(
+            400,
+            'Snapshot names may only hold letters, digits, "_" and "-"'
+        );
+    }
+    return name;
+};
+
+/**
+ * Persists the state of a controller to a save file, and keeps named
+ * snapshots of it in a folder.
+ */
+export class StateStore {
+    /** @type {NodeJS.Timeout | null} */
+    #timer = null;
+    /** @type {(() => any) | null} */
+    #readState = null;
+    /** @type {string | null} */
+    #lastWritten = null;
+    /** @type {Promise<void>} */
+    #pending = Promise.resolve();
+
+    /**
+     * @param {{ file: string, snapshotsDir?: string, saveDelay?: number }} options
+     */
+    constructor({ file, snapshotsDir, saveDelay }) {
+        this.file = file;
+        this.snapshotsDir = resolve(snapshotsDir || DEFAULT_SNAPSHOTS_DIR);
+        this.saveDelay = saveDelay ?? DEFAULT_SAVE_DELAY;
+    }
+
+    /**
+     * Reads the save file.
+     * @returns {Promise<any>} undefined when there is none yet
+     */
+    async load() {
+        try {
+            const content = await readFile(this.file, 'utf8');
+            this.#lastWritten = content;
+            return JSON.parse(content);
+        } catch (err) {
+            if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') {
+                return undefined;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Saves the state once no further change came in for `saveDelay` ms.
+     * The state is read when the save runs, and unchanged state is not
+     * written again.
+     * @param {() => any} readState
+     * @returns {void}
+     */
+    schedule(readState) {
+        this.#readState = readState;
+        if (this.#timer) {
+            clearTimeout(this.#timer);
+        }
+        this.#timer = setTimeout(() => this.#write(), this.saveDelay);
+        this.#timer.unref();
+    }
+
+    /**
+     * Runs a scheduled save right away.
+     * @returns {Promise<void>} resolves once every write is done
+     */
+    flush() {
+        if (this.#timer) {
+            clearTimeout(this.#timer);
+            this.#write();
+        }
+        return this.#pending;
+    }
+
+    /**
+     * @returns {void}
+     */
+    #write() {
+        this.#timer = null;
+        const readState = this.#readState;
+        if (!readState) {
+            return;
+        }
+        const content = JSON.stringify(readState(), null, 2);
+        if (content === this.#lastWritten) {
+            return;
+        }
+        this.#lastWritten = content;
+        // writes are chained so that they land in order
+        this.#pending = this.#pending
+            .then(() => writeAtomic(this.file, content))
+            .catch((err) => console.error('state not saved', err));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string}
+     */
+    #snapshotFile(name) {
+        return joinPath(this.snapshotsDir, `${checkSnapshotName(name)}.json`);
+    }
+
+    /**
+     * @returns {Promise<SnapshotInfo[]>}
+     */
+    async listSnapshots() {
+        /** @type {string[]} */
+        let files;
+        try {
+            files = await readdir(this.snapshotsDir);
+        } catch {
+            return [];
+        }
+        const names = files
+            .filter((file) => /^[\w-]{1,100}\.json$/.test(file))
+            .map((file) => file.slice(0, -'.json'.length))
+            .sort();
+        return Promise.all(
+            names.map(async (name) => {
+                const info = await stat(this.#snapshotFile(name));
+                return {
+                    name,
+                    savedAt: info.mtime.toISOString(),
+                    size: info.size,
+                };
+            })
+        );
+    }
+
+    /**
+     * @param {string} name
+     * @param {any} state
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot(name, state) {
+        await writeAtomic(
+            this.#snapshotFile(name),
+            JSON.stringify(state, null, 2)
+        );
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<any>}
+     */
+    async readSnapshot(name) {
+        const file = this.#snapshotFile(name);
+        try {
+            return JSON.parse(await readFile(file, 'utf8'));
+        } catch (err) {
+            if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') {
+                throw new HttpError(404, `No state snapshot "${name}"`);
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async deleteSnapshot(name) {
+        const file = this.#snapshotFile(name);
+        try {
+            await rm(file);
+        } catch {
+            throw new HttpError(404, `No state snapshot "${name}"`);
+        }
+    }
+}
@@ -0,0 +1,166 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { StateStore } from './state-store.js';
+import { ApiController, MiniServer } from './server.js';
+import { startTestServer } from './testing.js';
+
+/**
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>}
+ */
+const makeDir = async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'state-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+/**
+ * @param {string} dir
+ * @param {{ persistState?: boolean, stateSaveFile?: string, stateProfile?: string }} [options]
+ * @returns {ApiController<any>}
+ */
+const buildController = (dir, options = {}) =>
+    new ApiController({
+        ...options,
+        initialState: { items: /** @type {any[]} */ ([]) },
+        snapshotsDir: join(dir, 'snapshots'),
+        routes: [
+            {
+                url: '/api/items',
+                method: 'GET',
+                routeAction: (req, res, { state }) => {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(state.items));
+                },
+            },
+            {
+                url: '/api/items',
+                method: 'POST',
+                routeAction: (req, res, { state, body }) => {
+                    state.items.push(body);
+                    res.writeHead(201);
+                    res.end();
+                },
+            },
+        ],
+    });
+
+test('batches saves into one atomic write', async (t) => {
+    const dir = await makeDir(t);
+    const file = join(dir, 'saved', 'state.json');
+    const store = new StateStore({ file, saveDelay: 1000 });
+    assert.equal(await store.load(), undefined);
+    let reads = 0;
+    const state = { n: 0 };
+    for (let i = 1; i <= 3; i++) {
+        state.n = i;
+        store.schedule(() => {
+            reads++;
+            return state;
+        });
+    }
+    await store.flush();
+    assert.equal(reads, 1);
+    assert.deepEqual(await store.load(), { n: 3 });
+    assert.deepEqual(await readdir(join(dir, 'saved')), ['state.json']);
+
+    const again = new StateStore({ file, saveDelay: 0 });
+    await again.load();
+    again.schedule(() => ({ n: 3 }));
+    await again.flush();
+    await assert.rejects(
+        again.saveSnapshot('../escape', state),
+        /Snapshot names may only hold/
+    );
+});
+
+test('loads the saved state before taking requests', async (t) => {
+    const dir = await makeDir(t);
+    const stateSaveFile = join(dir, 'state.json');
+    await writeFile(
+        stateSaveFile,
+        JSON.stringify({ items: [{ id: 'saved' }] })
+    );
+    // startTestServer switches persistence off, which skips the load
+    const server = new MiniServer({
+        port: 0,
+        quiet: true,
+        apiController: buildController(dir, {
+            persistState: true,
+            stateSaveFile,
+        }),
+    });
+    const { url } = await server.start();
+    t.after(() => server.stop());
+    assert.deepEqual(await (await fetch(`${url}/api/items`)).json(), [
+        { id: 'saved' },
+    ]);
+});
+
+test('saves, restores and starts from named snapshots', async (t) => {
+    const dir = await makeDir(t);
+    const { url, controller } = await startTestServer(t, {
+        controller: () => buildController(dir),
+    });
+    /**
+     * @param {string} path
+     * @param {string} method
+     * @param {any} [body]
+     * @returns {Promise<Response>}
+     */
+    const admin = (path, method, body) =>
+        fetch(`${url}/__admin/state${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+    await fetch(`${url}/api/items`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: 1 }),
+    });
+    assert.equal(
+        (await admin('/snapshots', 'POST', { name: 'one-item' })).status,
+        201
+    );
+    const invalid = await admin('/snapshots', 'POST', { name: 'a/b' });
+    assert.equal(invalid.status, 400);
+    await invalid.arrayBuffer();
+    const listed = /** @type {any} */ (
+        await (await admin('/snapshots', 'GET')).json()
+    );
+    assert.equal(listed.profile, null);
+    assert.deepEqual(
+        listed.snapshots.map((/** @type {any} */ snapshot) => snapshot.name),
+        ['one-item']
+    );
+
+    await (await admin('/reset', 'POST')).arrayBuffer();
+    assert.deepEqual(controller.state, { items: [] });
+    const restored = await admin('/snapshots/one-item/restore', 'POST');
+    assert.deepEqual(await restored.json(), { items: [{ id: 1 }] });
+    const missing = await admin('/snapshots/nothing/restore', 'POST');
+    assert.equal(missing.status, 404);
+    await missing.arrayBuffer();
+
+    const profile = await admin('/profile', 'PUT', { name: 'one-item' });
+    assert.deepEqual(await profile.json(), {
+        profile: 'one-item',
+        state: { items: [{ id: 1 }] },
+    });
+    controller.state.items = [];
+    const reset = await admin('/reset', 'POST');
+    assert.deepEqual(await reset.json(), { items: [{ id: 1 }] });
+
+    const profiled = await startTestServer(t, {
+        controller: buildController(dir, { stateProfile: 'one-item' }),
+    });
+    assert.deepEqual(await (await fetch(`${profiled.url}/api/items`)).json(), [
+        { id: 1 },
+    ]);
+    assert.equal((await admin('/snapshots/one-item', 'DELETE')).status, 204);
+});
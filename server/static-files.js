@@ -0,0 +1,371 @@
+//@ts-check
+import { createReadStream } from 'node:fs';
+import { readdir } from 'node:fs/promises';
+import { extname, resolve, sep } from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { Readable } from 'node:stream';
+import zlib from 'node:zlib';
+import { appendVary } from './http-utils.js';
+
+/** Content types by file extension. Text types carry their charset. */
+export const MIME_TYPES = /** @type {Record<string, string>} */ ({
+    '.html': 'text/html; charset=utf-8',
+    '.htm': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.cjs': 'text/javascript; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jsonld': 'application/ld+json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.yaml': 'application/yaml; charset=utf-8',
+    '.yml': 'application/yaml; charset=utf-8',
+    '.svg': 'image/svg+xml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.bmp': 'image/bmp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.wasm': 'application/wasm',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ogv': 'video/ogg',
+    '.mov': 'video/quicktime',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.oga': 'audio/ogg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.flac': 'audio/flac',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.gz': 'application/gzip',
+    '.tar': 'application/x-tar',
+});
+
+/** Files smaller than this are not worth compressing. */
+const MIN_COMPRESS_SIZE = 1024;
+
+/**
+ * @param {string} filename
+ * @returns {string}
+ */
+export const contentTypeFor = (filename) =>
+    MIME_TYPES[extname(filename).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+const isCompressible = (contentType) =>
+    /^text\/|\+json|\+xml|json|xml|javascript|yaml|wasm|icon/.test(contentType);
+
+/**
+ * Picks brotli or gzip from the `Accept-Encoding` header, preferring brotli
+ * and honouring `q=0`.
+ * @param {string | undefined} header
+ * @returns {'br' | 'gzip' | null}
+ */
+export const negotiateEncoding = (header) => {
+    /** @type {Record<string, number>} */
+    const accepted = {};
+    String(header || '')
+        .split(',')
+        .forEach((part) => {
+            const [name, ...params] = part.trim().toLowerCase().split(';');
+            const q = params.find((p) => p.trim().startsWith('q='));
+            accepted[name] = q ? Number(q.trim().substring(2)) : 1;
+        });
+    /** @type {('br' | 'gzip')[]} */
+    const supported = ['br', 'gzip'];
+    return (
+        supported.find((name) => (accepted[name] ?? accepted['*'] ?? 0) > 0) ||
+        null
+    );
+};
+
+/**
+ * Parses a single `bytes=` range. Multiple ranges are answered with the
+ * whole file, which the spec allows.
+ * @param {string} header
+ * @param {number} size
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ */
+export const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (!match[1] && !match[2])) {
+        return null;
+    }
+    let start;
+    let end;
+    if (!match[1]) {
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    }
+    if (start > end || start >= size) {
+        return 'unsatisfiable';
+    }
+    return { start, end };
+};
+
+/**
+ * @param {import('fs').Stats} stats
+ * @param {string} [variant] set when the served body differs from the file
+ * @returns {string}
+ */
+const createEtag = (stats, variant = '') =>
+    `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}${variant}"`;
+
+/**
+ * Tells whether the client's cached copy is still fresh.
+ * @param {import('http').IncomingMessage} request
+ * @param {string} etag
+ * @param {Date} lastModified
+ * @returns {boolean}
+ */
+const isNotModified = (request, etag, lastModified) => {
+    const ifNoneMatch = request.headers['if-none-match'];
+    if (ifNoneMatch) {
+        // weak comparison, as W/ tags are what we hand out
+        const strip = (/** @type {string} */ tag) =>
+            tag.trim().replace(/^W\//, '');
+        return (
+            ifNoneMatch.trim() === '*' ||
+            ifNoneMatch.split(',').some((tag) => strip(tag) === strip(etag))
+        );
+    }
+    const ifModifiedSince = request.headers['if-modified-since'];
+    if (ifModifiedSince) {
+        const since = Date.parse(ifModifiedSince);
+        return (
+            !Number.isNaN(since) &&
+            Math.floor(lastModified.getTime() / 1000) <=
+                Math.floor(since / 1000)
+        );
+    }
+    return false;
+};
+
+/**
+ * @typedef {Object} ServeFileOptions
+ * @property {import('fs').Stats} stats of the file on disk
+ * @property {Buffer} [body] serve this instead of the file contents, e.g.
+ * html with an injected script
+ * @property {number} [status] defaults to 200; error pages are neither
+ * cached nor ranged
+ * @property {import('http').OutgoingHttpHeaders} [headers]
+ */
+
+/**
+ * Streams a file with validators, conditional requests, single byte ranges
+ * and gzip or brotli compression.
+ * @param {import('http').IncomingMessage} request
+ * @param {import('http').ServerResponse} response
+ * @param {string} filename
+ * @param {ServeFileOptions} options
+ * @returns {Promise<void>}
+ */
+export const serveFile = async (request, response, filename, options) => {
+    const { stats, body, headers = {} } = options;
+    const status = options.status || 200;
+    const contentType = contentTypeFor(filename);
+    const size = body ? body.length : stats.size;
+    const etag = createEtag(stats, body ? `-${size.toString(16)}` : '');
+    const cacheable = status === 200;
+    const isHead = request.method === 'HEAD';
+    /** @type {import('http').OutgoingHttpHeaders} */
+    const responseHeaders = {
+        'Content-Type': contentType,
+        ...(cacheable
+            ? {
+                  ETag: etag,
+                  'Last-Modified': stats.mtime.toUTCString(),
+                  'Cache-Control': 'no-cache',
+                  'Accept-Ranges': 'bytes',
+              }
+            : { 'Cache-Control': 'no-store' }),
+        ...headers,
+    };
+    if (cacheable && isNotModified(request, etag, stats.mtime)) {
+        delete responseHeaders['Content-Type'];
+        response.writeHead(304, responseHeaders);
+        response.end();
+        return;
+    }
+
+    const rangeHeader = request.headers.range;
+    const ifRange = request.headers['if-range'];
+    // our ETags are weak and a weak tag never allows a partial response,
+    // so only the date can keep the range
+    const rangeApplies =
+        cacheable &&
+        typeof rangeHeader === 'string' &&
+        (!ifRange || ifRange === responseHeaders['Last-Modified']);
+    const range = rangeApplies ? parseRange(rangeHeader, size) : null;
+    if (range === 'unsatisfiable') {
+        response.writeHead(416, {
+            'Content-Range': `bytes */${size}`,
+            'Content-Type': 'text/plain; charset=utf-8',
+        });
+        response.end('Range not satisfiable');
+        return;
+    }
+
+    const encoding =
+        !range && size >= MIN_COMPRESS_SIZE && isCompressible(contentType)
+            ? negotiateEncoding(
+                  /** @type {string | undefined} */ (
+                      request.headers['accept-encoding']
+                  )
+              )
+            : null;
+    if (isCompressible(contentType)) {
+        appendVary(response, 'Accept-Encoding');
+    }
+    if (range) {
+        responseHeaders['Content-Range'] =
+            `bytes ${range.start}-${range.end}/${size}`;
+        responseHeaders['Content-Length'] = range.end - range.start + 1;
+    } else if (encoding) {
+        responseHeaders['Content-Encoding'] = encoding;
+    } else {
+        responseHeaders['Content-Length'] = size;
+    }
+    response.writeHead(range ? 206 : status, responseHeaders);
+    if (isHead) {
+        response.end();
+        return;
+    }
+
+    /** @type {import('stream').Readable} */
+    const source = body
+        ? Readable.from([
+              range ? body.subarray(range.start, range.end + 1) : body,
+          ])
+        : createReadStream(filename, range || {});
+    /** @type {import('stream').Transform | null} */
+    const compressor =
+        encoding === 'br'
+            ? zlib.createBrotliCompress({
+                  params: {
+                      [zlib.constants.BROTLI_PARAM_QUALITY]: 4,
+                      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size,
+                  },
+              })
+            : encoding === 'gzip'
+              ? zlib.createGzip()
+              : null;
+    try {
+        if (compressor) {
+            await pipeline(source, compressor, response);
+        } else {
+            await pipeline(source, response);
+        }
+    } catch (err) {
+        // a client that goes away mid-file is not an error worth logging
+        if (
+            /** @type {NodeJS.ErrnoException} */ (err).code !==
+            'ERR_STREAM_PREMATURE_CLOSE'
+        ) {
+            console.error(`Failed to send ${filename}`, err);
+        }
+        response.destroy();
+    }
+};
+
+/**
+ * Turns a request url into a path inside the static root. The query and
+ * hash are dropped and the path is percent-decoded. Returns null for paths
+ * that cannot be decoded or that would leave the root.
+ * @param {string} root absolute path of the static folder
+ * @param {string} url
+ * @returns {{ filename: string, pathname: string } | null}
+ */
+export const resolveStaticPath = (root, url) => {
+    const rawPath = url.split(/[?#]/)[0] || '/';
+    /** @type {string} */
+    let pathname;
+    try {
+        pathname = decodeURIComponent(rawPath);
+    } catch {
+        return null;
+    }
+    if (pathname.includes('\0')) {
+        return null;
+    }
+    const filename = resolve(root, `.${sep}${pathname}`);
+    if (filename !== root && !filename.startsWith(root + sep)) {
+        return null;
+    }
+    return { filename, pathname };
+};
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+    value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+/**
+ * Renders an HTML listing of a directory, folders first.
+ * @param {string} dir
+ * @param {string} pathname the decoded url path of the directory, ending
+ * with a slash
+ * @returns {Promise<string>}
+ */
+export const renderDirectoryListing = async (dir, pathname) => {
+    const entries = (await readdir(dir, { withFileTypes: true }))
+        .filter((entry) => !entry.name.startsWith('.'))
+        .sort(
+            (a, b) =>
+                Number(b.isDirectory()) - Number(a.isDirectory()) ||
+                a.name.localeCompare(b.name)
+        );
+    const links = [
+        ...(pathname === '/' ? [] : ['<li><a href="../">../</a></li>']),
+        ...entries.map((entry) => {
+            const name = entry.isDirectory() ? `${entry.name}/` : entry.name;
+            const href =
+                encodeURIComponent(entry.name) +
+                (entry.isDirectory() ? '/' : '');
+            return `<li><a href="${escapeHtml(href)}">${escapeHtml(name)}</a></li>`;
+        }),
+    ];
+    const title = `Index of ${escapeHtml(pathname)}`;
+    return `<!doctype html>
+<html lang="en">
+<head><meta charset="UTF-8" /><title>${title}</title></head>
+<body>
+<h1>${title}</h1>
+<ul>
+${links.join('\n')}
+</ul>
+</body>
+</html>
+`;
+};
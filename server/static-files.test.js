@@ -0,0 +1,239 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    contentTypeFor,
+    negotiateEncoding,
+    parseRange,
+    resolveStaticPath,
+} from './static-files.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+const SCRIPT = `export const numbers = [${Array.from({ length: 400 }, (_, i) => i)}];\n`;
+
+/**
+ * @param {import('node:test').TestContext} t
+ * @returns {Promise<string>} a root with a `public` folder
+ */
+const makeRoot = async (t) => {
+    const root = await mkdtemp(join(tmpdir(), 'static-'));
+    t.after(() => rm(root, { recursive: true, force: true }));
+    const publicDir = join(root, 'public');
+    await mkdir(join(publicDir, 'docs'), { recursive: true });
+    await writeFile(join(publicDir, 'index.html'), '<p>home</p>');
+    await writeFile(join(publicDir, 'app.js'), SCRIPT);
+    await writeFile(join(publicDir, 'digits.txt'), '0123456789');
+    await writeFile(join(publicDir, 'docs', 'read me.txt'), 'spaced');
+    return root;
+};
+
+test('knows content types, encodings and ranges', () => {
+    assert.equal(contentTypeFor('a/b.WASM'), 'application/wasm');
+    assert.equal(contentTypeFor('noext'), 'application/octet-stream');
+    assert.equal(negotiateEncoding('gzip, br;q=0.5'), 'br');
+    assert.equal(negotiateEncoding('br;q=0, gzip'), 'gzip');
+    assert.equal(negotiateEncoding('identity'), null);
+    assert.deepEqual(parseRange('bytes=2-4', 10), { start: 2, end: 4 });
+    assert.deepEqual(parseRange('bytes=-3', 10), { start: 7, end: 9 });
+    assert.deepEqual(parseRange('bytes=8-', 10), { start: 8, end: 9 });
+    assert.equal(parseRange('bytes=10-12', 10), 'unsatisfiable');
+    assert.equal(parseRange('bytes=1-2,4-5', 10), null);
+});
+
+test('revalidates cached files', async (t) => {
+    const { url } = await startTestServer(t, { root: await makeRoot(t) });
+    const first = await fetch(`${url}/digits.txt`);
+    assert.equal(await first.text(), '0123456789');
+    assert.equal(
+        first.headers.get('content-type'),
+        'text/plain; charset=utf-8'
+    );
+    assert.equal(first.headers.get('cache-control'), 'no-cache');
+    const etag = first.headers.get('etag') || '';
+    const lastModified = first.headers.get('last-modified') || '';
+    assert.ok(etag && lastModified);
+
+    const byTag = await fetch(`${url}/digits.txt`, {
+        headers: { 'If-None-Match': etag },
+    });
+    assert.equal(byTag.status, 304);
+    const byDate = await fetch(`${url}/digits.txt`, {
+        headers: { 'If-Modified-Since': lastModified },
+    });
+    assert.equal(byDate.status, 304);
+    const changed = await fetch(`${url}/digits.txt`, {
+        headers: { 'If-None-Match': 'W/"other"' },
+    });
+    assert.equal(changed.status, 200);
+    await changed.arrayBuffer();
+});
+
+test('answers byte ranges', async (t) => {
+    const { url } = await startTestServer(t, { root: await makeRoot(t) });
+    const first = await fetch(`${url}/digits.txt`);
+    const etag = first.headers.get('etag') || '';
+    const lastModified = first.headers.get('last-modified') || '';
+    await first.arrayBuffer();
+
+    const part = await fetch(`${url}/digits.txt`, {
+        headers: { Range: 'bytes=2-4' },
+    });
+    assert.equal(part.status, 206);
+    assert.equal(part.headers.get('content-range'), 'bytes 2-4/10');
+    assert.equal(await part.text(), '234');
+    const outside = await fetch(`${url}/digits.txt`, {
+        headers: { Range: 'bytes=20-' },
+    });
+    assert.equal(outside.status, 416);
+    assert.equal(outside.headers.get('content-range'), 'bytes */10');
+    await outside.arrayBuffer();
+
+    const current = await fetch(`${url}/digits.txt`, {
+        headers: { Range: 'bytes=8-', 'If-Range': lastModified },
+    });
+    assert.equal(current.status, 206);
+    assert.equal(await current.text(), '89');
+    const weak = await fetch(`${url}/digits.txt`, {
+        headers: { Range: 'bytes=8-', 'If-Range': etag },
+    });
+    assert.equal(weak.status, 200);
+    assert.equal(await weak.text(), '0123456789');
+    const stale = await fetch(`${url}/digits.txt`, {
+        headers: { Range: 'bytes=8-', 'If-Range': 'W/"old"' },
+    });
+    assert.equal(stale.status, 200);
+    assert.equal(await stale.text(), '0123456789');
+});
+
+test('compresses larger text files', async (t) => {
+    const { url } = await startTestServer(t, { root: await makeRoot(t) });
+    for (const encoding of ['br', 'gzip']) {
+        const res = await fetch(`${url}/app.js`, {
+            headers: { 'Accept-Encoding': encoding },
+        });
+        assert.equal(res.headers.get('content-encoding'), encoding);
+        assert.match(res.headers.get('vary') || '', /Accept-Encoding/);
+        // fetch decodes the body
+        assert.equal(await res.text(), SCRIPT);
+    }
+    const small = await fetch(`${url}/digits.txt`, {
+        headers: { 'Accept-Encoding': 'br' },
+    });
+    assert.equal(small.headers.get('content-encoding'), null);
+    await small.arrayBuffer();
+    const plain = await fetch(`${url}/app.js`, {
+        headers: { 'Accept-Encoding': 'identity' },
+    });
+    assert.equal(plain.headers.get('content-encoding'), null);
+    assert.equal(await plain.text(), SCRIPT);
+});
+
+/**
+ * Sends the path as it is, since fetch would resolve `..` segments.
+ * @param {number} port
+ * @param {string} path
+ * @returns {Promise<number>} the status code
+ */
+const rawStatus = (port, path) =>
+    new Promise((resolve, reject) => {
+        http.get({ port, path }, (res) => {
+            res.resume();
+            resolve(res.statusCode || 0);
+        }).on('error', reject);
+    });
+
+test('keeps requests inside the static folder', async (t) => {
+    const root = await makeRoot(t);
+    await writeFile(join(root, 'secret.txt'), 'secret');
+    const { url, port } = await startTestServer(t, { root });
+    for (const path of [
+        '/../secret.txt',
+        '/%2e%2e/secret.txt',
+        '/docs/..%2f..%2fsecret.txt',
+        '/%E0%A4%A',
+        '/digits.txt%00.html',
+    ]) {
+        assert.equal(await rawStatus(port, path), 404, path);
+    }
+    const spaced = await fetch(`${url}/docs/read%20me.txt`);
+    assert.equal(await spaced.text(), 'spaced');
+    assert.equal(resolveStaticPath('/srv/public', '/../etc/passwd'), null);
+});
+
+test('answers client side routes with the SPA page', async (t) => {
+    const { url } = await startTestServer(t, {
+        root: await makeRoot(t),
+        spa: true,
+    });
+    const html = { Accept: 'text/html' };
+    const route = await fetch(`${url}/users/7`, { headers: html });
+    assert.equal(route.status, 200);
+    assert.equal(await route.text(), '<p>home</p>');
+    const asset = await fetch(`${url}/missing.js`, { headers: html });
+    assert.equal(asset.status, 404);
+    await asset.arrayBuffer();
+    const data = await fetch(`${url}/users/7`);
+    assert.equal(data.status, 404);
+    await data.arrayBuffer();
+});
+
+test('sends error pages to browsers and JSON to the rest', async (t) => {
+    const root = await makeRoot(t);
+    await writeFile(join(root, 'public', '404.html'), '<p>lost</p>');
+    await writeFile(join(root, 'public', '500.html'), '<p>broken</p>');
+    const { url } = await startTestServer(t, {
+        root,
+        serverError: '500.html',
+        controller: () =>
+            new ApiController().addRoute({
+                url: '/api/fail',
+                routeAction: () => {
+                    throw new Error('route failed');
+                },
+            }),
+    });
+    // the failure is logged
+    t.mock.method(console, 'error', () => {});
+    const html = { Accept: 'text/html' };
+    const page = await fetch(`${url}/nothing`, { headers: html });
+    assert.equal(page.status, 404);
+    assert.equal(await page.text(), '<p>lost</p>');
+    const json = await fetch(`${url}/nothing`);
+    assert.equal(json.status, 404);
+    assert.match(json.headers.get('content-type') || '', /json/);
+    await json.arrayBuffer();
+
+    const failed = await fetch(`${url}/api/fail`, { headers: html });
+    assert.equal(failed.status, 500);
+    assert.equal(await failed.text(), '<p>broken</p>');
+    const failedJson = await fetch(`${url}/api/fail`);
+    assert.equal(failedJson.status, 500);
+    assert.match(failedJson.headers.get('content-type') || '', /json/);
+    await failedJson.arrayBuffer();
+});
+
+test('redirects folders to their slash and lists them', async (t) => {
+    const root = await makeRoot(t);
+    const { url } = await startTestServer(t, {
+        root,
+        directoryListing: true,
+    });
+    const redirect = await fetch(`${url}/docs?x=1`, { redirect: 'manual' });
+    assert.equal(redirect.status, 301);
+    assert.equal(redirect.headers.get('location'), '/docs/?x=1');
+    await redirect.arrayBuffer();
+    const listing = await fetch(`${url}/docs/`);
+    assert.match(await listing.text(), /href="read%20me\.txt"/);
+    const index = await fetch(`${url}/`);
+    assert.equal(await index.text(), '<p>home</p>');
+
+    const unlisted = await startTestServer(t, { root });
+    const hidden = await fetch(`${unlisted.url}/docs/`);
+    assert.equal(hidden.status, 404);
+    await hidden.arrayBuffer();
+});
@@ -0,0 +1,289 @@
+//@ts-check
+
+/**
+ * One Server-Sent Event. Data that is not a string is sent as JSON.
+ * @typedef {Object} SseEvent
+ * @property {string} [event] event name, `message` when left out
+ * @property {string | number} [id]
+ * @property {any} [data]
+ * @property {number} [retry] reconnection delay for the client, in ms
+ * @property {string} [comment]
+ * @property {number} [delay] wait before sending, in ms
+ */
+
+/**
+ * @template T
+ * @typedef {Object} SseRouteOptions
+ * @property {string} url
+ * @property {import('./server.js').RouteMethod} [method]
+ * @property {SseEvent[]} [events] a timeline played to every client. Events
+ * without an id are numbered from 1 so that clients can resume
+ * @property {boolean} [repeat] play the timeline again once it ends
+ * @property {(context: import('./server.js').RouteContext<T>, lastEventId: string | null) => AsyncIterable<SseEvent> | Iterable<SseEvent>} [generator]
+ * @property {{ select?: (state: T) => any, event?: string }} [stateChanges]
+ * send an event whenever the selected part of the state changes
+ * @property {number} [retry] sent to the client before the first event
+ * @property {number} [keepAlive] interval of keep-alive comments, in ms
+ * @property {string} [summary]
+ */
+
+/**
+ * A chunk of a streamed response, with an optional delay before it.
+ * @typedef {any | { delay?: number, data: any }} StreamChunk
+ */
+
+/**
+ * @template T
+ * @typedef {Object} StreamRouteOptions
+ * @property {string} url
+ * @property {import('./server.js').RouteMethod} [method]
+ * @property {'ndjson' | 'text'} [format] `ndjson` writes every chunk as one
+ * JSON line, `text` writes strings as they are
+ * @property {StreamChunk[]} [chunks]
+ * @property {(context: import('./server.js').RouteContext<T>) => AsyncIterable<any> | Iterable<any>} [generator]
+ * @property {number} [delay] between chunks, in ms
+ * @property {number} [status]
+ * @property {Record<string, string>} [headers]
+ * @property {string} [summary]
+ */
+
+/**
+ * Subscribes to state changes and returns the unsubscribe function. The
+ * listener gets the current state, which may be a new object after a reset.
+ * @typedef {(listener: (state: any) => void) => () => void} StateSubscriber
+ */
+
+/**
+ * Formats an event in the `text/event-stream` wire format.
+ * @param {SseEvent} event
+ * @returns {string}
+ */
+export const formatSseEvent = (event) => {
+    /** @type {string[]} */
+    const lines = [];
+    if (event.comment !== undefined) {
+        lines.push(
+            ...String(event.comment)
+                .split(/\r?\n/)
+                .map((l) => `: ${l}`)
+        );
+    }
+    if (event.event) {
+        lines.push(`event: ${event.event}`);
+    }
+    if (event.id !== undefined) {
+        lines.push(`id: ${event.id}`);
+    }
+    if (event.retry !== undefined) {
+        lines.push(`retry: ${event.retry}`);
+    }
+    if (event.data !== undefined) {
+        const data =
+            typeof event.data === 'string'
+                ? event.data
+                : JSON.stringify(event.data);
+        lines.push(...data.split(/\r?\n/).map((line) => `data: ${line}`));
+    }
+    return `${lines.join('\n')}\n\n`;
+};
+
+/**
+ * @param {number | undefined} ms
+ * @param {() => boolean} isClosed
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, isClosed) =>
+    ms && !isClosed()
+        ? new Promise((resolve) => setTimeout(resolve, ms))
+        : Promise.resolve();
+
+/**
+ * Tracks whether the client went away.
+ * @param {import('http').ServerResponse} res
+ * @returns {{ closed: () => boolean, done: Promise<void> }}
+ */
+const watchClose = (res) => {
+    let isClosed = false;
+    const done = new Promise((resolve) =>
+        res.once('close', () => {
+            isClosed = true;
+            resolve(undefined);
+        })
+    );
+    return {
+        closed: () => isClosed,
+        done: /** @type {Promise<void>} */ (done),
+    };
+};
+
+/**
+ * Creates a route that streams Server-Sent Events from a timeline, a
+ * generator or state changes. A `Last-Event-ID` request header skips the
+ * timeline events up to that id and is handed to the generator.
+ * @template T
+ * @param {SseRouteOptions<T>} options
+ * @param {StateSubscriber} [subscribe] needed for `stateChanges`
+ * @returns {import('./server.js').ApiControllerRoute<T>}
+ */
+export const createSseRoute = (options, subscribe) => {
+    const timeline = (options.events || []).map((event, index) => ({
+        ...event,
+        id: event.id ?? String(index + 1),
+    }));
+    return {
+        url: options.url,
+        method: options.method || 'GET',
+        summary: options.summary,
+        routeAction: async (req, res, context) => {
+            const client = watchClose(res);
+            const lastEventIdHeader = req.headers['last-event-id'];
+            const lastEventId =
+                typeof lastEventIdHeader === 'string'
+                    ? lastEventIdHeader
+                    : null;
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            });
+            /** @param {SseEvent} event */
+            const send = (event) => {
+                if (!client.closed()) {
+                    res.write(formatSseEvent(event));
+                }
+            };
+            if (options.retry !== undefined) {
+                send({ retry: options.retry });
+            } else {
+                // lets EventSource fire `open` before the first event
+                send({ comment: 'connected' });
+            }
+            const keepAlive = options.keepAlive
+                ? setInterval(
+                      () => send({ comment: 'keep-alive' }),
+                      options.keepAlive
+                  )
+                : null;
+            /** @type {(() => void) | null} */
+            let unsubscribe = null;
+            const stateChanges = options.stateChanges;
+            if (stateChanges && subscribe) {
+                const select = stateChanges.select || ((state) => state);
+                let last = JSON.stringify(select(context.state));
+                let count = 0;
+                unsubscribe = subscribe((state) => {
+                    const value = select(state);
+                    const serialized = JSON.stringify(value);
+                    if (serialized !== last) {
+                        last = serialized;
+                        count++;
+                        send({
+                            event: stateChanges.event,
+                            id: `state-${count}`,
+                            data: value,
+                        });
+                    }
+                });
+            }
+            // a timeline without delays would repeat without ever yielding
+            const repeat =
+                options.repeat && timeline.some((event) => event.delay);
+            try {
+                let start = lastEventId
+                    ? timeline.findIndex((e) => String(e.id) === lastEventId) +
+                      1
+                    : 0;
+                do {
+                    for (const { delay, ...event } of timeline.slice(start)) {
+                        await sleep(delay, client.closed);
+                        send(event);
+                    }
+                    start = 0;
+                } while (repeat && !client.closed());
+                if (options.generator) {
+                    for await (const { delay, ...event } of options.generator(
+                        context,
+                        lastEventId
+                    )) {
+                        await sleep(delay, client.closed);
+                        if (client.closed()) {
+                            break;
+                        }
+                        send(event);
+                    }
+                }
+                if (unsubscribe || options.keepAlive) {
+                    await client.done;
+                }
+            } finally {
+                if (keepAlive) {
+                    clearInterval(keepAlive);
+                }
+                unsubscribe?.();
+                if (!client.closed()) {
+                    res.end();
+                }
+            }
+        },
+    };
+};
+
+/**
+ * Creates a route that sends its body in chunks, as plain text or as
+ * newline delimited JSON, for progress feeds or token streams.
+ * @template T
+ * @param {StreamRouteOptions<T>} options
+ * @returns {import('./server.js').ApiControllerRoute<T>}
+ */
+export const createStreamRoute = (options) => {
+    const format = options.format || 'ndjson';
+    return {
+        url: options.url,
+        method: options.method || 'GET',
+        summary: options.summary,
+        routeAction: async (req, res, context) => {
+            const client = watchClose(res);
+            res.writeHead(options.status || 200, {
+                'Content-Type':
+                    format === 'ndjson'
+                        ? 'application/x-ndjson'
+                        : 'text/plain; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                'X-Accel-Buffering': 'no',
+                ...options.headers,
+            });
+            /** @type {AsyncIterable<any> | Iterable<any>} */
+            const chunks = options.generator
+                ? options.generator(context)
+                : options.chunks || [];
+            let first = true;
+            for await (const chunk of chunks) {
+                const isTimed =
+                    chunk !== null &&
+                    typeof chunk === 'object' &&
+                    'data' in chunk &&
+                    Object.keys(chunk).every(
+                        (k) => k === 'data' || k === 'delay'
+                    );
+                const delay = isTimed ? chunk.delay : first ? 0 : options.delay;
+                first = false;
+                await sleep(delay, client.closed);
+                if (client.closed()) {
+                    break;
+                }
+                const data = isTimed ? chunk.data : chunk;
+                res.write(
+                    format === 'ndjson'
+                        ? `${JSON.stringify(data)}\n`
+                        : typeof data === 'string'
+                          ? data
+                          : JSON.stringify(data)
+                );
+            }
+            if (!client.closed()) {
+                res.end();
+            }
+        },
+    };
+};
@@ -0,0 +1,144 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSseEvent } from './streaming.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+/**
+ * Reads Server-Sent Events until `count` of them arrived, then hangs up.
+ * @param {Response} res
+ * @param {number} count
+ * @param {AbortController} [abort] to hang up on streams that stay open
+ * @returns {Promise<string[]>} the raw events, comments included
+ */
+const readEvents = async (res, count, abort) => {
+    const reader = /** @type {ReadableStream<Uint8Array>} */ (
+        res.body
+    ).getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    while (text.split('\n\n').length - 1 < count) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        text += decoder.decode(value, { stream: true });
+    }
+    abort?.abort();
+    return text.split('\n\n').slice(0, count);
+};
+
+const buildController = () =>
+    new ApiController({ initialState: { count: 0 } })
+        .addSseRoute({
+            url: '/api/events',
+            retry: 2000,
+            events: [
+                { event: 'greeting', data: { text: 'hi' } },
+                { delay: 10, data: 'second' },
+                { id: 'last', data: 'third' },
+            ],
+        })
+        .addSseRoute({
+            url: '/api/generated',
+            generator: function* (context, lastEventId) {
+                yield { data: `after ${lastEventId}` };
+                yield { delay: 5, data: context.query.name };
+            },
+        })
+        .addSseRoute({
+            url: '/api/count',
+            stateChanges: {
+                select: (state) => state.count,
+                event: 'count',
+            },
+        })
+        .addStreamRoute({
+            url: '/api/lines',
+            chunks: [{ n: 1 }, { delay: 5, data: { n: 2 } }],
+        })
+        .addStreamRoute({
+            url: '/api/text',
+            format: 'text',
+            delay: 5,
+            generator: function* () {
+                yield 'Hel';
+                yield 'lo';
+            },
+        })
+        .addRoute({
+            url: '/api/increment',
+            method: 'POST',
+            routeAction: (req, res, { state }) => {
+                state.count++;
+                res.writeHead(204);
+                res.end();
+            },
+        });
+
+test('formats events in the event-stream format', () => {
+    assert.equal(
+        formatSseEvent({ event: 'update', id: 3, data: { a: 1 } }),
+        'event: update\nid: 3\ndata: {"a":1}\n\n'
+    );
+    assert.equal(
+        formatSseEvent({ comment: 'one\ntwo', data: 'x\ny' }),
+        ': one\n: two\ndata: x\ndata: y\n\n'
+    );
+});
+
+test('plays a timeline and resumes after the last event id', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    const res = await fetch(`${url}/api/events`);
+    assert.equal(
+        res.headers.get('content-type'),
+        'text/event-stream; charset=utf-8'
+    );
+    assert.deepEqual(await readEvents(res, 4), [
+        'retry: 2000',
+        'event: greeting\nid: 1\ndata: {"text":"hi"}',
+        'id: 2\ndata: second',
+        'id: last\ndata: third',
+    ]);
+    const resumed = await fetch(`${url}/api/events`, {
+        headers: { 'Last-Event-ID': '2' },
+    });
+    assert.deepEqual(await readEvents(resumed, 2), [
+        'retry: 2000',
+        'id: last\ndata: third',
+    ]);
+
+    const generated = await fetch(`${url}/api/generated?name=Ada`, {
+        headers: { 'Last-Event-ID': '7' },
+    });
+    assert.deepEqual(await readEvents(generated, 3), [
+        ': connected',
+        'data: after 7',
+        'data: Ada',
+    ]);
+});
+
+test('sends an event when the selected state changes', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    const abort = new AbortController();
+    const res = await fetch(`${url}/api/count`, { signal: abort.signal });
+    const events = readEvents(res, 3, abort);
+    await fetch(`${url}/api/increment`, { method: 'POST' });
+    await fetch(`${url}/api/increment`, { method: 'POST' });
+    assert.deepEqual(await events, [
+        ': connected',
+        'event: count\nid: state-1\ndata: 1',
+        'event: count\nid: state-2\ndata: 2',
+    ]);
+});
+
+test('streams chunks as NDJSON or text', async (t) => {
+    const { url } = await startTestServer(t, { controller: buildController });
+    const lines = await fetch(`${url}/api/lines`);
+    assert.equal(lines.headers.get('content-type'), 'application/x-ndjson');
+    assert.equal(lines.headers.get('transfer-encoding'), 'chunked');
+    assert.equal(await lines.text(), '{"n":1}\n{"n":2}\n');
+    const text = await fetch(`${url}/api/text`);
+    assert.equal(await text.text(), 'Hello');
+});
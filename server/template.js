@@ -0,0 +1,158 @@
+//@ts-check
+import { FAKE_GENERATORS, FakeData } from './fake.js';
+
+/**
+ * Values templates can read, e.g. `{{params.id}}` or `{{state.count}}`.
+ * @typedef {Object} TemplateContext
+ * @property {Record<string, string>} params
+ * @property {Record<string, string | string[]>} query
+ * @property {any} body
+ * @property {import('http').IncomingHttpHeaders} headers
+ * @property {any} state
+ * @property {number} [index] position inside a `$repeat` block
+ */
+
+const EXPRESSION = /\{\{\s*(.+?)\s*\}\}/g;
+const WHOLE_EXPRESSION = /^\{\{\s*(.+?)\s*\}\}$/;
+const TOKEN = /"([^"]*)"|'([^']*)'|(\S+)/g;
+
+/** Most items a `$repeat` block renders, as the count may come from a query. */
+export const MAX_REPEAT = 10000;
+
+/**
+ * @param {any} root
+ * @param {string} path
+ * @returns {any}
+ */
+const lookup = (root, path) =>
+    path
+        .split('.')
+        .reduce(
+            (value, key) =>
+                value !== null && value !== undefined ? value[key] : undefined,
+            root
+        );
+
+/**
+ * Helpers available in templates, called as `{{name arg1 arg2}}`.
+ * @type {Record<string, (fake: FakeData, ...args: any[]) => any>}
+ */
+const HELPERS = {
+    now: (fake, format) => {
+        const date = new Date();
+        if (format === 'epoch') {
+            return date.getTime();
+        }
+        if (format === 'date') {
+            return date.toISOString().substring(0, 10);
+        }
+        return date.toISOString();
+    },
+    uuid: (fake) => fake.uuid(),
+    randomInt: (fake, min, max) => fake.int(min, max),
+    pick: (fake, ...options) => fake.pick(options),
+    default: (fake, value, fallback) =>
+        value === undefined || value === null || value === ''
+            ? fallback
+            : value,
+    add: (fake, ...numbers) =>
+        numbers.reduce((sum, n) => sum + Number(n || 0), 0),
+};
+
+/**
+ * @param {string} expression
+ * @param {TemplateContext} context
+ * @param {FakeData} fake
+ * @returns {any}
+ */
+const evaluate = (expression, context, fake) => {
+    const tokens = [...expression.matchAll(TOKEN)];
+    const [name, ...args] = tokens.map(([token, double, single, bare]) => {
+        if (double !== undefined || single !== undefined) {
+            return { literal: double ?? single };
+        }
+        return { bare, token };
+    });
+    /**
+     * @param {{ literal?: string, bare?: string }} arg
+     * @returns {any}
+     */
+    const argValue = (arg) => {
+        if (arg.literal !== undefined || arg.bare === undefined) {
+            return arg.literal;
+        }
+        if (/^-?\d+(\.\d+)?$/.test(arg.bare)) {
+            return Number(arg.bare);
+        }
+        if (['true', 'false', 'null'].includes(arg.bare)) {
+            return JSON.parse(arg.bare);
+        }
+        return lookup(context, arg.bare);
+    };
+    const head = name.bare;
+    if (head === undefined) {
+        return name.literal;
+    }
+    if (head.startsWith('fake.')) {
+        const generator = head.substring(5);
+        if (!FAKE_GENERATORS.includes(generator)) {
+            return undefined;
+        }
+        return /** @type {any} */ (fake)[generator](...args.map(argValue));
+    }
+    if (Object.hasOwn(HELPERS, head)) {
+        return HELPERS[head](fake, ...args.map(argValue));
+    }
+    return argValue(name);
+};
+
+/**
+ * Renders template expressions in a value. A string that is a single
+ * expression keeps the type of its result, so `"{{state.count}}"` gives a
+ * number. Objects of the form `{ "$repeat": 50, "$item": {...} }` become an
+ * array of 50 rendered items with `{{index}}` set; the count is clamped to
+ * 0..{@link MAX_REPEAT}.
+ * @param {any} value
+ * @param {TemplateContext} context
+ * @param {FakeData} [fake]
+ * @returns {any}
+ */
+export const renderTemplate = (value, context, fake = new FakeData()) => {
+    if (typeof value === 'string') {
+        const whole = value.match(WHOLE_EXPRESSION);
+        if (whole) {
+            return evaluate(whole[1], context, fake);
+        }
+        return value.replace(EXPRESSION, (match, expression) => {
+            const result = evaluate(expression, context, fake);
+            if (result === undefined || result === null) {
+                return '';
+            }
+            return typeof result === 'object'
+                ? JSON.stringify(result)
+                : String(result);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => renderTemplate(item, context, fake));
+    }
+    if (value && typeof value === 'object') {
+        if ('$repeat' in value) {
+            const count = Number(renderTemplate(value.$repeat, context, fake));
+            const length = Math.min(
+                Math.max(Math.floor(count) || 0, 0),
+                MAX_REPEAT
+            );
+            return Array.from({ length }, (_, index) =>
+                renderTemplate(value.$item, { ...context, index }, fake)
+            );
+        }
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [
+                key,
+                renderTemplate(item, context, fake),
+            ])
+        );
+    }
+    return value;
+};
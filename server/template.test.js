@@ -0,0 +1,96 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeData, MAX_TEXT_COUNT } from './fake.js';
+import { MAX_REPEAT, renderTemplate } from './template.js';
+
+/**
+ * @param {Partial<import('./template.js').TemplateContext>} [values]
+ * @returns {import('./template.js').TemplateContext}
+ */
+const makeContext = (values = {}) => ({
+    params: {},
+    query: {},
+    body: undefined,
+    headers: {},
+    state: {},
+    ...values,
+});
+
+test('renders expressions and keeps the type of whole expressions', () => {
+    const context = makeContext({
+        params: { id: '7' },
+        state: { count: 3, tags: ['a'] },
+    });
+    assert.deepEqual(
+        renderTemplate(
+            {
+                id: '{{params.id}}',
+                count: '{{state.count}}',
+                label: 'item {{params.id}} of {{state.count}}',
+                tags: 'tags: {{state.tags}}',
+                missing: 'x{{state.nothing}}y',
+                next: '{{add state.count 1}}',
+                name: '{{default state.name "anonymous"}}',
+            },
+            context
+        ),
+        {
+            id: '7',
+            count: 3,
+            label: 'item 7 of 3',
+            tags: 'tags: ["a"]',
+            missing: 'xy',
+            next: 4,
+            name: 'anonymous',
+        }
+    );
+});
+
+test('repeats items with their index and repeatable fake data', () => {
+    const template = {
+        $repeat: '{{query.size}}',
+        $item: { index: '{{index}}', name: '{{fake.name}}' },
+    };
+    const context = makeContext({ query: { size: '3' } });
+    const first = renderTemplate(template, context, new FakeData(42));
+    assert.deepEqual(
+        first.map((/** @type {any} */ item) => item.index),
+        [0, 1, 2]
+    );
+    assert.deepEqual(
+        renderTemplate(template, context, new FakeData(42)),
+        first
+    );
+});
+
+test('clamps the repeat count', () => {
+    /** @param {string} size */
+    const repeat = (size) =>
+        renderTemplate(
+            { $repeat: '{{query.size}}', $item: 1 },
+            makeContext({ query: { size } })
+        ).length;
+    assert.equal(repeat('1e9'), MAX_REPEAT);
+    assert.equal(repeat('-5'), 0);
+    assert.equal(repeat('2.7'), 2);
+    assert.equal(repeat('many'), 0);
+});
+
+test('clamps the counts of fake text', () => {
+    /** @param {string} expression */
+    const render = (expression) =>
+        renderTemplate(
+            `{{${expression}}}`,
+            makeContext({ query: { size: '1e9' } }),
+            new FakeData(1)
+        );
+    assert.equal(render('fake.sentence 0'), '');
+    assert.equal(render('fake.words -3'), '');
+    assert.equal(render('fake.paragraph 0'), '');
+    assert.equal(
+        render('fake.words query.size').split(' ').length,
+        MAX_TEXT_COUNT
+    );
+    assert.equal(render('fake.words 2.7').split(' ').length, 2);
+});
@@ -0,0 +1,65 @@
+//@ts-check
+import { ApiController, MiniServer } from './server.js';
+
+/**
+ * @typedef {Object} TestServerOptions
+ * @property {ApiController<any> | (() => ApiController<any>)} [controller]
+ * a controller, or a factory so that every test builds its own
+ * @property {any} [state] replaces the controller state before the start
+ * @property {string} [root]
+ * @property {string} [staticFolder]
+ * @property {import('./faults.js').FaultOptions} [faults]
+ * @property {boolean | import('./middleware.js').CorsOptions} [cors]
+ * @property {boolean | string} [spa]
+ * @property {string | import('./server.js').StaticErrorHandler} [notFound]
+ * @property {string | import('./server.js').StaticErrorHandler} [serverError]
+ * @property {boolean} [directoryListing]
+ * @property {import('./middleware.js').Middleware[]} [middleware]
+ * @property {boolean} [errorStack]
+ */
+
+/**
+ * @typedef {Object} TestServer
+ * @property {MiniServer<any>} server
+ * @property {ApiController<any>} controller
+ * @property {string} url base url, e.g. `http://localhost:53211`
+ * @property {number} port
+ */
+
+/**
+ * Starts a MiniServer on a free port for one `node:test` test and stops it
+ * when the test ends. State is never persisted, so parallel test files do
+ * not share anything.
+ *
+ * @example
+ * test('lists users', async (t) => {
+ *     const { url } = await startTestServer(t, { controller: buildController });
+ *     const res = await fetch(`${url}/api/users`);
+ * });
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {TestServerOptions} [options]
+ * @returns {Promise<TestServer>}
+ */
+export const startTestServer = async (
+    t,
+    { controller, state, ...options } = {}
+) => {
+    const api =
+        typeof controller === 'function'
+            ? controller()
+            : controller || new ApiController();
+    api.persistState = false;
+    if (state !== undefined) {
+        api.replaceState(structuredClone(state));
+    }
+    const server = new MiniServer({
+        ...options,
+        port: 0,
+        quiet: true,
+        apiController: api,
+    });
+    const { url, port } = await server.start();
+    t.after(() => server.stop());
+    return { server, controller: api, url, port };
+};
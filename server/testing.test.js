@@ -0,0 +1,82 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ApiController, MiniServer } from './server.js';
+import { startTestServer } from './testing.js';
+
+const shared = { users: ['Ada'] };
+
+/**
+ * @param {{ persistState?: boolean, stateSaveFile?: string }} [options]
+ * @returns {ApiController<any>}
+ */
+const buildController = (options = {}) =>
+    new ApiController({
+        ...options,
+        initialState: { users: /** @type {string[]} */ ([]) },
+        routes: [
+            {
+                url: '/api/users',
+                method: 'POST',
+                routeAction: (req, res, { state }) => {
+                    state.users.push('Alan');
+                    res.writeHead(201);
+                    res.end();
+                },
+            },
+            ApiController.createRoute({
+                url: '/api/slow',
+                data: { ok: true },
+                faults: { delay: 100 },
+            }),
+        ],
+    });
+
+test('starts on a free port and rejects a port in use', async (t) => {
+    const first = new MiniServer({ port: 0, quiet: true });
+    const { port, url } = await first.start();
+    t.after(() => first.stop());
+    assert.ok(port > 0);
+    assert.equal(url, `http://localhost:${port}`);
+    const second = new MiniServer({ port, quiet: true });
+    await assert.rejects(second.start(), { code: 'EADDRINUSE' });
+    assert.equal(second.server, null);
+});
+
+test('lets open requests finish and writes the state on stop', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'lifecycle-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const stateSaveFile = join(dir, 'state.json');
+    const controller = buildController({ persistState: true, stateSaveFile });
+    const server = new MiniServer({
+        port: 0,
+        quiet: true,
+        apiController: controller,
+    });
+    const { url } = await server.start();
+    await fetch(`${url}/api/users`, { method: 'POST' });
+    const slow = fetch(`${url}/api/slow`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await server.stop();
+    assert.equal((await slow).status, 200);
+    assert.deepEqual(JSON.parse(await readFile(stateSaveFile, 'utf8')), {
+        users: ['Alan'],
+    });
+    await server.stop();
+});
+
+test('gives every test its own controller and copy of the state', async (t) => {
+    for (let i = 0; i < 2; i++) {
+        const { url, controller } = await startTestServer(t, {
+            controller: () => buildController(),
+            state: shared,
+        });
+        assert.equal(controller.persistState, false);
+        await fetch(`${url}/api/users`, { method: 'POST' });
+        assert.deepEqual(controller.state.users, ['Ada', 'Alan']);
+    }
+    assert.deepEqual(shared.users, ['Ada']);
+});
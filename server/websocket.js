@@ -0,0 +1,531 @@
+//@ts-check
+import { createHash, randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+/**
+ * WebSocket (RFC 6455) server side handshake and framing, without
+ * extensions such as compression.
+ */
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** Largest message accepted from a client unless a route sets its own. */
+export const DEFAULT_MAX_PAYLOAD = 1024 * 1024;
+
+/** How long to wait for the client to answer a close frame. */
+const CLOSE_TIMEOUT = 1000;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa,
+};
+
+export const CLOSE_CODES = {
+    normal: 1000,
+    goingAway: 1001,
+    protocolError: 1002,
+    unsupportedData: 1003,
+    noStatus: 1005,
+    abnormal: 1006,
+    invalidPayload: 1007,
+    policyViolation: 1008,
+    messageTooBig: 1009,
+    internalError: 1011,
+};
+
+/**
+ * Tells whether a close code may be sent in a close frame.
+ * @param {number} code
+ * @returns {boolean}
+ */
+const isValidCloseCode = (code) =>
+    (code >= 1000 && code <= 1003) ||
+    (code >= 1007 && code <= 1014) ||
+    (code >= 3000 && code <= 4999);
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * @param {Buffer} payload
+ * @returns {string | null} null when the bytes are not valid UTF-8
+ */
+const decodeText = (payload) => {
+    try {
+        return utf8.decode(payload);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * One step of a scripted sequence. Steps run in order, each after its
+ * `delay` in milliseconds.
+ * @typedef {Object} WebSocketScriptStep
+ * @property {number} [delay]
+ * @property {any} [send] strings and Buffers are sent as they are, other
+ * values as JSON
+ * @property {number} [close] close the connection with this code
+ * @property {string} [reason]
+ */
+
+/**
+ * The request a WebSocket connection was opened with. `state` always reads
+ * the current controller state.
+ * @template T
+ * @typedef {Object} WebSocketContext
+ * @property {Record<string, string>} params
+ * @property {Record<string, string | string[]>} query
+ * @property {import('http').IncomingHttpHeaders} headers
+ * @property {T} state
+ */
+
+/**
+ * @template T
+ * @typedef {Object} WebSocketRoute
+ * @property {string} url
+ * @property {(ws: WebSocketConnection, context: WebSocketContext<T>) => void | Promise<void>} [onConnect]
+ * @property {(ws: WebSocketConnection, message: string | Buffer, context: WebSocketContext<T>) => void | Promise<void>} [onMessage]
+ * @property {(ws: WebSocketConnection, code: number, reason: string, context: WebSocketContext<T>) => void} [onClose]
+ * @property {WebSocketScriptStep[]} [script] played to every client once
+ * it is connected
+ * @property {string[]} [protocols] subprotocols the route speaks, the
+ * first one the client offers is picked
+ * @property {number} [maxPayload] largest message accepted, in bytes
+ * @property {string} [summary]
+ */
+
+/**
+ * A server side WebSocket connection. Emits `message` with a string or a
+ * Buffer, `pong` with its payload and `close` with the code and reason.
+ */
+export class WebSocketConnection extends EventEmitter {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    /** @type {Buffer} */
+    #buffer = Buffer.alloc(0);
+    /** @type {Buffer[]} */
+    #fragments = [];
+    /** @type {number | null} opcode of the fragmented message being read */
+    #fragmentOpcode = null;
+    #fragmentSize = 0;
+    #closeSent = false;
+    /** @type {NodeJS.Timeout | null} */
+    #closeTimer = null;
+    #closeCode = CLOSE_CODES.abnormal;
+    #closeReason = '';
+
+    /**
+     * @param {import('stream').Duplex} socket
+     * @param {{ url: string, protocol?: string, maxPayload?: number }} options
+     */
+    constructor(socket, { url, protocol, maxPayload }) {
+        super();
+        this.id = randomUUID();
+        this.url = url;
+        this.protocol = protocol || '';
+        this.maxPayload = maxPayload || DEFAULT_MAX_PAYLOAD;
+        this.connectedAt = new Date().toISOString();
+        this.readyState = WebSocketConnection.OPEN;
+        this.socket = socket;
+        socket.on('data', (chunk) => this.#onData(chunk));
+        socket.on('close', () => this.#onSocketClose());
+        socket.on('error', () => socket.destroy());
+    }
+
+    /**
+     * Sends a text message for strings, a binary one for Buffers and JSON
+     * for anything else. Does nothing once the connection is closing.
+     * @param {any} data
+     * @returns {void}
+     */
+    send(data) {
+        if (this.readyState !== WebSocketConnection.OPEN) {
+            return;
+        }
+        if (Buffer.isBuffer(data)) {
+            this.#sendFrame(OPCODES.binary, data);
+        } else {
+            const text = typeof data === 'string' ? data : JSON.stringify(data);
+            this.#sendFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+        }
+    }
+
+    /**
+     * @param {string | Buffer} [data]
+     * @returns {void}
+     */
+    ping(data = '') {
+        if (this.readyState === WebSocketConnection.OPEN) {
+            this.#sendFrame(OPCODES.ping, Buffer.from(data));
+        }
+    }
+
+    /**
+     * Starts the closing handshake. The socket is destroyed if the client
+     * does not answer in time.
+     * @param {number} [code]
+     * @param {string} [reason]
+     * @returns {void}
+     */
+    close(code = CLOSE_CODES.normal, reason = '') {
+        if (this.readyState >= WebSocketConnection.CLOSING) {
+            return;
+        }
+        this.readyState = WebSocketConnection.CLOSING;
+        this.#closeCode = code;
+        this.#closeReason = reason;
+        this.#sendClose(code, reason);
+        this.#closeTimer = setTimeout(
+            () => this.socket.destroy(),
+            CLOSE_TIMEOUT
+        );
+        this.#closeTimer.unref();
+    }
+
+    /**
+     * Plays a scripted sequence. Stops early when the connection closes.
+     * @param {WebSocketScriptStep[]} steps
+     * @returns {Promise<void>}
+     */
+    async play(steps) {
+        for (const step of steps) {
+            if (step.delay) {
+                await new Promise((resolve) => setTimeout(resolve, step.delay));
+            }
+            if (this.readyState !== WebSocketConnection.OPEN) {
+                return;
+            }
+            if (step.send !== undefined) {
+                this.send(step.send);
+            }
+            if (step.close !== undefined) {
+                this.close(step.close, step.reason);
+                return;
+            }
+        }
+    }
+
+    /**
+     * @param {number} opcode
+     * @param {Buffer} payload
+     * @returns {void}
+     */
+    #sendFrame(opcode, payload) {
+        /** @type {Buffer} */
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * @param {number} code
+     * @param {string} reason
+     * @returns {void}
+     */
+    #sendClose(code, reason) {
+        if (this.#closeSent) {
+            return;
+        }
+        this.#closeSent = true;
+        const payload =
+            code === CLOSE_CODES.noStatus
+                ? Buffer.alloc(0)
+                : Buffer.concat([
+                      Buffer.from([code >> 8, code & 0xff]),
+                      Buffer.from(reason, 'utf8').subarray(0, 123),
+                  ]);
+        this.#sendFrame(OPCODES.close, payload);
+    }
+
+    /**
+     * Closes the connection because the client broke the protocol.
+     * @param {number} code
+     * @param {string} reason
+     * @returns {void}
+     */
+    #fail(code, reason) {
+        this.#buffer = Buffer.alloc(0);
+        this.socket.pause();
+        this.close(code, reason);
+    }
+
+    /**
+     * @param {Buffer} chunk
+     * @returns {void}
+     */
+    #onData(chunk) {
+        this.#buffer = Buffer.concat([this.#buffer, chunk]);
+        while (
+            this.readyState !== WebSocketConnection.CLOSED &&
+            this.#readFrame()
+        );
+    }
+
+    /**
+     * Reads one frame from the buffer.
+     * @returns {boolean} false when more data is needed
+     */
+    #readFrame() {
+        const buffer = this.#buffer;
+        if (buffer.length < 2) {
+            return false;
+        }
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (buffer[0] & 0x70) {
+            this.#fail(
+                CLOSE_CODES.protocolError,
+                'Extensions are not supported'
+            );
+            return false;
+        }
+        if (!masked) {
+            this.#fail(
+                CLOSE_CODES.protocolError,
+                'Client frames must be masked'
+            );
+            return false;
+        }
+        if (length === 126) {
+            if (buffer.length < 4) {
+                return false;
+            }
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) {
+                return false;
+            }
+            const bigLength = buffer.readBigUInt64BE(2);
+            if (bigLength > BigInt(this.maxPayload)) {
+                this.#fail(CLOSE_CODES.messageTooBig, 'Message too big');
+                return false;
+            }
+            length = Number(bigLength);
+            offset = 10;
+        }
+        if (length > this.maxPayload) {
+            this.#fail(CLOSE_CODES.messageTooBig, 'Message too big');
+            return false;
+        }
+        if (buffer.length < offset + 4 + length) {
+            return false;
+        }
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(
+            buffer.subarray(offset + 4, offset + 4 + length)
+        );
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        this.#buffer = buffer.subarray(offset + 4 + length);
+        this.#handleFrame(fin, opcode, payload);
+        return true;
+    }
+
+    /**
+     * @param {boolean} fin
+     * @param {number} opcode
+     * @param {Buffer} payload
+     * @returns {void}
+     */
+    #handleFrame(fin, opcode, payload) {
+        if (opcode >= 0x8) {
+            if (!fin || payload.length > 125) {
+                this.#fail(CLOSE_CODES.protocolError, 'Invalid control frame');
+                return;
+            }
+            this.#handleControlFrame(opcode, payload);
+            return;
+        }
+        if (this.readyState !== WebSocketConnection.OPEN) {
+            return;
+        }
+        if (opcode === OPCODES.continuation) {
+            if (this.#fragmentOpcode === null) {
+                this.#fail(
+                    CLOSE_CODES.protocolError,
+                    'Unexpected continuation'
+                );
+                return;
+            }
+        } else if (opcode === OPCODES.text || opcode === OPCODES.binary) {
+            if (this.#fragmentOpcode !== null) {
+                this.#fail(CLOSE_CODES.protocolError, 'Expected continuation');
+                return;
+            }
+            this.#fragmentOpcode = opcode;
+        } else {
+            this.#fail(CLOSE_CODES.protocolError, `Unknown opcode ${opcode}`);
+            return;
+        }
+        this.#fragmentSize += payload.length;
+        if (this.#fragmentSize > this.maxPayload) {
+            this.#fail(CLOSE_CODES.messageTooBig, 'Message too big');
+            return;
+        }
+        this.#fragments.push(payload);
+        if (!fin) {
+            return;
+        }
+        const data = Buffer.concat(this.#fragments);
+        const isText = this.#fragmentOpcode === OPCODES.text;
+        this.#fragments = [];
+        this.#fragmentOpcode = null;
+        this.#fragmentSize = 0;
+        if (!isText) {
+            this.emit('message', data);
+            return;
+        }
+        const text = decodeText(data);
+        if (text === null) {
+            this.#fail(CLOSE_CODES.invalidPayload, 'Invalid UTF-8');
+            return;
+        }
+        this.emit('message', text);
+    }
+
+    /**
+     * @param {number} opcode
+     * @param {Buffer} payload
+     * @returns {void}
+     */
+    #handleControlFrame(opcode, payload) {
+        if (opcode === OPCODES.ping) {
+            if (this.readyState === WebSocketConnection.OPEN) {
+                this.#sendFrame(OPCODES.pong, payload);
+            }
+            return;
+        }
+        if (opcode === OPCODES.pong) {
+            this.emit('pong', payload);
+            return;
+        }
+        if (opcode !== OPCODES.close) {
+            this.#fail(CLOSE_CODES.protocolError, `Unknown opcode ${opcode}`);
+            return;
+        }
+        let code = CLOSE_CODES.noStatus;
+        let reason = '';
+        if (payload.length === 1) {
+            this.#fail(CLOSE_CODES.protocolError, 'Invalid close frame');
+            return;
+        }
+        if (payload.length >= 2) {
+            code = payload.readUInt16BE(0);
+            const text = decodeText(payload.subarray(2));
+            if (!isValidCloseCode(code)) {
+                this.#fail(CLOSE_CODES.protocolError, 'Invalid close code');
+                return;
+            }
+            if (text === null) {
+                this.#fail(CLOSE_CODES.invalidPayload, 'Invalid UTF-8');
+                return;
+            }
+            reason = text;
+        }
+        if (this.readyState === WebSocketConnection.OPEN) {
+            // the client started the closing handshake, echo its code
+            this.#closeCode = code;
+            this.#closeReason = reason;
+            this.readyState = WebSocketConnection.CLOSING;
+            this.#sendClose(code, reason);
+        }
+        this.socket.end();
+    }
+
+    /**
+     * @returns {void}
+     */
+    #onSocketClose() {
+        if (this.#closeTimer) {
+            clearTimeout(this.#closeTimer);
+        }
+        if (this.readyState === WebSocketConnection.CLOSED) {
+            return;
+        }
+        const clean = this.readyState === WebSocketConnection.CLOSING;
+        this.readyState = WebSocketConnection.CLOSED;
+        this.emit(
+            'close',
+            clean ? this.#closeCode : CLOSE_CODES.abnormal,
+            clean ? this.#closeReason : ''
+        );
+    }
+}
+
+/**
+ * Answers an upgrade request with the WebSocket handshake. Invalid requests
+ * get a 400 and null is returned.
+ * @param {import('http').IncomingMessage} request
+ * @param {import('stream').Duplex} socket
+ * @param {Buffer} head bytes read past the request headers
+ * @param {{ protocols?: string[], maxPayload?: number }} [options]
+ * @returns {WebSocketConnection | null}
+ */
+export const acceptWebSocket = (request, socket, head, options = {}) => {
+    const key = request.headers['sec-websocket-key'];
+    if (
+        request.method !== 'GET' ||
+        String(request.headers.upgrade).toLowerCase() !== 'websocket' ||
+        request.headers['sec-websocket-version'] !== '13' ||
+        typeof key !== 'string'
+    ) {
+        socket.end(
+            'HTTP/1.1 400 Bad Request\r\nSec-WebSocket-Version: 13\r\nConnection: close\r\n\r\n'
+        );
+        return null;
+    }
+    const accept = createHash('sha1')
+        .update(key + HANDSHAKE_GUID)
+        .digest('base64');
+    const offered = String(request.headers['sec-websocket-protocol'] || '')
+        .split(',')
+        .map((protocol) => protocol.trim())
+        .filter((protocol) => protocol);
+    const protocol = offered.find((name) =>
+        (options.protocols || []).includes(name)
+    );
+    socket.write(
+        [
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            ...(protocol ? [`Sec-WebSocket-Protocol: ${protocol}`] : []),
+            '',
+            '',
+        ].join('\r\n')
+    );
+    const connection = new WebSocketConnection(socket, {
+        url: request.url || '/',
+        protocol,
+        maxPayload: options.maxPayload,
+    });
+    if (head && head.length) {
+        socket.unshift(head);
+    }
+    return connection;
+};
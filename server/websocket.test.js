@@ -0,0 +1,285 @@
+//@ts-check
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { CLOSE_CODES } from './websocket.js';
+import { ApiController } from './server.js';
+import { startTestServer } from './testing.js';
+
+/**
+ * @typedef {{ opcode: number, payload: Buffer }} Frame
+ */
+
+/**
+ * A bare WebSocket client that sends masked frames, as Node 20 has no
+ * global WebSocket, and that can also break the protocol on purpose.
+ */
+class TestClient {
+    /** @type {Buffer} */
+    #buffer = Buffer.alloc(0);
+    /** @type {Frame[]} */
+    #frames = [];
+    /** @type {((frame: Frame) => void)[]} */
+    #waiting = [];
+
+    /**
+     * @param {import('http').IncomingMessage} response
+     * @param {import('stream').Duplex} socket
+     * @param {Buffer} head
+     */
+    constructor(response, socket, head) {
+        this.response = response;
+        this.socket = socket;
+        socket.on('data', (chunk) => this.#onData(chunk));
+        this.#onData(head);
+    }
+
+    /**
+     * @param {Buffer} chunk
+     * @returns {void}
+     */
+    #onData(chunk) {
+        this.#buffer = Buffer.concat([this.#buffer, chunk]);
+        while (this.#buffer.length >= 2) {
+            let length = this.#buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (this.#buffer.length < 4) {
+                    return;
+                }
+                length = this.#buffer.readUInt16BE(2);
+                offset = 4;
+            }
+            if (this.#buffer.length < offset + length) {
+                return;
+            }
+            const frame = {
+                opcode: this.#buffer[0] & 0x0f,
+                payload: this.#buffer.subarray(offset, offset + length),
+            };
+            this.#buffer = this.#buffer.subarray(offset + length);
+            const waiter = this.#waiting.shift();
+            if (waiter) {
+                waiter(frame);
+            } else {
+                this.#frames.push(frame);
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<Frame>}
+     */
+    next() {
+        const frame = this.#frames.shift();
+        return frame
+            ? Promise.resolve(frame)
+            : new Promise((resolve) => this.#waiting.push(resolve));
+    }
+
+    /**
+     * @returns {Promise<any>} the next text message, parsed when it is JSON
+     */
+    async message() {
+        const { opcode, payload } = await this.next();
+        assert.equal(opcode, 0x1);
+        const text = payload.toString('utf8');
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    /**
+     * @returns {Promise<{ code: number, reason: string }>}
+     */
+    async closed() {
+        const { opcode, payload } = await this.next();
+        assert.equal(opcode, 0x8);
+        return {
+            code: payload.readUInt16BE(0),
+            reason: payload.subarray(2).toString('utf8'),
+        };
+    }
+
+    /**
+     * @param {number} opcode
+     * @param {string | Buffer} data
+     * @param {{ mask?: boolean }} [options]
+     * @returns {void}
+     */
+    send(opcode, data, { mask = true } = {}) {
+        const payload = Buffer.from(data);
+        const length =
+            payload.length < 126
+                ? Buffer.from([payload.length])
+                : Buffer.from([126, payload.length >> 8, payload.length]);
+        length[0] |= mask ? 0x80 : 0;
+        const key = mask ? randomBytes(4) : Buffer.alloc(0);
+        const body = mask
+            ? payload.map((byte, i) => byte ^ key[i % 4])
+            : payload;
+        this.socket.write(
+            Buffer.concat([Buffer.from([0x80 | opcode]), length, key, body])
+        );
+    }
+}
+
+/**
+ * @param {number} port
+ * @param {string} path
+ * @param {string} [protocols]
+ * @returns {Promise<TestClient>}
+ */
+const connect = (port, path, protocols) =>
+    new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            path,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': randomBytes(16).toString('base64'),
+                ...(protocols ? { 'Sec-WebSocket-Protocol': protocols } : {}),
+            },
+        });
+        request.on('upgrade', (response, socket, head) =>
+            resolve(new TestClient(response, socket, head))
+        );
+        request.on('response', (response) => {
+            response.resume();
+            reject(new Error(`Upgrade answered ${response.statusCode}`));
+        });
+        request.on('error', reject);
+        request.end();
+    });
+
+const buildController = () =>
+    new ApiController({ initialState: { joins: 0 } })
+        .addWebSocketRoute({
+            url: '/ws/rooms/:room',
+            protocols: ['chat'],
+            maxPayload: 64,
+            onConnect: (ws, { params, state }) => {
+                state.joins++;
+                ws.send({ joined: params.room, joins: state.joins });
+            },
+            onMessage: (ws, message) => {
+                if (String(message) === 'fail') {
+                    throw new Error('handler failed');
+                }
+                ws.send(`echo: ${message}`);
+            },
+        })
+        .addWebSocketRoute({
+            url: '/ws/ticker',
+            script: [
+                { delay: 10, send: { type: 'tick' } },
+                { delay: 10, close: 4000, reason: 'done' },
+            ],
+        });
+
+test('connects, echoes and plays scripts', async (t) => {
+    const { port, controller } = await startTestServer(t, {
+        controller: buildController,
+    });
+    const client = await connect(port, '/ws/rooms/red', 'json, chat');
+    assert.equal(client.response.headers['sec-websocket-protocol'], 'chat');
+    assert.deepEqual(await client.message(), { joined: 'red', joins: 1 });
+    client.send(0x1, 'hello');
+    assert.equal(await client.message(), 'echo: hello');
+    client.send(0x9, 'are you there');
+    const pong = await client.next();
+    assert.equal(pong.opcode, 0xa);
+    assert.equal(pong.payload.toString(), 'are you there');
+    assert.equal(controller.state.joins, 1);
+
+    const ticker = await connect(port, '/ws/ticker');
+    assert.deepEqual(await ticker.message(), { type: 'tick' });
+    assert.deepEqual(await ticker.closed(), { code: 4000, reason: 'done' });
+
+    await assert.rejects(connect(port, '/ws/nowhere'), /404/);
+});
+
+test('closes connections that break the protocol', async (t) => {
+    const { port } = await startTestServer(t, { controller: buildController });
+    // the failing handler is logged
+    t.mock.method(console, 'error', () => {});
+    /**
+     * @param {(client: TestClient) => void} misbehave
+     * @returns {Promise<number>} the close code
+     */
+    const closeCode = async (misbehave) => {
+        const client = await connect(port, '/ws/rooms/red');
+        await client.message();
+        misbehave(client);
+        return (await client.closed()).code;
+    };
+    assert.equal(
+        await closeCode((client) => client.send(0x1, 'hi', { mask: false })),
+        CLOSE_CODES.protocolError
+    );
+    assert.equal(
+        await closeCode((client) => client.send(0x1, 'x'.repeat(100))),
+        CLOSE_CODES.messageTooBig
+    );
+    assert.equal(
+        await closeCode((client) =>
+            client.send(0x1, Buffer.from([0xc3, 0x28]))
+        ),
+        CLOSE_CODES.invalidPayload
+    );
+    assert.equal(
+        await closeCode((client) => client.send(0x1, 'fail')),
+        CLOSE_CODES.internalError
+    );
+});
+
+test('broadcasts and closes connections through the admin api', async (t) => {
+    const { port, url } = await startTestServer(t, {
+        controller: buildController,
+    });
+    const red = await connect(port, '/ws/rooms/red');
+    const blue = await connect(port, '/ws/rooms/blue');
+    await red.message();
+    await blue.message();
+
+    /**
+     * @param {string} path
+     * @param {string} method
+     * @param {any} [body]
+     */
+    const admin = (path, method, body) =>
+        fetch(`${url}/__admin/websockets${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+    const listed = /** @type {any} */ (await (await admin('', 'GET')).json());
+    assert.deepEqual(
+        listed.routes.map((/** @type {any} */ route) => route.url),
+        ['/ws/rooms/:room', '/ws/ticker']
+    );
+    assert.equal(listed.connections.length, 2);
+
+    const sent = await admin('/broadcast', 'POST', {
+        message: { news: 1 },
+        url: '/ws/rooms/blue',
+    });
+    assert.deepEqual(await sent.json(), { sent: 1 });
+    assert.deepEqual(await blue.message(), { news: 1 });
+
+    const redId = listed.connections.find(
+        (/** @type {any} */ ws) => ws.url === '/ws/rooms/red'
+    ).id;
+    await (await admin(`/${redId}/send`, 'POST', { message: 'hi' })).json();
+    assert.equal(await red.message(), 'hi');
+    const invalid = await admin(`/${redId}?code=1006`, 'DELETE');
+    assert.equal(invalid.status, 400);
+    await invalid.arrayBuffer();
+    await admin(`/${redId}?code=4001&reason=bye`, 'DELETE');
+    assert.deepEqual(await red.closed(), { code: 4001, reason: 'bye' });
+});
@@ -0,0 +1,441 @@
+//@ts-check
+
+/**
+ * A small YAML reader covering what API descriptions use: block mappings and
+ * sequences, flow collections on one line, plain and quoted scalars, block
+ * scalars (`|` and `>`) and comments. Anchors, aliases, tags and multiple
+ * documents are not supported.
+ */
+
+/**
+ * @typedef {Object} Line
+ * @property {number} indent
+ * @property {string} content without indentation and comments
+ * @property {string} raw the full line, kept for block scalars
+ * @property {number} number 1-based line number
+ */
+
+/**
+ * @param {string} message
+ * @param {Line | number} [line]
+ * @returns {Error}
+ */
+const yamlError = (message, line) =>
+    new Error(
+        line === undefined
+            ? `YAML: ${message}`
+            : `YAML line ${typeof line === 'number' ? line : line.number}: ${message}`
+    );
+
+/**
+ * Removes a trailing comment that is not inside quotes.
+ * @param {string} text
+ * @returns {string}
+ */
+const stripComment = (text) => {
+    /** @type {string | null} */
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.substring(0, i);
+        }
+    }
+    return text;
+};
+
+/**
+ * Finds the `: ` separating a mapping key from its value, outside quotes.
+ * @param {string} text
+ * @returns {number} -1 when the text is not a mapping entry
+ */
+const findKeySeparator = (text) => {
+    /** @type {string | null} */
+    let quote = null;
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if ((char === '"' || char === "'") && i === 0) {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (
+            char === ':' &&
+            depth === 0 &&
+            (i === text.length - 1 || text[i + 1] === ' ')
+        ) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * @param {string} text
+ * @param {number} lineNumber
+ * @returns {any}
+ */
+const parseScalar = (text, lineNumber) => {
+    const value = text.trim();
+    if (value.startsWith('&') || value.startsWith('*')) {
+        throw yamlError('anchors and aliases are not supported', lineNumber);
+    }
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            throw yamlError(
+                `invalid double quoted string ${value}`,
+                lineNumber
+            );
+        }
+    }
+    if (value.startsWith("'")) {
+        if (!value.endsWith("'") || value.length < 2) {
+            throw yamlError(
+                `invalid single quoted string ${value}`,
+                lineNumber
+            );
+        }
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith('[') || value.startsWith('{')) {
+        return parseFlow(value, lineNumber);
+    }
+    if (value === '' || value === '~' || value === 'null' || value === 'Null') {
+        return null;
+    }
+    if (/^(true|True|TRUE)$/.test(value)) {
+        return true;
+    }
+    if (/^(false|False|FALSE)$/.test(value)) {
+        return false;
+    }
+    if (/^[-+]?(\d+|\d*\.\d+|\d+\.\d*)([eE][-+]?\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(value)) {
+        return parseInt(value, 16);
+    }
+    return value;
+};
+
+/**
+ * Parses a one-line flow collection such as `[a, b]` or `{ a: 1 }`.
+ * @param {string} text
+ * @param {number} lineNumber
+ * @returns {any}
+ */
+const parseFlow = (text, lineNumber) => {
+    let pos = 0;
+    const skipSpaces = () => {
+        while (text[pos] === ' ') {
+            pos++;
+        }
+    };
+    /** @returns {any} */
+    const parseItem = () => {
+        skipSpaces();
+        const char = text[pos];
+        if (char === '[') {
+            pos++;
+            /** @type {any[]} */
+            const list = [];
+            skipSpaces();
+            while (text[pos] !== ']') {
+                list.push(parseItem());
+                skipSpaces();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipSpaces();
+                } else if (text[pos] !== ']') {
+                    throw yamlError(`expected , or ] in ${text}`, lineNumber);
+                }
+            }
+            pos++;
+            return list;
+        }
+        if (char === '{') {
+            pos++;
+            /** @type {Record<string, any>} */
+            const map = {};
+            skipSpaces();
+            while (text[pos] !== '}') {
+                const key = String(parseItem());
+                skipSpaces();
+                if (text[pos] !== ':') {
+                    throw yamlError(`expected : in ${text}`, lineNumber);
+                }
+                pos++;
+                map[key] = parseItem();
+                skipSpaces();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipSpaces();
+                } else if (text[pos] !== '}') {
+                    throw yamlError(`expected , or } in ${text}`, lineNumber);
+                }
+            }
+            pos++;
+            return map;
+        }
+        const start = pos;
+        if (char === '"' || char === "'") {
+            pos++;
+            while (pos < text.length && text[pos] !== char) {
+                pos += text[pos] === '\\' && char === '"' ? 2 : 1;
+            }
+            pos++;
+        } else {
+            while (pos < text.length && !/[,\]}:]/.test(text[pos])) {
+                pos++;
+            }
+        }
+        if (pos > text.length) {
+            throw yamlError(`unterminated string in ${text}`, lineNumber);
+        }
+        return parseScalar(text.substring(start, pos), lineNumber);
+    };
+    const value = parseItem();
+    skipSpaces();
+    if (pos !== text.length) {
+        throw yamlError(`unexpected ${text.substring(pos)}`, lineNumber);
+    }
+    return value;
+};
+
+/**
+ * Parses a YAML document.
+ * @param {string} source
+ * @returns {any}
+ */
+export const parseYaml = (source) => {
+    /** @type {Line[]} */
+    const lines = [];
+    source.split(/\r?\n/).forEach((raw, i) => {
+        if (/^\t/.test(raw)) {
+            throw yamlError('tabs are not allowed for indentation', i + 1);
+        }
+        const content = stripComment(raw).trimEnd();
+        const trimmed = content.trimStart();
+        if (trimmed === '---' || trimmed.startsWith('%')) {
+            return;
+        }
+        if (trimmed === '...') {
+            return;
+        }
+        lines.push({
+            indent: content.length - trimmed.length,
+            content: trimmed,
+            raw,
+            number: i + 1,
+        });
+    });
+    let pos = 0;
+
+    const skipBlank = () => {
+        while (pos < lines.length && lines[pos].content === '') {
+            pos++;
+        }
+    };
+
+    /**
+     * @param {Line} line
+     * @returns {boolean}
+     */
+    const isSequenceItem = (line) =>
+        line.content === '-' || line.content.startsWith('- ');
+
+    /**
+     * Reads a `|` or `>` block scalar whose lines are indented past `parentIndent`.
+     * @param {string} header
+     * @param {number} parentIndent
+     * @returns {string}
+     */
+    const parseBlockScalar = (header, parentIndent) => {
+        const folded = header.startsWith('>');
+        const chomping = header.includes('-')
+            ? 'strip'
+            : header.includes('+')
+              ? 'keep'
+              : 'clip';
+        /** @type {string[]} */
+        const collected = [];
+        let blockIndent = -1;
+        while (pos < lines.length) {
+            const line = lines[pos];
+            if (line.raw.trim() === '') {
+                collected.push('');
+                pos++;
+                continue;
+            }
+            const indent = line.raw.length - line.raw.trimStart().length;
+            if (indent <= parentIndent) {
+                break;
+            }
+            if (blockIndent === -1) {
+                blockIndent = indent;
+            }
+            collected.push(line.raw.substring(blockIndent));
+            pos++;
+        }
+        let trailing = 0;
+        while (collected.length && collected[collected.length - 1] === '') {
+            collected.pop();
+            trailing++;
+        }
+        let text = folded
+            ? collected
+                  .join('\n')
+                  .replace(/([^\n])\n(?=[^\n ])/g, '$1 ')
+                  .replace(/\n\n/g, '\n')
+            : collected.join('\n');
+        if (chomping === 'clip' && collected.length) {
+            text += '\n';
+        } else if (chomping === 'keep') {
+            text += '\n'.repeat(trailing + 1);
+        }
+        return text;
+    };
+
+    /**
+     * Parses the value of a key or sequence item whose inline text is `text`.
+     * @param {string} text
+     * @param {number} indent indentation of the owning line
+     * @param {Line} line
+     * @returns {any}
+     */
+    const parseValue = (text, indent, line) => {
+        if (/^[|>][-+]?$/.test(text)) {
+            return parseBlockScalar(text, indent);
+        }
+        if (text !== '') {
+            return parseScalar(text, line.number);
+        }
+        skipBlank();
+        const next = lines[pos];
+        if (!next) {
+            return null;
+        }
+        if (next.indent > indent) {
+            return parseBlock(next.indent);
+        }
+        // a sequence may sit at the same indentation as its key
+        if (next.indent === indent && isSequenceItem(next)) {
+            return parseSequence(indent);
+        }
+        return null;
+    };
+
+    /**
+     * @param {number} indent
+     * @returns {any[]}
+     */
+    const parseSequence = (indent) => {
+        /** @type {any[]} */
+        const list = [];
+        skipBlank();
+        while (
+            pos < lines.length &&
+            lines[pos].indent === indent &&
+            isSequenceItem(lines[pos])
+        ) {
+            const line = lines[pos];
+            const rest = line.content.substring(1).trimStart();
+            if (rest !== '' && findKeySeparator(rest) !== -1) {
+                // `- key: value` starts a mapping inside the item
+                lines[pos] = {
+                    ...line,
+                    indent: indent + (line.content.length - rest.length),
+                    content: rest,
+                };
+                list.push(parseMapping(lines[pos].indent));
+            } else {
+                pos++;
+                list.push(parseValue(rest, indent, line));
+            }
+            skipBlank();
+        }
+        return list;
+    };
+
+    /**
+     * @param {number} indent
+     * @returns {Record<string, any>}
+     */
+    const parseMapping = (indent) => {
+        /** @type {Record<string, any>} */
+        const map = {};
+        skipBlank();
+        while (pos < lines.length && lines[pos].indent === indent) {
+            const line = lines[pos];
+            if (isSequenceItem(line)) {
+                break;
+            }
+            const separator = findKeySeparator(line.content);
+            if (separator === -1) {
+                throw yamlError(
+                    `expected "key: value", got ${line.content}`,
+                    line
+                );
+            }
+            const key = String(
+                parseScalar(line.content.substring(0, separator), line.number)
+            );
+            if (key === '<<') {
+                throw yamlError('merge keys are not supported', line);
+            }
+            pos++;
+            map[key] = parseValue(
+                line.content.substring(separator + 1).trim(),
+                indent,
+                line
+            );
+            skipBlank();
+        }
+        if (pos < lines.length && lines[pos].indent > indent) {
+            throw yamlError('unexpected indentation', lines[pos]);
+        }
+        return map;
+    };
+
+    /**
+     * @param {number} indent
+     * @returns {any}
+     */
+    const parseBlock = (indent) => {
+        skipBlank();
+        const line = lines[pos];
+        if (isSequenceItem(line)) {
+            return parseSequence(indent);
+        }
+        if (findKeySeparator(line.content) === -1) {
+            pos++;
+            return parseScalar(line.content, line.number);
+        }
+        return parseMapping(indent);
+    };
+
+    skipBlank();
+    if (pos >= lines.length) {
+        return null;
+    }
+    const document = parseBlock(lines[pos].indent);
+    skipBlank();
+    if (pos < lines.length) {
+        throw yamlError('unexpected content', lines[pos]);
+    }
+    return document;
+};